@@ -14,7 +14,21 @@ const App = {
     filteredMemories: [],
     currentEditId: null,
     searchQuery: '',
+    searchRun: 0,           // Bumped per search, so a slow one can't overwrite a newer one
+    highlightTerms: [],     // Search words to mark in the feed
     sortOrder: 'newest',
+    placeFilter: '',        // '' or 'country:FR' or 'city:FR:Paris'
+    tagFilter: null,        // Tag id, or null for all
+    albumFilter: null,      // Album id, or null for all
+    tags: new Map(),        // id -> { id, name }
+    albums: new Map(),      // id -> { id, name, coverId, startDate, endDate }
+    backfilling: false,     // An address backfill is running
+    burst: null,            // Burst waiting in the picker: { frames, kept, location }
+    regionProgress: new Map(), // Offline region id -> latest progress from the Service Worker
+    addressFields: ['venue', 'neighbourhood', 'city', 'region', 'country', 'countryCode'],
+    trashedMemories: [],
+    trashDaysKey: 'geosnap-trash-days',   // localStorage key for the purge setting
+    defaultTrashDays: 30,
 
     /**
      * Initialize the application
@@ -30,12 +44,19 @@ const App = {
             console.error('❌ Storage initialization failed:', error);
         }
 
+        // Use the geocoding provider and tile server chosen in settings
+        Geocoder.loadSettings();
+        Tiles.loadSettings();
+
         // Initialize UI module
         UI.init();
 
         // Initialize camera module
         Camera.init();
 
+        // Initialize the photo editor in the edit modal
+        PhotoEditor.init();
+
         // Set up navigation
         this.setupNavigation();
 
@@ -51,6 +72,29 @@ const App = {
         // Set up export
         this.setupExport();
 
+        // Set up import
+        this.setupImport();
+
+        // Set up storage panel
+        this.setupStorage();
+
+        // Set up album management
+        this.setupAlbums();
+
+        // Set up GPS track recording, closing tracks a closed page left open
+        this.setupTracks();
+        await Tracker.init();
+
+        // Set up offline map regions
+        this.setupOfflineRegions();
+
+        // Set up settings
+        this.setupSettings();
+
+        // Set up trash, and empty out anything past its retention period
+        this.setupTrash();
+        await this.purgeExpiredTrash();
+
         // Set up offline detection
         this.setupOfflineDetection();
 
@@ -61,6 +105,14 @@ const App = {
         await this.loadMemories();
         this.renderFeed();
 
+        // Once there is something worth keeping, ask the browser not to evict it
+        if (this.memories.length > 0) {
+            Storage.requestPersistence();
+        }
+
+        // Give memories saved with only coordinates (or offline) a full address
+        this.backfillAddresses();
+
         console.log('✅ GeoSnap ready!');
     },
 
@@ -112,21 +164,34 @@ const App = {
             const titles = {
                 'feed-view': 'My Memories',
                 'camera-view': 'Take Photo',
-                'map-view': 'Map View'
+                'map-view': 'Map View',
+                'trash-view': 'Trash'
             };
             document.getElementById('view-title').textContent = titles[viewId] || 'GeoSnap';
 
+            // A route playing on a hidden map would keep panning it
+            if (viewId !== 'map-view') {
+                MapView.pauseRoute();
+            }
+
             // Handle view-specific logic
             if (viewId === 'camera-view') {
                 Camera.start();
             } else if (viewId === 'map-view') {
                 if (!MapView.isInitialized) {
                     MapView.init();
+                    MapView.onOpenMemory = (memory) => this.openEditModal(memory);
+                    MapView.onDownloadRegion = (region) => this.downloadRegion(region);
+                    MapView.onPlayVoice = (id) => this.playVoiceNote(id);
+                    MapView.showLiveTrack(Tracker.points);
                 }
                 MapView.loadMemories(this.filteredMemories.length > 0 ? this.filteredMemories : this.memories);
                 MapView.refresh();
             } else if (viewId === 'feed-view') {
                 Camera.stop();
+            } else if (viewId === 'trash-view') {
+                Camera.stop();
+                this.loadTrash();
             }
         }
     },
@@ -140,10 +205,18 @@ const App = {
 
         if (captureBtn) {
             captureBtn.addEventListener('click', async () => {
+                // A second tap while the self-timer runs cancels it
+                if (Camera.isCountingDown()) {
+                    Camera.cancelTimer();
+                    Camera.updateStatus('Self-timer cancelled');
+                    return;
+                }
                 await this.capturePhoto();
             });
         }
 
+        this.setupBurstPicker();
+
         if (fileInput) {
             fileInput.addEventListener('change', async (event) => {
                 const file = event.target.files[0];
@@ -177,14 +250,12 @@ const App = {
                 document.getElementById('photo-location').value = location.locationName;
 
                 // Initialize pendingUpload if it doesn't exist yet (user clicked location before selecting photo)
-                if (!UI.pendingUpload) {
-                    UI.pendingUpload = {
-                        timestamp: Date.now()
-                    };
-                }
+                const pendingUpload = UI.ensurePendingUpload();
 
                 // Store the location data
-                UI.pendingUpload.location = location;
+                pendingUpload.location = location;
+                pendingUpload.metadataSource.location = 'device';
+                UI.updateMetadataSource();
 
                 UI.showToast('success', `Location set: ${location.locationName}`);
             } catch (error) {
@@ -198,7 +269,10 @@ const App = {
             UI.openModal('location');
             UI.initLocationPicker((location) => {
                 document.getElementById('photo-location').value = location.locationName;
-                UI.pendingUpload.location = location;
+                const pendingUpload = UI.ensurePendingUpload();
+                pendingUpload.location = location;
+                pendingUpload.metadataSource.location = 'map';
+                UI.updateMetadataSource();
             });
         });
 
@@ -228,26 +302,70 @@ const App = {
     },
 
     /**
-     * Save uploaded photo
+     * Save uploaded photos
+     * Every ready file in the queue is saved in a single database transaction
      */
     async saveUpload() {
-        if (!UI.pendingUpload) return;
+        const items = UI.uploadQueue.filter(item => item.status === 'ready');
+        if (items.length === 0) return;
+
+        const single = UI.uploadQueue.length === 1;
+        const applyToAll = single || document.getElementById('apply-to-all').checked;
 
         const locationInput = document.getElementById('photo-location').value.trim();
         const notes = document.getElementById('photo-notes').value.trim();
+        const tagNames = UI.getChips('upload-tags');
+        const albumNames = UI.getChips('upload-albums');
+        const voiceNote = UI.getVoiceNote('upload-voice').note;
+
+        // The location from the form: chosen with a button, or typed in
+        const pending = UI.pendingUpload || {};
+        const sharedLocation = pending.location || (locationInput ? { locationName: locationInput } : null);
+        const sharedSource = pending.location ? pending.metadataSource.location : (sharedLocation ? 'manual' : null);
+
+        // Create memory objects (tags and albums get their ids once saving starts)
+        const memories = items.map(item => {
+            // In a batch every photo keeps its own EXIF position; a single
+            // photo's position is already in the form, where it can be changed
+            const ownLocation = single ? null : item.location;
+            const location = ownLocation || (applyToAll ? sharedLocation : null);
+
+            return {
+                photo: item.file,
+                thumbnail: item.thumbnail,
+                location: location ? { ...location } : null,
+                notes: (applyToAll && notes) || null,
+                voiceNote: (applyToAll && voiceNote) || null,
+                timestamp: item.timestamp,
+                orientation: item.orientation,
+                metadataSource: {
+                    location: ownLocation ? 'exif' : (location ? sharedSource : null),
+                    time: item.timeSource
+                }
+            };
+        });
 
-        // Create memory object
-        const memory = {
-            photo: UI.pendingUpload.photo,
-            location: UI.pendingUpload.location || (locationInput ? { locationName: locationInput } : null),
-            notes: notes || null,
-            timestamp: UI.pendingUpload.timestamp
-        };
+        memories.forEach(memory => this.linkToTrack(memory));
+
+        items.forEach(item => UI.updateQueueItem(item, { status: 'saving' }));
+        document.getElementById('save-upload').disabled = true;
 
         try {
-            await Storage.saveMemory(memory);
-            UI.showToast('success', 'Photo saved successfully! 📸');
+            if (applyToAll) {
+                const tagIds = await Storage.ensureTags(tagNames);
+                const albumIds = await Storage.ensureAlbums(albumNames);
+                memories.forEach(memory => Object.assign(memory, { tagIds, albumIds }));
+            }
+
+            await Storage.saveMemories(memories, (index) => {
+                UI.updateQueueItem(items[index], { status: 'saved' });
+            });
+
+            UI.showToast('success', items.length > 1
+                ? `${items.length} photos saved successfully! 📸`
+                : 'Photo saved successfully! 📸');
             UI.closeModal();
+            this.afterSave();
 
             // Reload and display
             await this.loadMemories();
@@ -260,102 +378,384 @@ const App = {
             });
         } catch (error) {
             console.error('Save error:', error);
-            UI.showToast('error', 'Failed to save photo');
+            // The transaction is all-or-nothing, so nothing was saved
+            items.forEach(item => UI.updateQueueItem(item, { status: 'ready' }));
+            UI.showToast('error', this.saveErrorMessage(error, 'Failed to save photo'), 6000);
         }
     },
 
     /**
      * Capture photo from camera
+     * Waits for the self-timer first, and hands a burst over to the picker
      */
     async capturePhoto() {
+        // In video mode the shutter also stops the clip being recorded
+        if (Camera.isRecording()) {
+            Camera.stopRecording();
+            return;
+        }
+
+        if (Camera.timerSeconds > 0) {
+            const reachedZero = await Camera.runTimer(Camera.timerSeconds);
+            if (!reachedZero) return;
+        }
+
+        if (Camera.videoMode) {
+            await this.recordClip();
+            return;
+        }
+
+        if (Camera.burstCount > 0) {
+            await this.captureBurst(Camera.burstCount);
+            return;
+        }
+
         try {
             Camera.updateStatus('Capturing...');
 
             const photoData = await Camera.capture();
 
             Camera.updateStatus('Getting location...');
-            let locationData = null;
-
-            try {
-                locationData = await GeoLocation.getCurrentPosition();
-            } catch (error) {
-                console.warn('Location unavailable:', error);
+            const locationData = await this.locateCapture();
+            if (!locationData) {
                 Camera.updateStatus('⚠️ Photo saved without location');
             }
 
             const memory = {
                 photo: photoData,
                 location: locationData,
-                timestamp: Date.now()
+                timestamp: Date.now(),
+                metadataSource: { location: locationData ? 'device' : null, time: 'now' }
             };
+            this.linkToTrack(memory);
 
-            await Storage.saveMemory(memory);
+            const id = await Storage.saveMemory(memory);
 
             Camera.updateStatus('✅ Memory saved!');
+            this.afterSave();
 
             await this.loadMemories();
             this.renderFeed();
+            this.showFeedAfterCapture();
+            this.offerVoiceNote(id);
 
-            setTimeout(() => {
-                this.switchView('feed-view');
-                Camera.stop();
+        } catch (error) {
+            console.error('Capture error:', error);
+            Camera.updateStatus('❌ Capture failed');
+            if (Storage.isQuotaError(error)) {
+                UI.showToast('error', this.saveErrorMessage(error), 6000);
+            }
+        }
+    },
 
-                document.querySelectorAll('.nav-item, .nav-btn').forEach(btn => {
-                    btn.classList.toggle('active', btn.dataset.view === 'feed-view');
-                });
-            }, 1000);
+    /**
+     * Where the camera is, for a photo just taken
+     * @returns {Promise<Object|null>} Location data, null when it can't be found
+     */
+    async locateCapture() {
+        try {
+            return await GeoLocation.getCurrentPosition();
+        } catch (error) {
+            console.warn('Location unavailable:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Leave the camera for the feed, a moment after a save so its status can be read
+     */
+    showFeedAfterCapture() {
+        setTimeout(() => {
+            this.switchView('feed-view');
+            Camera.stop();
+
+            document.querySelectorAll('.nav-item, .nav-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.view === 'feed-view');
+            });
+        }, 1000);
+    },
+
+    /**
+     * Offer to record a voice note for a memory just captured, while the moment is fresh
+     * @param {number} id - The new memory's id
+     */
+    offerVoiceNote(id) {
+        if (!Voice.isSupported()) return;
+
+        UI.showToast('success', 'Add a voice note to this memory?', 6000, {
+            label: '🎙️ Record',
+            onClick: () => {
+                const memory = this.memories.find(memory => memory.id === id);
+                if (!memory) return;
+
+                this.openEditModal(memory);
+                UI.recordVoiceNote('edit-voice');
+            }
+        });
+    },
+
+    // ===== Video clips =====
+
+    /**
+     * Record a clip and save it as a memory
+     */
+    async recordClip() {
+        try {
+            // Look the location up while recording, not after
+            const location = this.locateCapture();
+            Camera.updateStatus('');
+
+            const clip = await Camera.recordClip();
+            Camera.updateStatus(clip.capped ? '⏹ Clip limit reached, saving...' : 'Saving clip...');
+
+            const locationData = await location;
+            const memory = {
+                photo: clip.blob,
+                thumbnail: await ImageUtils.createThumbnail(clip.poster),
+                mediaType: 'video',
+                duration: clip.duration,
+                location: locationData,
+                timestamp: clip.startedAt,
+                metadataSource: { location: locationData ? 'device' : null, time: 'now' }
+            };
+            this.linkToTrack(memory);
+
+            const id = await Storage.saveMemory(memory);
+
+            Camera.updateStatus(locationData ? '✅ Clip saved!' : '✅ Clip saved without location');
+            this.afterSave();
+
+            await this.loadMemories();
+            this.renderFeed();
+            this.showFeedAfterCapture();
+            this.offerVoiceNote(id);
+        } catch (error) {
+            console.error('Clip error:', error);
+            Camera.updateStatus('❌ Recording failed');
+            if (Storage.isQuotaError(error)) {
+                UI.showToast('error', this.saveErrorMessage(error, 'Failed to save clip'), 6000);
+            }
+        }
+    },
 
+    /**
+     * Swap a card's poster for the clip itself, and play it
+     * @param {HTMLElement} media - The card's .memory-media element
+     * @param {Object} memory
+     */
+    async playInline(media, memory) {
+        try {
+            const clip = await Storage.getPhoto(memory.id);
+            if (!clip) return;
+
+            const video = document.createElement('video');
+            video.src = ImageUtils.objectUrl('inline-clip', clip);  // One clip at a time keeps memory use down
+            video.poster = ImageUtils.objectUrl(`thumb-${memory.id}`, memory.thumbnail);
+            video.controls = true;
+            video.playsInline = true;
+            media.replaceChildren(video);
+            await video.play();
         } catch (error) {
-            console.error('Capture error:', error);
+            console.error('Clip playback error:', error);
+            UI.showToast('error', 'Could not play this clip');
+        }
+    },
+
+    /**
+     * Play a memory's voice note, or stop it if it is already playing
+     * @param {number} id - The memory id
+     */
+    async playVoiceNote(id) {
+        try {
+            const voice = await Storage.getVoiceNote(id);
+            if (voice) {
+                Voice.toggle(`voice-${id}`, voice);
+            }
+        } catch (error) {
+            console.error('Voice note playback error:', error);
+            UI.showToast('error', 'Could not play this voice note');
+        }
+    },
+
+    // ===== Burst =====
+
+    /**
+     * Take a burst and let the user pick the frames to keep
+     * @param {number} count - Frames to take
+     */
+    async captureBurst(count) {
+        try {
+            // One location lookup for the whole burst, running while the frames are taken
+            const location = this.locateCapture();
+
+            const frames = await Camera.captureBurst(count, (taken) => {
+                Camera.updateStatus(`Capturing ${taken}/${count}...`);
+            });
+
+            this.burst = { frames, kept: new Set(frames.map((_, index) => index)), location };
+            Camera.updateStatus('Pick the photos to keep');
+            this.renderBurst();
+            UI.openModal('burst');
+        } catch (error) {
+            console.error('Burst error:', error);
             Camera.updateStatus('❌ Capture failed');
         }
     },
 
+    /**
+     * Setup the burst picker: tap to keep or drop a frame
+     */
+    setupBurstPicker() {
+        document.getElementById('burst-grid').addEventListener('click', (e) => {
+            const frame = e.target.closest('[data-index]');
+            if (!frame || !this.burst) return;
+
+            const index = Number(frame.dataset.index);
+            if (this.burst.kept.has(index)) {
+                this.burst.kept.delete(index);
+            } else {
+                this.burst.kept.add(index);
+            }
+            this.renderBurst();
+        });
+
+        document.getElementById('discard-burst').addEventListener('click', () => {
+            this.burst = null;
+            UI.closeModal();
+            Camera.updateStatus('Burst discarded');
+        });
+
+        document.getElementById('save-burst').addEventListener('click', async () => {
+            await this.saveBurst();
+        });
+    },
+
+    /**
+     * Show the frames of the burst, marking the ones that will be kept
+     */
+    renderBurst() {
+        const { frames, kept } = this.burst;
+
+        document.getElementById('burst-grid').innerHTML = frames.map((frame, index) => `
+            <button class="gallery-item burst-frame ${kept.has(index) ? 'selected' : 'dropped'}" data-index="${index}"
+                aria-pressed="${kept.has(index)}">
+                <img src="${ImageUtils.objectUrl(`burst-${index}`, frame.blob)}" alt="Frame ${index + 1}">
+                <span class="gallery-date">${index + 1}/${frames.length}</span>
+            </button>
+        `).join('');
+
+        const save = document.getElementById('save-burst');
+        save.textContent = `Save ${kept.size} Photo${kept.size === 1 ? '' : 's'}`;
+        save.disabled = kept.size === 0;
+    },
+
+    /**
+     * Save the kept frames as separate memories, all at the burst's location
+     */
+    async saveBurst() {
+        if (!this.burst) return;
+        const { frames, kept, location } = this.burst;
+        const save = document.getElementById('save-burst');
+        save.disabled = true;
+
+        try {
+            Camera.updateStatus('Getting location...');
+            const locationData = await location;
+
+            const memories = frames
+                .filter((_, index) => kept.has(index))
+                .map(frame => {
+                    const memory = {
+                        photo: frame.blob,
+                        location: locationData ? { ...locationData } : null,
+                        timestamp: frame.timestamp,
+                        metadataSource: { location: locationData ? 'device' : null, time: 'now' }
+                    };
+                    this.linkToTrack(memory);
+                    return memory;
+                });
+
+            await Storage.saveMemories(memories);
+
+            this.burst = null;
+            UI.closeModal();
+            UI.showToast('success', `${memories.length} photo${memories.length === 1 ? '' : 's'} saved${locationData ? '' : ' without location'} 📸`);
+            Camera.updateStatus('✅ Memories saved!');
+            this.afterSave();
+
+            await this.loadMemories();
+            this.renderFeed();
+            this.showFeedAfterCapture();
+        } catch (error) {
+            console.error('Burst save error:', error);
+            save.disabled = false;
+            UI.showToast('error', this.saveErrorMessage(error, 'Failed to save photos'), 6000);
+        }
+    },
+
     /**
      * Handle file upload fallback
+     * A gallery photo keeps its own EXIF location and capture time when it has them
      */
     async handleFileUpload(file) {
         try {
-            const reader = new FileReader();
+            Camera.updateStatus('Reading photo...');
+            const exif = await Exif.read(file) || {};
 
-            reader.onload = async (e) => {
-                const photoData = e.target.result;
+            let locationData = null;
+            let locationSource = null;
 
+            if (exif.latitude !== undefined) {
+                Camera.updateStatus('📍 Using location from photo...');
+                locationData = await GeoLocation.describeLocation(exif.latitude, exif.longitude);
+                locationSource = 'exif';
+            } else {
                 Camera.updateStatus('Getting location...');
-
-                let locationData = null;
                 try {
                     locationData = await GeoLocation.getCurrentPosition();
+                    locationSource = 'device';
                 } catch (error) {
                     console.warn('Location unavailable:', error);
                 }
+            }
 
-                const memory = {
-                    photo: photoData,
-                    location: locationData,
-                    timestamp: Date.now()
-                };
+            const timeSource = exif.dateTaken ? 'exif' : (file.lastModified ? 'file' : 'now');
 
-                await Storage.saveMemory(memory);
+            // The File is a Blob, so it's stored as-is
+            const memory = {
+                photo: file,
+                location: locationData,
+                timestamp: exif.dateTaken || file.lastModified || Date.now(),
+                orientation: exif.orientation,
+                metadataSource: { location: locationSource, time: timeSource }
+            };
+            this.linkToTrack(memory);
 
-                Camera.updateStatus('✅ Photo saved!');
+            await Storage.saveMemory(memory);
 
-                await this.loadMemories();
-                this.renderFeed();
+            const sources = [
+                locationSource === 'exif' ? 'location' : '',
+                timeSource === 'exif' ? 'time' : ''
+            ].filter(Boolean).join(' & ');
+            Camera.updateStatus(sources ? `✅ Photo saved! (${sources} from the photo)` : '✅ Photo saved!');
+            this.afterSave();
 
-                setTimeout(() => {
-                    this.switchView('feed-view');
-                    document.querySelectorAll('.nav-item, .nav-btn').forEach(btn => {
-                        btn.classList.toggle('active', btn.dataset.view === 'feed-view');
-                    });
-                }, 1000);
-            };
+            await this.loadMemories();
+            this.renderFeed();
 
-            reader.readAsDataURL(file);
+            setTimeout(() => {
+                this.switchView('feed-view');
+                document.querySelectorAll('.nav-item, .nav-btn').forEach(btn => {
+                    btn.classList.toggle('active', btn.dataset.view === 'feed-view');
+                });
+            }, 1000);
 
         } catch (error) {
             console.error('File upload error:', error);
             Camera.updateStatus('❌ Upload failed');
+            if (Storage.isQuotaError(error)) {
+                UI.showToast('error', this.saveErrorMessage(error), 6000);
+            }
         }
     },
 
@@ -367,11 +767,111 @@ const App = {
             this.memories = await Storage.getAllMemories();
             this.filteredMemories = [...this.memories];
             console.log(`📚 Loaded ${this.memories.length} memories`);
+            await this.loadLabels();
+
+            // From here on Storage keeps the index up to date
+            if (!Search.ready) {
+                Search.build(this.memories);
+            }
         } catch (error) {
             console.error('Error loading memories:', error);
             this.memories = [];
             this.filteredMemories = [];
         }
+        this.updatePlaceFilter();
+        this.updateLabelFilters();
+    },
+
+    /**
+     * Load tags and albums, and offer their names in the chip inputs
+     */
+    async loadLabels() {
+        const [tags, albums] = await Promise.all([Storage.getAllTags(), Storage.getAllAlbums()]);
+        this.tags = new Map(tags.map(tag => [tag.id, tag]));
+        this.albums = new Map(albums.map(album => [album.id, album]));
+
+        UI.setSuggestions('tag-suggestions', tags.map(tag => tag.name));
+        UI.setSuggestions('album-suggestions', albums.map(album => album.name));
+    },
+
+    /**
+     * Fill the tag and album filters; only tags and albums that have memories are listed
+     */
+    updateLabelFilters() {
+        const fill = (select, labels, idsOf, allLabel, describe) => {
+            const counts = new Map();
+            this.memories.forEach(memory => {
+                (idsOf(memory) || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+            });
+
+            const used = [...labels.values()].filter(label => counts.has(label.id));
+            select.innerHTML = `<option value="">${allLabel}</option>` + used.map(label =>
+                `<option value="${label.id}">${UI.escapeHtml(describe(label))} (${counts.get(label.id)})</option>`
+            ).join('');
+            select.classList.toggle('hidden', used.length === 0);
+            return used;
+        };
+
+        const tagSelect = document.getElementById('tag-filter');
+        const usedTags = fill(tagSelect, this.tags, memory => memory.tagIds, 'All tags', tag => `#${tag.name}`);
+        if (!usedTags.some(tag => tag.id === this.tagFilter)) this.tagFilter = null;
+        tagSelect.value = this.tagFilter ?? '';
+
+        const albumSelect = document.getElementById('album-filter');
+        const usedAlbums = fill(albumSelect, this.albums, memory => memory.albumIds, 'All albums', album => {
+            const span = this.formatAlbumSpan(album);
+            return span ? `${album.name} · ${span}` : album.name;
+        });
+        if (!usedAlbums.some(album => album.id === this.albumFilter)) this.albumFilter = null;
+        albumSelect.value = this.albumFilter ?? '';
+
+        document.getElementById('albums-btn').classList.toggle('hidden', this.albums.size === 0);
+    },
+
+    /**
+     * Memories in an album, newest first
+     * @param {number} albumId
+     * @returns {Array}
+     */
+    albumMemories(albumId) {
+        return this.memories.filter(memory => (memory.albumIds || []).includes(albumId));
+    },
+
+    /**
+     * Dates an album covers: its own, or else the span of its photos
+     * @param {Object} album
+     * @returns {Object|null} { start, end } timestamps
+     */
+    albumSpan(album) {
+        const timestamps = this.albumMemories(album.id).map(memory => memory.timestamp);
+        const start = album.startDate ?? (timestamps.length ? Math.min(...timestamps) : null);
+        const end = album.endDate ?? (timestamps.length ? Math.max(...timestamps) : null);
+        return start === null && end === null ? null : { start: start ?? end, end: end ?? start };
+    },
+
+    /**
+     * Album date span for people, e.g. "3 May – 12 May 2024"
+     * @param {Object} album
+     * @returns {string}
+     */
+    formatAlbumSpan(album) {
+        const span = this.albumSpan(album);
+        if (!span) return '';
+
+        const format = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+        const start = format(span.start);
+        const end = format(span.end);
+        return start === end ? start : `${start} – ${end}`;
+    },
+
+    /**
+     * The memory whose thumbnail stands for an album: its chosen cover, else its newest photo
+     * @param {Object} album
+     * @returns {Object|null}
+     */
+    albumCover(album) {
+        const memories = this.albumMemories(album.id);
+        return memories.find(memory => memory.id === album.coverId) || memories[0] || null;
     },
 
     /**
@@ -383,15 +883,15 @@ const App = {
 
         grid.innerHTML = '';
 
-        const memoriesToShow = this.filteredMemories.length > 0 ? this.filteredMemories : this.memories;
+        const memoriesToShow = this.filteredMemories;
 
         if (memoriesToShow.length === 0) {
-            if (this.searchQuery) {
+            if (this.memories.length > 0) {
                 grid.innerHTML = `
                     <div class="empty-state">
                         <div class="empty-icon">🔍</div>
                         <h3>No results found</h3>
-                        <p>Try a different search term</p>
+                        <p>Try a different search or filter</p>
                     </div>
                 `;
             } else {
@@ -430,25 +930,61 @@ const App = {
             minute: '2-digit'
         });
 
-        const locationName = memory.location?.locationName || 'Location unavailable';
+        const locationName = memory.location?.locationName
+            ? Search.highlight(memory.location.locationName, this.highlightTerms)
+            : 'Location unavailable';
         // Only show coordinates if we have actual GPS data
         const coords = (memory.location && memory.location.latitude !== undefined && memory.location.longitude !== undefined)
             ? `${memory.location.latitude.toFixed(4)}, ${memory.location.longitude.toFixed(4)}`
             : '';
-        const notes = memory.notes || '';
+        const notes = Search.highlight(memory.notes || '', this.highlightTerms);
+
+        // Tag and album chips; clicking one filters the feed by it
+        const chips = [
+            ...(memory.tagIds || []).map(id => this.tags.get(id)).filter(Boolean)
+                .map(tag => `<button class="chip chip-tag" data-tag-id="${tag.id}">#${UI.escapeHtml(tag.name)}</button>`),
+            ...(memory.albumIds || []).map(id => this.albums.get(id)).filter(Boolean)
+                .map(album => `<button class="chip chip-album" data-album-id="${album.id}">📚 ${UI.escapeHtml(album.name)}</button>`)
+        ].join('');
+
+        // The feed only ever shows thumbnails, the full photo is loaded on demand
+        const thumbnailUrl = ImageUtils.objectUrl(`thumb-${memory.id}`, memory.thumbnail);
+
+        // A clip shows its poster until played, right in the card
+        const isVideo = memory.mediaType === 'video';
 
         card.innerHTML = `
-            <img src="${memory.photo}" alt="Memory photo">
+            <div class="memory-media">
+                <img src="${thumbnailUrl}" alt="${isVideo ? 'Memory clip' : 'Memory photo'}" loading="lazy">
+                ${isVideo ? `<button class="media-play" aria-label="Play clip">▶ ${UI.formatClock(memory.duration)}</button>` : ''}
+            </div>
             <div class="memory-info">
                 <div class="memory-location">📍 ${locationName}</div>
                 <div class="memory-date">${date}</div>
                 ${notes ? `<div class="memory-notes">${notes}</div>` : ''}
+                ${memory.voiceNote ? `<button class="voice-play" aria-label="Play voice note">🎙️ ${UI.formatClock(memory.voiceNote.duration)}</button>` : ''}
+                ${chips ? `<div class="memory-chips">${chips}</div>` : ''}
                 ${coords ? `<div class="memory-coords">${coords}</div>` : ''}
             </div>
         `;
 
-        // Click to edit
-        card.addEventListener('click', () => {
+        // Click to edit (or, on a chip, to filter; on a clip or voice note, to play it)
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('.media-play')) {
+                this.playInline(card.querySelector('.memory-media'), memory);
+                return;
+            }
+            if (e.target.closest('.voice-play')) {
+                this.playVoiceNote(memory.id);
+                return;
+            }
+            if (e.target.closest('video')) return;
+
+            const chip = e.target.closest('.chip');
+            if (chip) {
+                this.filterByLabel(chip.dataset.tagId ? 'tag' : 'album', Number(chip.dataset.tagId || chip.dataset.albumId));
+                return;
+            }
             this.openEditModal(memory);
         });
 
@@ -458,14 +994,55 @@ const App = {
     /**
      * Open edit modal
      */
-    openEditModal(memory) {
+    async openEditModal(memory) {
         this.currentEditId = memory.id;
 
-        document.getElementById('edit-image').src = memory.photo;
+        // Show the thumbnail straight away, then swap in the full photo (or the clip)
+        const isVideo = memory.mediaType === 'video';
+        const editImage = document.getElementById('edit-image');
+        const editVideo = document.getElementById('edit-video');
+        editImage.src = ImageUtils.objectUrl(`thumb-${memory.id}`, memory.thumbnail);
+        editImage.classList.toggle('hidden', isVideo);
+        editVideo.classList.toggle('hidden', !isVideo);
+        editVideo.removeAttribute('src');
+        editVideo.poster = isVideo ? editImage.src : '';
+        document.getElementById('edit-photo-btn').classList.toggle('hidden', isVideo);
+        PhotoEditor.close();
         document.getElementById('edit-location').value = memory.location?.locationName || '';
         document.getElementById('edit-notes').value = memory.notes || '';
 
+        const address = memory.location?.address || {};
+        this.addressFields.forEach(field => {
+            document.getElementById(`edit-address-${field}`).value = address[field] || '';
+        });
+
+        const names = (ids, labels) => (ids || []).map(id => labels.get(id)?.name).filter(Boolean);
+        UI.setChips('edit-tags', names(memory.tagIds, this.tags));
+        UI.setChips('edit-albums', names(memory.albumIds, this.albums));
+        document.getElementById('edit-album-cover').checked =
+            (memory.albumIds || []).some(id => this.albums.get(id)?.coverId === memory.id);
+
+        UI.setVoiceNote('edit-voice', null);
+
         UI.openModal('edit');
+
+        try {
+            // An edited photo is shown as edited, the original stays in storage
+            const photo = await Storage.getPhoto(memory.id);
+            const shown = photo && memory.edits && !isVideo
+                ? await PhotoEditor.renderBlob(photo, memory.orientation, memory.edits, PhotoEditor.previewSize)
+                : photo;
+            if (shown && this.currentEditId === memory.id) {
+                (isVideo ? editVideo : editImage).src = ImageUtils.objectUrl('edit-photo', shown);
+            }
+
+            const voice = memory.voiceNote ? await Storage.getVoiceNote(memory.id) : null;
+            if (voice && this.currentEditId === memory.id && !UI.getVoiceNote('edit-voice').changed) {
+                UI.setVoiceNote('edit-voice', { data: voice, duration: memory.voiceNote.duration });
+            }
+        } catch (error) {
+            console.warn('Could not load full photo:', error);
+        }
     },
 
     /**
@@ -477,7 +1054,7 @@ const App = {
 
         // Search
         searchInput.addEventListener('input', (e) => {
-            this.searchQuery = e.target.value.toLowerCase();
+            this.searchQuery = e.target.value.trim();
             this.applyFilters();
         });
 
@@ -487,36 +1064,82 @@ const App = {
             this.applyFilters();
         });
 
+        // Country / city filter
+        document.getElementById('place-filter').addEventListener('change', (e) => {
+            this.placeFilter = e.target.value;
+            this.applyFilters();
+        });
+
+        // Tag and album filters
+        document.getElementById('tag-filter').addEventListener('change', (e) => {
+            this.tagFilter = e.target.value ? Number(e.target.value) : null;
+            this.applyFilters();
+        });
+        document.getElementById('album-filter').addEventListener('change', (e) => {
+            this.albumFilter = e.target.value ? Number(e.target.value) : null;
+            this.applyFilters();
+        });
+
         // Save edit
         document.getElementById('save-edit').addEventListener('click', async () => {
             await this.saveEdit();
         });
 
-        // Delete photo
+        // Crop, rotate and adjust the photo
+        document.getElementById('edit-photo-btn').addEventListener('click', async () => {
+            await this.openPhotoEditor();
+        });
+
+        // Share photo
+        document.getElementById('share-photo').addEventListener('click', async () => {
+            await this.sharePhoto();
+        });
+
+        // Delete photo (moves it to the trash, the toast offers an undo)
         document.getElementById('delete-photo').addEventListener('click', async () => {
-            if (confirm('Are you sure you want to delete this memory? This cannot be undone.')) {
-                await this.deletePhoto();
-            }
+            await this.deletePhoto();
         });
     },
 
     /**
      * Apply search and filter
+     * Async because near:<place> may have to load the gazetteer
      */
-    applyFilters() {
+    async applyFilters() {
+        const run = ++this.searchRun;
         let filtered = [...this.memories];
+        let ranked = null;  // Map(id -> relevance) when the search has words to rank by
+
+        // Country / city filter
+        if (this.placeFilter) {
+            filtered = filtered.filter(memory => this.placeKeys(memory).includes(this.placeFilter));
+        }
+
+        // Tag and album filters
+        if (this.tagFilter !== null) {
+            filtered = filtered.filter(memory => (memory.tagIds || []).includes(this.tagFilter));
+        }
+        if (this.albumFilter !== null) {
+            filtered = filtered.filter(memory => (memory.albumIds || []).includes(this.albumFilter));
+        }
 
         // Search filter
+        this.highlightTerms = [];
         if (this.searchQuery) {
-            filtered = filtered.filter(memory => {
-                const location = memory.location?.locationName?.toLowerCase() || '';
-                const notes = memory.notes?.toLowerCase() || '';
-                return location.includes(this.searchQuery) || notes.includes(this.searchQuery);
-            });
+            const result = await Search.search(this.searchQuery);
+            if (run !== this.searchRun) return;  // The query changed while we waited
+
+            filtered = filtered.filter(memory => result.scores.has(memory.id));
+            this.highlightTerms = result.terms;
+            if (result.ranked) {
+                ranked = result.scores;
+            }
         }
 
-        // Sort
-        if (this.sortOrder === 'newest') {
+        // Sort (best matches first while searching for words)
+        if (ranked) {
+            filtered.sort((a, b) => ranked.get(b.id) - ranked.get(a.id) || b.timestamp - a.timestamp);
+        } else if (this.sortOrder === 'newest') {
             filtered.sort((a, b) => b.timestamp - a.timestamp);
         } else if (this.sortOrder === 'oldest') {
             filtered.sort((a, b) => a.timestamp - b.timestamp);
@@ -526,6 +1149,16 @@ const App = {
                 const locB = b.location?.locationName || '';
                 return locA.localeCompare(locB);
             });
+        } else if (this.sortOrder === 'country') {
+            // Grouped by country, then city, newest first within a place; unknown places last
+            const compareParts = (a, b) => (a && b) ? a.localeCompare(b) : Boolean(b) - Boolean(a);
+            filtered.sort((a, b) => {
+                const addressA = a.location?.address || {};
+                const addressB = b.location?.address || {};
+                return compareParts(addressA.country, addressB.country)
+                    || compareParts(addressA.city, addressB.city)
+                    || b.timestamp - a.timestamp;
+            });
         }
 
         this.filteredMemories = filtered;
@@ -533,10 +1166,68 @@ const App = {
     },
 
     /**
-     * Save edited memory
+     * Filter keys a memory matches: its country, and its city within that country
+     * @param {Object} memory
+     * @returns {Array<string>} e.g. ['country:FR', 'city:FR:Paris']
      */
-    async saveEdit() {
-        if (!this.currentEditId) return;
+    placeKeys(memory) {
+        const address = memory.location?.address;
+        if (!address) return [];
+
+        const country = address.countryCode || address.country;
+        if (!country) return [];
+
+        return address.city ? [`country:${country}`, `city:${country}:${address.city}`] : [`country:${country}`];
+    },
+
+    /**
+     * Fill the country / city filter with the places the memories were taken in
+     */
+    updatePlaceFilter() {
+        const select = document.getElementById('place-filter');
+        const countries = new Map();  // key -> { name, count, cities: Map(name -> count) }
+
+        this.memories.forEach(memory => {
+            const address = memory.location?.address;
+            const [countryKey] = this.placeKeys(memory);
+            if (!countryKey) return;
+
+            if (!countries.has(countryKey)) {
+                countries.set(countryKey, { name: address.country || address.countryCode, count: 0, cities: new Map() });
+            }
+            const country = countries.get(countryKey);
+            country.count++;
+            if (address.city) {
+                country.cities.set(address.city, (country.cities.get(address.city) || 0) + 1);
+            }
+        });
+
+        const options = [...countries.entries()]
+            .sort((a, b) => a[1].name.localeCompare(b[1].name))
+            .map(([key, country]) => {
+                const cities = [...country.cities.entries()]
+                    .sort((a, b) => a[0].localeCompare(b[0]))
+                    .map(([city, count]) => {
+                        const value = `city:${key.slice('country:'.length)}:${city}`;
+                        return `<option value="${UI.escapeHtml(value)}">&nbsp;&nbsp;${UI.escapeHtml(city)} (${count})</option>`;
+                    });
+                return [`<option value="${UI.escapeHtml(key)}">${UI.escapeHtml(country.name)} (${country.count})</option>`, ...cities].join('');
+            });
+
+        select.innerHTML = `<option value="">All places</option>${options.join('')}`;
+
+        // Keep the current choice if that place still has memories
+        const stillThere = [...select.options].some(option => option.value === this.placeFilter);
+        this.placeFilter = stillThere ? this.placeFilter : '';
+        select.value = this.placeFilter;
+        select.classList.toggle('hidden', countries.size === 0);
+    },
+
+    /**
+     * Save edited memory
+     */
+    async saveEdit() {
+        if (!this.currentEditId) return;
 
         try {
             const memory = await Storage.getMemory(this.currentEditId);
@@ -548,7 +1239,37 @@ const App = {
             memory.location.locationName = newLocation;
             memory.notes = newNotes;
 
+            // Any change to the address parts makes them the user's, backfill leaves them alone
+            const oldAddress = memory.location.address || {};
+            const newAddress = {};
+            this.addressFields.forEach(field => {
+                newAddress[field] = document.getElementById(`edit-address-${field}`).value.trim() || null;
+            });
+            if (newAddress.countryCode) {
+                newAddress.countryCode = newAddress.countryCode.toUpperCase();
+            }
+            if (this.addressFields.some(field => (oldAddress[field] || null) !== newAddress[field])) {
+                memory.location.address = newAddress;
+                memory.location.addressSource = 'manual';
+            }
+
+            memory.tagIds = await Storage.ensureTags(UI.getChips('edit-tags'));
+            memory.albumIds = await Storage.ensureAlbums(UI.getChips('edit-albums'));
+
             await Storage.updateMemory(memory);
+            await this.updateAlbumCovers(memory, document.getElementById('edit-album-cover').checked);
+
+            // After updateMemory, which would otherwise write back the old voiceNote field
+            const voice = UI.getVoiceNote('edit-voice');
+            if (voice.changed) {
+                await Storage.setVoiceNote(memory.id, voice.note);
+            }
+
+            // Same for the photo edits; the thumbnail is rendered from them
+            if (PhotoEditor.hasChanges()) {
+                await Storage.setEdits(memory.id, PhotoEditor.result(), await PhotoEditor.renderThumbnail());
+            }
+            PhotoEditor.close();
 
             UI.showToast('success', 'Changes saved! ✅');
             UI.closeModal();
@@ -561,16 +1282,115 @@ const App = {
         }
     },
 
+    /**
+     * Open the photo editor on the memory being edited, in place of its preview
+     */
+    async openPhotoEditor() {
+        const id = this.currentEditId;
+        if (!id) return;
+
+        try {
+            const memory = await Storage.getMemory(id);
+            if (!memory || !memory.photo || this.currentEditId !== id) return;
+
+            await PhotoEditor.open(memory.photo, memory.orientation, memory.edits);
+            document.getElementById('edit-image').classList.add('hidden');
+            document.getElementById('edit-photo-btn').classList.add('hidden');
+        } catch (error) {
+            console.error('Photo editor error:', error);
+            UI.showToast('error', 'Could not open the photo editor');
+        }
+    },
+
+    /**
+     * Make a memory the cover of its albums, or stop it being one
+     * @param {Object} memory - With its albumIds as just saved
+     * @param {boolean} isCover
+     */
+    async updateAlbumCovers(memory, isCover) {
+        const albums = await Storage.getAllAlbums();
+
+        for (const album of albums) {
+            const inAlbum = (memory.albumIds || []).includes(album.id);
+            const wasCover = album.coverId === memory.id;
+
+            if (inAlbum && isCover && !wasCover) {
+                await Storage.updateAlbum({ ...album, coverId: memory.id });
+            } else if (wasCover && !(inAlbum && isCover)) {
+                await Storage.updateAlbum({ ...album, coverId: null });
+            }
+        }
+    },
+
+    /**
+     * Show only the memories with a tag or in an album
+     * @param {string} type - 'tag' or 'album'
+     * @param {number} id
+     */
+    filterByLabel(type, id) {
+        if (type === 'tag') {
+            this.tagFilter = id;
+            document.getElementById('tag-filter').value = id;
+        } else {
+            this.albumFilter = id;
+            document.getElementById('album-filter').value = id;
+        }
+        this.applyFilters();
+    },
+
+    /**
+     * Share the photo being edited, with its location and time written into EXIF
+     * Falls back to a download where the Web Share API can't share files
+     */
+    async sharePhoto() {
+        if (!this.currentEditId) return;
+
+        try {
+            const memory = await Storage.getMemory(this.currentEditId);
+            if (!memory || !memory.photo) {
+                UI.showToast('error', 'This memory has no photo to share');
+                return;
+            }
+
+            // Share the photo as edited; its pixels are already upright, so no EXIF rotation
+            const source = memory.edits
+                ? await PhotoEditor.renderBlob(memory.photo, memory.orientation, memory.edits)
+                : memory.photo;
+            const photo = await Exporter.photoWithMetadata(
+                memory.edits ? { ...memory, orientation: 1 } : memory, source);
+            const fileName = `${Exporter.photoBaseName(memory)}.${Exporter.extensionFor(photo.type)}`;
+            const file = new File([photo], fileName, { type: photo.type });
+            const title = memory.location?.locationName || 'GeoSnap memory';
+
+            if (navigator.canShare && navigator.canShare({ files: [file] })) {
+                await navigator.share({ files: [file], title, text: memory.notes || title });
+            } else {
+                Exporter.download(file, fileName);
+                UI.showToast('success', 'Photo downloaded with its location 📍');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;  // User closed the share sheet
+            console.error('Share error:', error);
+            UI.showToast('error', 'Failed to share photo');
+        }
+    },
+
     /**
      * Delete photo
+     * Moves it to the trash; the toast's Undo button puts it straight back
      */
     async deletePhoto() {
         if (!this.currentEditId) return;
 
+        const id = this.currentEditId;
+
         try {
-            await Storage.deleteMemory(this.currentEditId);
+            await Storage.trashMemory(id);
 
-            UI.showToast('success', 'Memory deleted');
+            UI.showToast('success', 'Memory moved to trash', 6000, {
+                label: 'Undo',
+                onClick: () => this.restoreFromTrash(id)
+            });
             UI.closeModal();
 
             await this.loadMemories();
@@ -581,32 +1401,1179 @@ const App = {
         }
     },
 
+    /**
+     * Setup trash view controls
+     */
+    setupTrash() {
+        const daysSelect = document.getElementById('trash-days-select');
+        daysSelect.value = String(this.getTrashDays());
+
+        daysSelect.addEventListener('change', async (e) => {
+            localStorage.setItem(this.trashDaysKey, e.target.value);
+            await this.purgeExpiredTrash();
+            await this.loadTrash();
+        });
+
+        document.getElementById('empty-trash-btn').addEventListener('click', async () => {
+            if (this.trashedMemories.length === 0) return;
+            if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+            try {
+                const purged = await Storage.purgeTrash();
+                UI.showToast('success', `Deleted ${purged} memor${purged === 1 ? 'y' : 'ies'} permanently`);
+                await this.loadTrash();
+            } catch (error) {
+                console.error('Empty trash error:', error);
+                UI.showToast('error', 'Failed to empty trash');
+            }
+        });
+    },
+
+    /**
+     * How many days a memory stays in the trash, 0 means forever
+     */
+    getTrashDays() {
+        const stored = parseInt(localStorage.getItem(this.trashDaysKey), 10);
+        return Number.isFinite(stored) && stored >= 0 ? stored : this.defaultTrashDays;
+    },
+
+    /**
+     * Permanently delete memories that have been in the trash too long
+     */
+    async purgeExpiredTrash() {
+        const days = this.getTrashDays();
+        if (days === 0) return;
+
+        try {
+            await Storage.purgeTrash(Date.now() - days * 24 * 60 * 60 * 1000);
+        } catch (error) {
+            console.error('Trash purge failed:', error);
+        }
+    },
+
+    /**
+     * Load and show the memories in the trash
+     */
+    async loadTrash() {
+        try {
+            this.trashedMemories = (await Storage.getAllMemories({ trashed: true }))
+                .sort((a, b) => b.deletedAt - a.deletedAt);
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.trashedMemories = [];
+        }
+        this.renderTrash();
+    },
+
+    /**
+     * Render the trash grid
+     */
+    renderTrash() {
+        const grid = document.getElementById('trash-grid');
+        grid.innerHTML = '';
+
+        if (this.trashedMemories.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🗑️</div>
+                    <h3>Trash is empty</h3>
+                    <p>Deleted memories wait here until they are restored or permanently deleted.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.trashedMemories.forEach(memory => {
+            grid.appendChild(this.createTrashCard(memory));
+        });
+    },
+
+    /**
+     * Create a card for a trashed memory, with restore and delete buttons
+     */
+    createTrashCard(memory) {
+        const card = document.createElement('div');
+        card.className = 'memory-card trash-card';
+
+        const locationName = UI.escapeHtml(memory.location?.locationName || 'Location unavailable');
+        const deletedDate = new Date(memory.deletedAt).toLocaleDateString();
+        const days = this.getTrashDays();
+        const daysLeft = Math.max(0, Math.ceil((memory.deletedAt + days * 24 * 60 * 60 * 1000 - Date.now()) / (24 * 60 * 60 * 1000)));
+        const thumbnailUrl = ImageUtils.objectUrl(`thumb-${memory.id}`, memory.thumbnail);
+
+        card.innerHTML = `
+            <img src="${thumbnailUrl}" alt="Deleted memory photo" loading="lazy">
+            <div class="memory-info">
+                <div class="memory-location">📍 ${locationName}</div>
+                <div class="memory-date">Deleted ${deletedDate}${days > 0 ? ` · gone for good in ${daysLeft} day${daysLeft === 1 ? '' : 's'}` : ''}</div>
+                <div class="trash-actions">
+                    <button class="btn-primary restore-btn">Restore</button>
+                    <button class="btn-danger delete-forever-btn">Delete Forever</button>
+                </div>
+            </div>
+        `;
+
+        card.querySelector('.restore-btn').addEventListener('click', () => {
+            this.restoreFromTrash(memory.id);
+        });
+
+        card.querySelector('.delete-forever-btn').addEventListener('click', async () => {
+            if (!confirm('Permanently delete this memory? This cannot be undone.')) return;
+
+            try {
+                await Storage.deleteMemory(memory.id);
+                ImageUtils.revokeObjectUrl(`thumb-${memory.id}`);
+                UI.showToast('success', 'Memory deleted permanently');
+                await this.loadTrash();
+            } catch (error) {
+                console.error('Delete error:', error);
+                UI.showToast('error', 'Failed to delete memory');
+            }
+        });
+
+        return card;
+    },
+
+    /**
+     * Take a memory out of the trash and back into the feed
+     */
+    async restoreFromTrash(id) {
+        try {
+            await Storage.restoreMemory(id);
+            UI.showToast('success', 'Memory restored ♻️');
+
+            await this.loadMemories();
+            this.applyFilters();
+            if (this.currentView === 'trash-view') {
+                await this.loadTrash();
+            }
+        } catch (error) {
+            console.error('Restore error:', error);
+            UI.showToast('error', 'Failed to restore memory');
+        }
+    },
+
     /**
      * Setup export functionality
      */
     setupExport() {
-        document.getElementById('export-btn').addEventListener('click', async () => {
-            try {
-                const jsonData = await Storage.exportData();
+        document.getElementById('export-btn').addEventListener('click', () => {
+            document.getElementById('export-result').classList.add('hidden');
+            UI.openModal('export');
+        });
 
-                const blob = new Blob([jsonData], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
+        document.getElementById('cancel-export').addEventListener('click', () => {
+            UI.closeModal();
+        });
+
+        document.getElementById('confirm-export').addEventListener('click', async () => {
+            const format = document.querySelector('input[name="export-format"]:checked').value;
+            await this.exportMemories(format);
+        });
+    },
 
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `geosnap-export-${Date.now()}.json`;
-                a.click();
+    /**
+     * Export all memories in the chosen format
+     * @param {string} format - 'json', 'zip', 'gpx' or 'kml'
+     */
+    async exportMemories(format) {
+        const exportButton = document.getElementById('confirm-export');
+        exportButton.disabled = true;
 
-                URL.revokeObjectURL(url);
+        try {
+            if (format === 'json') {
+                const jsonData = await Storage.exportData();
+                const blob = new Blob([jsonData], { type: 'application/json' });
+                Exporter.download(blob, `geosnap-export-${Date.now()}.json`);
 
                 UI.showToast('success', 'Data exported successfully! 💾');
+                UI.closeModal();
+                return;
+            }
+
+            if (format === 'zip') {
+                UI.showToast('success', 'Building ZIP archive...');
+                const { blob, exported } = await Exporter.toZip(await Storage.getAllMemories());
+                Exporter.download(blob, `geosnap-export-${Date.now()}.zip`);
+
+                UI.showToast('success', `Exported ${exported} photo${exported === 1 ? '' : 's'} as ZIP 🗜️`);
+                UI.closeModal();
+                return;
+            }
+
+            const includeThumbnails = document.getElementById('export-thumbnails').checked;
+            const memories = await Storage.getAllMemories();
+
+            const result = format === 'gpx'
+                ? await Exporter.toGPX(memories, { includeThumbnails })
+                : await Exporter.toKML(memories, { includeThumbnails });
+
+            const types = {
+                gpx: 'application/gpx+xml',
+                kml: 'application/vnd.google-earth.kml+xml'
+            };
+            const blob = new Blob([result.content], { type: types[format] });
+            Exporter.download(blob, `geosnap-export-${Date.now()}.${format}`);
+
+            this.showExportSummary(result);
+            UI.showToast('success', `Exported ${result.exported} waypoint${result.exported === 1 ? '' : 's'} 🗺️`);
+        } catch (error) {
+            console.error('Export error:', error);
+            UI.showToast('error', 'Failed to export data');
+        } finally {
+            exportButton.disabled = false;
+        }
+    },
+
+    /**
+     * List the memories that couldn't be exported because they have no coordinates
+     */
+    showExportSummary(result) {
+        const resultElement = document.getElementById('export-result');
+        const missing = result.withoutLocation;
+
+        resultElement.innerHTML = `
+            <div class="import-counts">
+                <span>✅ ${result.exported} exported</span>
+                <span>⚠️ ${missing.length} without coordinates</span>
+            </div>
+            ${missing.length ? `
+                <p class="export-note">These memories have no GPS coordinates and were left out:</p>
+                <ul class="import-errors">
+                    ${missing.map(memory => `
+                        <li>${new Date(memory.timestamp).toLocaleString()} - ${UI.escapeHtml(memory.location?.locationName || memory.notes || 'Untitled')}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+        resultElement.classList.remove('hidden');
+    },
+
+    /**
+     * Setup import functionality
+     */
+    setupImport() {
+        document.getElementById('import-btn').addEventListener('click', () => {
+            document.getElementById('import-file-input').value = '';
+            document.getElementById('import-result').classList.add('hidden');
+            UI.openModal('import');
+        });
+
+        document.getElementById('cancel-import').addEventListener('click', () => {
+            UI.closeModal();
+        });
+
+        document.getElementById('confirm-import').addEventListener('click', async () => {
+            await this.importBackup();
+        });
+    },
+
+    /**
+     * Import a JSON backup or ZIP archive created by the export button
+     */
+    async importBackup() {
+        const file = document.getElementById('import-file-input').files[0];
+        if (!file) {
+            UI.showToast('error', 'Choose a backup file first');
+            return;
+        }
+
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        if (mode === 'replace' && !confirm('Replace deletes all your current memories before importing. Continue?')) {
+            return;
+        }
+
+        const importButton = document.getElementById('confirm-import');
+        importButton.disabled = true;
+
+        try {
+            // ZIP exports carry a manifest.json plus the image files
+            const data = await Exporter.isZip(file)
+                ? await Exporter.readZip(file)
+                : await file.text();
+            const result = await Storage.importData(data, { mode });
+
+            this.showImportResult(result);
+            UI.showToast('success', `Imported ${result.imported} memor${result.imported === 1 ? 'y' : 'ies'} 📥`);
+
+            await this.loadMemories();
+            this.applyFilters();
+        } catch (error) {
+            console.error('Import error:', error);
+            if (Storage.isQuotaError(error)) {
+                UI.showToast('error', this.saveErrorMessage(error), 6000);
+                return;
+            }
+            const message = error instanceof SyntaxError ? 'That file is not valid JSON' : error.message;
+            UI.showToast('error', `Import failed: ${UI.escapeHtml(message)}`);
+        } finally {
+            importButton.disabled = false;
+        }
+    },
+
+    /**
+     * Show how many records were imported, skipped and rejected
+     */
+    showImportResult(result) {
+        const resultElement = document.getElementById('import-result');
+        const shownErrors = result.errors.slice(0, 5);
+        const moreErrors = result.errors.length - shownErrors.length;
+
+        resultElement.innerHTML = `
+            <div class="import-counts">
+                <span>✅ ${result.imported} imported</span>
+                <span>⏭️ ${result.skipped} duplicates skipped</span>
+                <span>⚠️ ${result.rejected} rejected</span>
+            </div>
+            ${shownErrors.length ? `
+                <ul class="import-errors">
+                    ${shownErrors.map(error => `<li>${UI.escapeHtml(error)}</li>`).join('')}
+                    ${moreErrors > 0 ? `<li>…and ${moreErrors} more</li>` : ''}
+                </ul>
+            ` : ''}
+        `;
+        resultElement.classList.remove('hidden');
+    },
+
+    /**
+     * Setup the albums panel: rename albums, set their dates, delete them
+     */
+    setupAlbums() {
+        document.getElementById('albums-btn').addEventListener('click', () => {
+            this.renderAlbums();
+            UI.openModal('albums');
+        });
+
+        document.getElementById('close-albums').addEventListener('click', () => {
+            UI.closeModal();
+        });
+
+        document.getElementById('save-albums').addEventListener('click', async () => {
+            await this.saveAlbums();
+        });
+
+        document.getElementById('albums-list').addEventListener('click', async (e) => {
+            const row = e.target.closest('[data-album-id]');
+            if (!row) return;
+            const id = Number(row.dataset.albumId);
+
+            if (e.target.closest('.album-show')) {
+                UI.closeModal();
+                this.switchView('feed-view');
+                document.querySelectorAll('.nav-item, .nav-btn').forEach(btn => {
+                    btn.classList.toggle('active', btn.dataset.view === 'feed-view');
+                });
+                this.filterByLabel('album', id);
+            } else if (e.target.closest('.album-delete')) {
+                await this.deleteAlbum(id);
+            }
+        });
+    },
+
+    /**
+     * List the albums with their cover, dates and photo count
+     */
+    renderAlbums() {
+        const list = document.getElementById('albums-list');
+        const dateValue = (timestamp) => {
+            if (timestamp === null || timestamp === undefined) return '';
+            const date = new Date(timestamp);
+            const pad = (number) => String(number).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        };
+
+        list.innerHTML = [...this.albums.values()].map(album => {
+            const cover = this.albumCover(album);
+            const coverUrl = cover ? ImageUtils.objectUrl(`thumb-${cover.id}`, cover.thumbnail) : '';
+            const count = this.albumMemories(album.id).length;
+            const span = this.formatAlbumSpan(album);
+
+            return `
+                <li class="album-row" data-album-id="${album.id}">
+                    ${coverUrl ? `<img class="album-cover" src="${coverUrl}" alt="">` : '<span class="album-cover">📚</span>'}
+                    <div class="album-details">
+                        <input type="text" class="album-name" value="${UI.escapeHtml(album.name)}" aria-label="Album name">
+                        <div class="album-dates">
+                            <input type="date" class="album-start" value="${dateValue(album.startDate)}" aria-label="First day">
+                            <span>–</span>
+                            <input type="date" class="album-end" value="${dateValue(album.endDate)}" aria-label="Last day">
+                        </div>
+                        <div class="upload-queue-status">${count} photo${count === 1 ? '' : 's'}${span ? ` · ${span}` : ''}</div>
+                    </div>
+                    <div class="album-actions">
+                        <button class="btn-location album-show"${count ? '' : ' disabled'}>Show</button>
+                        <button class="btn-danger album-delete">Delete</button>
+                    </div>
+                </li>
+            `;
+        }).join('') || '<li class="export-note">No albums yet. Add photos to one from the upload or edit screen.</li>';
+    },
+
+    /**
+     * Save renamed albums and changed dates
+     */
+    async saveAlbums() {
+        const rows = document.querySelectorAll('#albums-list [data-album-id]');
+
+        try {
+            for (const row of rows) {
+                const album = this.albums.get(Number(row.dataset.albumId));
+                const name = row.querySelector('.album-name').value.trim() || album.name;
+                // Search.parseDate() reads "YYYY-MM-DD" as local midnight, like the date input means it
+                const startDate = Search.parseDate(row.querySelector('.album-start').value);
+                const endDate = Search.parseDate(row.querySelector('.album-end').value);
+
+                if (name !== album.name || startDate !== album.startDate || endDate !== album.endDate) {
+                    await Storage.updateAlbum({ ...album, name, startDate, endDate });
+                }
+            }
+
+            UI.showToast('success', 'Albums saved! ✅');
+            UI.closeModal();
+        } catch (error) {
+            console.error('Album save error:', error);
+            UI.showToast('error', error.name === 'ConstraintError'
+                ? 'Two albums can\'t have the same name'
+                : 'Failed to save albums');
+        }
+
+        await this.loadMemories();
+        this.applyFilters();
+    },
+
+    /**
+     * Delete an album, keeping its photos
+     * @param {number} id
+     */
+    async deleteAlbum(id) {
+        const album = this.albums.get(id);
+        if (!confirm(`Delete the album "${album.name}"? Its photos stay in your memories.`)) return;
+
+        try {
+            await Storage.deleteAlbum(id);
+            UI.showToast('success', 'Album deleted');
+            await this.loadMemories();
+            this.applyFilters();
+            this.renderAlbums();
+        } catch (error) {
+            console.error('Album delete error:', error);
+            UI.showToast('error', 'Failed to delete album');
+        }
+    },
+
+    // ===== GPS tracks =====
+
+    /**
+     * Setup the record button, the tracks list and the live track on the map
+     */
+    setupTracks() {
+        Tracker.onChange = (track, points) => {
+            MapView.showLiveTrack(points);
+            this.updateRecordButton();
+        };
+
+        document.getElementById('record-toggle').addEventListener('click', async () => {
+            try {
+                if (Tracker.isRecording()) {
+                    const track = await Tracker.stop();
+                    UI.showToast('success', `Track saved: ${MapView.formatDistance(track.distanceKm)}`);
+                } else {
+                    await Tracker.start();
+                    UI.showToast('success', 'Recording your track. Keep GeoSnap open on the way.');
+                }
             } catch (error) {
-                console.error('Export error:', error);
-                UI.showToast('error', 'Failed to export data');
+                console.error('Track recording error:', error);
+                UI.showToast('error', error.message || 'Could not record the track');
+            }
+        });
+
+        document.getElementById('tracks-btn').addEventListener('click', async () => {
+            UI.openModal('tracks');
+            await this.renderTracks();
+        });
+
+        document.getElementById('hide-track').addEventListener('click', () => {
+            MapView.hideTrack();
+            UI.closeModal();
+        });
+
+        document.getElementById('close-tracks').addEventListener('click', () => {
+            UI.closeModal();
+        });
+
+        document.getElementById('tracks-list').addEventListener('click', async (e) => {
+            const row = e.target.closest('[data-track-id]');
+            if (!row) return;
+            const id = Number(row.dataset.trackId);
+
+            if (e.target.closest('.track-show')) {
+                await this.showTrack(id);
+            } else if (e.target.closest('.track-export')) {
+                await this.exportTrack(id);
+            } else if (e.target.closest('.track-delete')) {
+                await this.deleteTrack(id);
+            }
+        });
+    },
+
+    /**
+     * Link a new memory to the track being recorded, if it was taken since it started
+     * @param {Object} memory - Not saved yet
+     */
+    linkToTrack(memory) {
+        const track = Tracker.track;
+        if (track && memory.timestamp >= track.startedAt) {
+            memory.trackId = track.id;
+        }
+    },
+
+    /**
+     * Show whether a track is recording, and how far it has come
+     */
+    updateRecordButton() {
+        const button = document.getElementById('record-toggle');
+        const track = Tracker.track;
+
+        button.textContent = track ? `⏹ ${MapView.formatDistance(track.distanceKm)}` : '⏺ Record';
+        button.classList.toggle('active', Boolean(track));
+        button.setAttribute('aria-pressed', String(Boolean(track)));
+    },
+
+    /**
+     * List the recorded tracks with their date, length and photo count
+     */
+    async renderTracks() {
+        const list = document.getElementById('tracks-list');
+
+        try {
+            const tracks = await Storage.getAllTracks();
+
+            list.innerHTML = tracks.map(track => {
+                const recording = Tracker.track?.id === track.id;
+                const photos = this.memories.filter(memory => memory.trackId === track.id).length;
+                const duration = MapView.formatDuration((track.endedAt || Date.now()) - track.startedAt);
+
+                return `
+                    <li class="album-row" data-track-id="${track.id}">
+                        <span class="album-cover">${recording ? '⏺' : '🛤️'}</span>
+                        <div class="album-details">
+                            <span class="album-name">${UI.escapeHtml(track.name)}</span>
+                            <div class="upload-queue-status">
+                                ${recording ? 'Recording · ' : ''}${MapView.formatDistance(track.distanceKm)} in ${duration}
+                                · ${track.pointCount} point${track.pointCount === 1 ? '' : 's'}
+                                · ${photos} photo${photos === 1 ? '' : 's'}
+                            </div>
+                        </div>
+                        <div class="album-actions">
+                            <button class="btn-location track-show"${track.pointCount ? '' : ' disabled'}>Show</button>
+                            <button class="btn-secondary track-export"${track.pointCount ? '' : ' disabled'}>GPX</button>
+                            <button class="btn-danger track-delete"${recording ? ' disabled' : ''}>Delete</button>
+                        </div>
+                    </li>
+                `;
+            }).join('') || '<li class="export-note">No tracks yet. Press ⏺ Record on the map to start one.</li>';
+        } catch (error) {
+            console.error('Tracks list error:', error);
+            list.innerHTML = '<li class="export-note">Could not load your tracks.</li>';
+        }
+    },
+
+    /**
+     * Show a saved track on the map
+     * @param {number} id
+     */
+    async showTrack(id) {
+        try {
+            const track = (await Storage.getAllTracks()).find(track => track.id === id);
+            const points = await Storage.getTrackPoints(id);
+
+            UI.closeModal();
+            this.switchView('map-view');
+            document.querySelectorAll('.nav-item, .nav-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.view === 'map-view');
+            });
+            MapView.showTrack(track, points);
+        } catch (error) {
+            console.error('Track show error:', error);
+            UI.showToast('error', 'Failed to load the track');
+        }
+    },
+
+    /**
+     * Download a track as GPX, with the photos taken on it as waypoints
+     * @param {number} id
+     */
+    async exportTrack(id) {
+        try {
+            const track = (await Storage.getAllTracks()).find(track => track.id === id);
+            const points = await Storage.getTrackPoints(id);
+            const memories = await Storage.getTrackMemories(id);
+
+            const content = Exporter.trackToGPX(track, points, memories);
+            Exporter.download(new Blob([content], { type: 'application/gpx+xml' }), `geosnap-track-${Date.now()}.gpx`);
+            UI.showToast('success', 'Track exported as GPX');
+        } catch (error) {
+            console.error('Track export error:', error);
+            UI.showToast('error', 'Failed to export the track');
+        }
+    },
+
+    /**
+     * Delete a track; its photos stay, no longer linked to it
+     * @param {number} id
+     */
+    async deleteTrack(id) {
+        if (!confirm('Delete this track? Photos taken on it stay in your memories.')) return;
+
+        try {
+            await Storage.deleteTrack(id);
+            MapView.hideTrack();
+            UI.showToast('success', 'Track deleted');
+            await this.loadMemories();
+            await this.renderTracks();
+        } catch (error) {
+            console.error('Track delete error:', error);
+            UI.showToast('error', 'Failed to delete the track');
+        }
+    },
+
+    // ===== Offline map regions =====
+
+    /**
+     * Setup the saved regions list and listen to the Service Worker's downloads
+     */
+    setupOfflineRegions() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => this.handleRegionMessage(event.data || {}));
+        }
+        this.settleInterruptedRegions();
+
+        document.getElementById('offline-regions-btn').addEventListener('click', async () => {
+            UI.openModal('regions');
+            await this.renderRegions();
+        });
+
+        document.getElementById('close-regions').addEventListener('click', () => {
+            UI.closeModal();
+        });
+
+        document.getElementById('regions-list').addEventListener('click', async (e) => {
+            const row = e.target.closest('[data-region-id]');
+            if (!row) return;
+            const id = Number(row.dataset.regionId);
+            const region = (await Storage.getAllTileRegions()).find(region => region.id === id);
+            if (!region) return;
+
+            if (e.target.closest('.region-show')) {
+                UI.closeModal();
+                MapView.showRegion(region);
+            } else if (e.target.closest('.region-cancel')) {
+                navigator.serviceWorker.controller?.postMessage({ type: 'cancel-region', id });
+            } else if (e.target.closest('.region-resume')) {
+                await this.startRegionDownload(region);
+            } else if (e.target.closest('.region-delete')) {
+                await this.deleteRegion(region);
             }
         });
     },
 
+    /**
+     * Mark regions an earlier visit left at 'downloading' as 'partial', so they can be resumed or deleted
+     * The Service Worker stops when the browser closes it, sometimes before it could say the
+     * download finished. One that is still running sends progress, which shows it as downloading again.
+     */
+    async settleInterruptedRegions() {
+        try {
+            const regions = await Storage.getAllTileRegions();
+            for (const region of regions.filter(region => region.status === 'downloading')) {
+                region.status = 'partial';
+                await Storage.saveTileRegion(region);
+            }
+        } catch (error) {
+            console.warn('Could not check interrupted map downloads:', error);
+        }
+    },
+
+    /**
+     * Save a new region and have the Service Worker download its tiles
+     * @param {Object} selection - { bounds, minZoom, maxZoom } from MapView
+     */
+    async downloadRegion(selection) {
+        if (!navigator.serviceWorker?.controller) {
+            UI.showToast('error', 'Offline maps need the app to be installed. Reload the page and try again.');
+            return;
+        }
+        if (!navigator.onLine) {
+            UI.showToast('error', 'You are offline. Connect to download maps.');
+            return;
+        }
+        if (!Tiles.source) {
+            UI.showToast('error', 'Set a tile server for offline maps in Settings first.');
+            return;
+        }
+
+        const estimate = Tiles.estimate(selection.bounds, selection.minZoom, selection.maxZoom);
+
+        try {
+            const regions = await Storage.getAllTileRegions();
+            const used = regions.reduce((total, region) => total + region.bytes, 0);
+            const quota = await Storage.checkQuota(estimate.bytes);
+
+            if (used + estimate.bytes > Tiles.maxBytes) {
+                UI.showToast('error',
+                    `Offline maps are limited to ${UI.formatBytes(Tiles.maxBytes)} and ${UI.formatBytes(used)} is used. Delete a saved area first.`, 6000);
+                return;
+            }
+            if (!quota.fits) {
+                UI.showToast('error', `Not enough storage space (${UI.formatBytes(quota.available)} left).`, 6000);
+                return;
+            }
+
+            const region = {
+                ...selection,
+                urlTemplate: Tiles.source.urlTemplate,  // Later changes to the setting don't move saved regions
+                name: await this.regionName(selection.bounds),
+                tiles: estimate.tiles,
+                bytes: 0,
+                status: 'downloading',
+                createdAt: Date.now()
+            };
+            region.id = await Storage.saveTileRegion(region);
+
+            await this.startRegionDownload(region);
+            MapView.setRegionSelect(false);
+        } catch (error) {
+            console.error('Region download error:', error);
+            UI.showToast('error', 'Failed to start the download');
+        }
+    },
+
+    /**
+     * Ask the Service Worker to download (or resume) a saved region
+     * Tiles already downloaded are skipped, so resuming only fetches the rest
+     * @param {Object} region
+     */
+    async startRegionDownload(region) {
+        const controller = navigator.serviceWorker?.controller;
+        if (!controller) {
+            UI.showToast('error', 'Offline maps need the app to be installed. Reload the page and try again.');
+            return;
+        }
+        // Areas saved before the tile server setting came from OpenStreetMap, which can't be asked again
+        if (Tiles.validateSource(region.urlTemplate)) {
+            UI.showToast('error', `${UI.escapeHtml(region.name)} came from OpenStreetMap's servers, which don't allow offline downloads. Delete it and download it again.`, 6000);
+            return;
+        }
+
+        const others = (await Storage.getAllTileRegions()).filter(other => other.id !== region.id);
+        const maxBytes = Tiles.maxBytes - others.reduce((total, other) => total + other.bytes, 0);
+
+        region.status = 'downloading';
+        await Storage.saveTileRegion(region);
+        this.regionProgress.set(region.id, { done: 0, total: region.tiles, bytes: 0 });
+
+        controller.postMessage({ type: 'download-region', region: this.regionMessage(region), maxBytes });
+        UI.showToast('success', `Downloading ${region.tiles.toLocaleString()} map tiles of ${UI.escapeHtml(region.name)}`);
+        this.renderRegionsIfOpen();
+    },
+
+    /**
+     * The part of a saved region the Service Worker needs to find its tiles
+     * @param {Object} region
+     * @returns {Object} { id, bounds, minZoom, maxZoom, urlTemplate }
+     */
+    regionMessage(region) {
+        const { id, bounds, minZoom, maxZoom, urlTemplate } = region;
+        return { id, bounds, minZoom, maxZoom, urlTemplate };
+    },
+
+    /**
+     * Name a region after the place in its middle
+     * @param {Object} bounds - { south, west, north, east }
+     * @returns {Promise<string>}
+     */
+    async regionName(bounds) {
+        const latitude = (bounds.south + bounds.north) / 2;
+        const longitude = (bounds.west + bounds.east) / 2;
+
+        try {
+            const place = await Gazetteer.nearest(latitude, longitude);
+            if (place && place.distanceKm <= Gazetteer.cityRadiusKm) {
+                return `${place.name}, ${place.country}`;
+            }
+        } catch (error) {
+            console.warn('Region name lookup failed:', error);
+        }
+        return GeoLocation.coordinateName(latitude, longitude);
+    },
+
+    /**
+     * Follow the Service Worker's downloads
+     * @param {Object} message - See the OFFLINE MAP REGIONS section of sw.js
+     */
+    async handleRegionMessage(message) {
+        if (message.type === 'region-progress') {
+            this.regionProgress.set(message.id, message);
+            this.renderRegionsIfOpen();
+        } else if (message.type === 'region-finished') {
+            this.regionProgress.delete(message.id);
+
+            const region = (await Storage.getAllTileRegions()).find(region => region.id === message.id);
+            if (!region) return;  // Deleted while downloading
+
+            // A cancel the Service Worker had no download for comes without counts
+            Object.assign(region, { status: message.status, bytes: message.bytes ?? region.bytes });
+            await Storage.saveTileRegion(region);
+
+            const name = UI.escapeHtml(region.name);
+            const messages = {
+                complete: ['success', `${name} is ready for offline use`],
+                partial: ['warning', `${name}: ${message.failed} tiles failed. Resume to try them again.`],
+                full: ['warning', `${name}: stopped at the ${UI.formatBytes(Tiles.maxBytes)} offline map limit`],
+                cancelled: ['warning', `${name}: download cancelled`]
+            };
+            UI.showToast(...messages[message.status]);
+            this.renderRegionsIfOpen();
+        }
+    },
+
+    /**
+     * Refresh the regions list if it is showing
+     */
+    renderRegionsIfOpen() {
+        if (UI.currentModal === 'regions') this.renderRegions();
+    },
+
+    /**
+     * List the saved regions with their size and download progress
+     */
+    async renderRegions() {
+        const list = document.getElementById('regions-list');
+
+        try {
+            const regions = await Storage.getAllTileRegions();
+            const used = regions.reduce((total, region) => total + region.bytes, 0);
+            document.getElementById('regions-usage').textContent =
+                `${UI.formatBytes(used)} of ${UI.formatBytes(Tiles.maxBytes)} used. Pick a new area with 📥 Offline on the map.`;
+
+            const statuses = { complete: 'Ready offline', partial: 'Some tiles missing', full: 'Stopped: limit reached', cancelled: 'Cancelled' };
+
+            list.innerHTML = regions.map(region => {
+                const progress = this.regionProgress.get(region.id);
+                const downloading = region.status === 'downloading' || Boolean(progress);
+                const status = downloading
+                    ? (progress ? `Downloading ${progress.done}/${progress.total}` : 'Downloading…')
+                    : statuses[region.status];
+                const bytes = progress ? progress.bytes : region.bytes;
+
+                return `
+                    <li class="album-row" data-region-id="${region.id}">
+                        <span class="album-cover">${region.status === 'complete' ? '🗺️' : '📥'}</span>
+                        <div class="album-details">
+                            <span class="album-name">${UI.escapeHtml(region.name)}</span>
+                            <div class="upload-queue-status">
+                                ${status} · ${UI.formatBytes(bytes)} · zoom ${region.minZoom}–${region.maxZoom}
+                            </div>
+                        </div>
+                        <div class="album-actions">
+                            <button class="btn-location region-show">Show</button>
+                            ${downloading
+                                ? '<button class="btn-secondary region-cancel">Cancel</button>'
+                                : (region.status === 'complete' ? '' : '<button class="btn-secondary region-resume">Resume</button>')}
+                            <button class="btn-danger region-delete">Delete</button>
+                        </div>
+                    </li>
+                `;
+            }).join('') || '<li class="export-note">No offline maps yet.</li>';
+        } catch (error) {
+            console.error('Regions list error:', error);
+            list.innerHTML = '<li class="export-note">Could not load your offline maps.</li>';
+        }
+    },
+
+    /**
+     * Delete a region and the tiles no other region needs
+     * @param {Object} region
+     */
+    async deleteRegion(region) {
+        if (!confirm(`Delete the offline map of ${region.name}?`)) return;
+
+        try {
+            await Storage.deleteTileRegion(region.id);
+            this.regionProgress.delete(region.id);  // The Service Worker stops a running download first
+            const keep = (await Storage.getAllTileRegions()).map(other => this.regionMessage(other));
+
+            navigator.serviceWorker?.controller?.postMessage({
+                type: 'delete-region',
+                region: this.regionMessage(region),
+                keep
+            });
+            UI.showToast('success', 'Offline map deleted');
+            await this.renderRegions();
+        } catch (error) {
+            console.error('Region delete error:', error);
+            UI.showToast('error', 'Failed to delete the offline map');
+        }
+    },
+
+    /**
+     * Setup storage panel
+     */
+    setupStorage() {
+        document.getElementById('storage-btn').addEventListener('click', async () => {
+            UI.openModal('storage');
+            await this.renderStoragePanel();
+        });
+
+        document.getElementById('close-storage').addEventListener('click', () => {
+            UI.closeModal();
+        });
+
+        document.getElementById('persist-storage-btn').addEventListener('click', async () => {
+            const granted = await Storage.requestPersistence();
+            UI.showToast(granted ? 'success' : 'warning', granted
+                ? 'Your memories are now protected from automatic cleanup 🔒'
+                : 'The browser declined. Installing GeoSnap or bookmarking it makes approval more likely.', 5000);
+            await this.renderStoragePanel();
+        });
+    },
+
+    /**
+     * Show total usage against the quota, and how much each memory takes
+     */
+    async renderStoragePanel() {
+        const summaryElement = document.getElementById('storage-summary');
+        const persistElement = document.getElementById('storage-persistence');
+        const listElement = document.getElementById('storage-usage-list');
+
+        try {
+            const [estimate, usage] = await Promise.all([Storage.estimateUsage(), Storage.getUsageByMemory()]);
+            const memoriesTotal = usage.reduce((total, entry) => total + entry.total, 0);
+
+            if (estimate && estimate.quota) {
+                const percent = Math.min(100, (estimate.usage / estimate.quota) * 100);
+                summaryElement.innerHTML = `
+                    <div class="storage-bar${percent >= Storage.nearlyFullRatio * 100 ? ' full' : ''}">
+                        <span style="width: ${percent.toFixed(1)}%"></span>
+                    </div>
+                    <p><strong>${UI.formatBytes(estimate.usage)}</strong> used of ${UI.formatBytes(estimate.quota)} available (${percent.toFixed(1)}%)</p>
+                    <p class="export-note">${usage.length} memories take ${UI.formatBytes(memoriesTotal)}; the rest is the app itself and the offline cache.</p>
+                `;
+            } else {
+                summaryElement.innerHTML = `
+                    <p><strong>${UI.formatBytes(memoriesTotal)}</strong> used by ${usage.length} memories</p>
+                    <p class="export-note">This browser doesn't report how much space is left.</p>
+                `;
+            }
+
+            const persisted = estimate ? estimate.persisted : null;
+            persistElement.querySelector('.storage-persistence-text').textContent = persisted
+                ? '🔒 Persistent: the browser won\'t delete your memories to free space.'
+                : (persisted === false
+                    ? '⚠️ Best effort: the browser may delete your memories when the device runs low on space. Export a backup regularly.'
+                    : 'This browser can\'t tell whether your memories are protected from cleanup.');
+            document.getElementById('persist-storage-btn').classList.toggle('hidden', persisted !== false);
+
+            // Trashed memories still take space until they are purged
+            const trashed = await Storage.getAllMemories({ trashed: true });
+            const memoriesById = new Map([...this.memories, ...trashed].map(memory => [memory.id, memory]));
+            listElement.innerHTML = usage.map(entry => {
+                const memory = memoriesById.get(entry.id) || {};
+                const thumbnailUrl = ImageUtils.objectUrl(`thumb-${entry.id}`, memory.thumbnail);
+                const name = memory.location?.locationName || 'Unknown Location';
+                const date = memory.timestamp ? new Date(memory.timestamp).toLocaleDateString() : '';
+
+                return `
+                    <li class="upload-queue-item">
+                        ${thumbnailUrl ? `<img class="upload-queue-thumb" src="${thumbnailUrl}" alt="">` : '<span class="upload-queue-thumb"></span>'}
+                        <div class="upload-queue-details">
+                            <div class="upload-queue-name">${UI.escapeHtml(name)}${memory.deletedAt ? ' (in trash)' : ''}</div>
+                            <div class="upload-queue-status">${date} · photo ${UI.formatBytes(entry.photo)} · thumbnail ${UI.formatBytes(entry.thumbnail)}${entry.voiceNote ? ` · voice note ${UI.formatBytes(entry.voiceNote)}` : ''}</div>
+                        </div>
+                        <strong class="storage-size">${UI.formatBytes(entry.total)}</strong>
+                    </li>
+                `;
+            }).join('') || '<li class="export-note">No memories stored yet</li>';
+        } catch (error) {
+            console.error('Storage panel error:', error);
+            summaryElement.innerHTML = '<p>Could not read storage usage</p>';
+        }
+    },
+
+    /**
+     * Setup settings modal
+     */
+    setupSettings() {
+        const providerSelect = document.getElementById('geocoder-provider');
+        const customUrlInput = document.getElementById('geocoder-custom-url');
+        const customUrlGroup = document.getElementById('geocoder-custom-url-group');
+        const tileUrlInput = document.getElementById('tile-url');
+        const tileAttributionInput = document.getElementById('tile-attribution');
+
+        // Built on open, so providers registered after startup show up too
+        const fillProviders = () => {
+            providerSelect.innerHTML = Geocoder.selectableProviders()
+                .map(name => {
+                    const label = Geocoder.providers[name]?.label || 'Custom server';
+                    return `<option value="${name}">${UI.escapeHtml(label)}</option>`;
+                })
+                .join('');
+        };
+
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            fillProviders();
+            providerSelect.value = Geocoder.active;
+            customUrlInput.value = Geocoder.providers.custom?.url || '';
+            customUrlGroup.classList.toggle('hidden', Geocoder.active !== 'custom');
+            tileUrlInput.value = Tiles.source?.urlTemplate || '';
+            tileAttributionInput.value = Tiles.source?.attribution || '';
+            UI.openModal('settings');
+        });
+
+        providerSelect.addEventListener('change', () => {
+            customUrlGroup.classList.toggle('hidden', providerSelect.value !== 'custom');
+        });
+
+        document.getElementById('cancel-settings').addEventListener('click', () => {
+            UI.closeModal();
+        });
+
+        document.getElementById('save-settings').addEventListener('click', () => {
+            const provider = providerSelect.value;
+            const customUrl = customUrlInput.value.trim();
+
+            if (provider === 'custom') {
+                try {
+                    const url = new URL(customUrl);
+                    if (!url.protocol.startsWith('http')) throw new Error('Not an HTTP URL');
+                } catch (error) {
+                    UI.showToast('error', 'Enter the full address of your server, e.g. https://geocode.example.com');
+                    return;
+                }
+            }
+
+            const tileUrl = tileUrlInput.value.trim();
+            const tileProblem = tileUrl && Tiles.validateSource(tileUrl);
+            if (tileProblem) {
+                UI.showToast('error', UI.escapeHtml(tileProblem));
+                return;
+            }
+
+            Geocoder.saveSettings(provider, provider === 'custom' ? customUrl : '');
+            Tiles.saveSettings(tileUrl, tileAttributionInput.value.trim());
+            MapView.setTileSource(Tiles.source);
+            UI.showToast('success', 'Settings saved ⚙️');
+            UI.closeModal();
+        });
+    },
+
+    /**
+     * Things to do after any new memory was stored
+     */
+    afterSave() {
+        Storage.requestPersistence();
+        this.warnIfStorageLow();
+    },
+
+    /**
+     * Warn when the quota is nearly used up, before saves start failing
+     */
+    async warnIfStorageLow() {
+        const quota = await Storage.checkQuota();
+        if (quota.nearlyFull) {
+            UI.showToast('warning',
+                `Storage is almost full (${UI.formatBytes(quota.available)} left). Export a backup and delete some memories.`, 6000);
+        }
+    },
+
+    /**
+     * Turn a save error into a message the user can act on
+     * @param {Error} error
+     * @param {string} fallback - Message for errors that aren't about space
+     */
+    saveErrorMessage(error, fallback = 'Failed to save photo') {
+        if (Storage.isQuotaError(error)) {
+            return 'Not enough storage space. Export a backup (Export Data), delete some memories, or free up space on this device, then try again.';
+        }
+        return fallback;
+    },
+
+    /**
+     * Fill in the address of memories that don't have a full one yet
+     * - Offline: memories with no address get city/country from the gazetteer
+     *   (this also names memories whose location is only "lat, lng")
+     * - Online: memories with no address or a gazetteer one get the provider's
+     *   full address; requests go through the geocoder's rate-limited queue
+     * Addresses the user typed in are never touched, and neither are names
+     * they chose - only names we generated ourselves are replaced
+     * @returns {Promise<number>} How many memories were updated
+     */
+    async backfillAddresses() {
+        if (this.backfilling) return 0;
+
+        const online = navigator.onLine;
+        const pending = this.memories.filter(memory => {
+            if (!Exporter.hasCoordinates(memory)) return false;
+            const source = memory.location.addressSource;
+            return !memory.location.address || (online && source === 'gazetteer');
+        });
+        if (pending.length === 0) return 0;
+
+        this.backfilling = true;
+        let updated = 0;
+
+        try {
+            for (const { id } of pending) {
+                // Re-read the record, the user may have edited it while we waited for the geocoder
+                const memory = await Storage.getMemory(id);
+                if (!memory || !memory.location || memory.location.addressSource === 'manual') continue;
+
+                const { latitude, longitude } = memory.location;
+                const place = online
+                    ? await GeoLocation.lookupPlace(latitude, longitude)
+                    : await GeoLocation.offlinePlace(latitude, longitude);
+                if (!place) continue;
+
+                const addressSource = place.addressSource || 'gazetteer';
+                if (memory.location.address && addressSource === memory.location.addressSource) continue;
+
+                if (this.hasGeneratedName(memory.location)) {
+                    memory.location.locationName = place.locationName;
+                }
+                memory.location.address = place.address;
+                memory.location.addressSource = addressSource;
+
+                await Storage.updateMemory(memory);
+                updated++;
+            }
+        } catch (error) {
+            console.warn('⚠️ Address backfill stopped:', error);
+        } finally {
+            this.backfilling = false;
+        }
+
+        if (updated > 0) {
+            console.log(`📖 Filled in the address of ${updated} memories`);
+            await this.loadMemories();
+            this.applyFilters();
+        }
+        return updated;
+    },
+
+    /**
+     * Check if a location's name was made by us (coordinates or built from its
+     * address) rather than typed by the user
+     * @param {Object} location
+     * @returns {boolean}
+     */
+    hasGeneratedName(location) {
+        const name = location.locationName;
+        if (!name || GeoLocation.isCoordinateName(name)) return true;
+
+        const generated = location.address ? Geocoder.placeFromAddress(location.address) : null;
+        return Boolean(generated) && generated.locationName === name;
+    },
+
     /**
      * Set up offline detection
      */
@@ -624,6 +2591,9 @@ const App = {
         window.addEventListener('online', updateOnlineStatus);
         window.addEventListener('offline', updateOnlineStatus);
 
+        // Back online: swap offline (city-level) addresses for full ones
+        window.addEventListener('online', () => this.backfillAddresses());
+
         updateOnlineStatus();
     },
 
@@ -1,6 +1,11 @@
 /**
  * Camera Module
  * Handles device camera access and photo capture
+ *
+ * Switching cameras, zoom and torch depend on what the browser and the
+ * device support; each control only shows up when it can work.
+ * A self-timer and a burst mode change what one tap on the shutter does,
+ * and video mode records short clips with MediaRecorder instead.
  */
 
 const Camera = {
@@ -8,31 +13,81 @@ const Camera = {
     videoElement: null,
     canvasElement: null,
     isActive: false,
+    deviceKey: 'geosnap-camera-device',  // localStorage key: the camera used last
+    devices: [],            // Video inputs from enumerateDevices()
+    zoom: null,             // { min, max, step } when the camera can zoom
+    torchOn: false,
+    pinch: null,            // { distance, zoom } while two fingers are on the preview
+    timerOptions: [0, 3, 10],       // Self-timer delays in seconds, 0 is off
+    timerSeconds: 0,
+    burstOptions: [0, 3, 5, 10],    // Frames per burst, 0 is a single shot
+    burstCount: 0,
+    burstIntervalMs: 300,   // Time between two frames of a burst
+    countdown: null,        // { interval, resolve } while the self-timer runs
+    videoMode: false,       // The shutter records clips instead of taking photos
+    maxClipSeconds: 30,     // Recording stops by itself after this long...
+    maxClipBytes: 50 * 1024 * 1024,  // ...or once the clip gets this big
+    clipBitsPerSecond: 2500000,
+    recording: null,        // { recorder, chunks, bytes, startedAt, poster, interval } while recording
 
     /**
-     * Initialize camera elements
+     * Initialize camera elements and controls
      */
     init() {
         this.videoElement = document.getElementById('camera-preview');
         this.canvasElement = document.getElementById('camera-canvas');
+
+        document.getElementById('camera-select').addEventListener('change', (e) => {
+            this.switchTo(e.target.value);
+        });
+
+        document.getElementById('camera-zoom').addEventListener('input', (e) => {
+            this.setZoom(Number(e.target.value));
+        });
+
+        document.getElementById('camera-torch').addEventListener('click', () => {
+            this.setTorch(!this.torchOn);
+        });
+
+        document.getElementById('timer-btn').addEventListener('click', () => {
+            this.timerSeconds = this.nextOption(this.timerOptions, this.timerSeconds);
+            this.updateModeButtons();
+        });
+
+        document.getElementById('burst-btn').addEventListener('click', () => {
+            this.burstCount = this.nextOption(this.burstOptions, this.burstCount);
+            this.updateModeButtons();
+        });
+
+        document.getElementById('video-btn').addEventListener('click', () => {
+            if (this.isRecording()) return;
+            this.videoMode = !this.videoMode;
+            this.updateModeButtons();
+        });
+
+        this.setupPinchZoom();
+        this.updateModeButtons();
     },
 
     /**
      * Start camera stream
+     * Opens the camera used last time, or the back camera the first time
      */
     async start() {
         if (this.isActive) return;
 
+        const savedDevice = localStorage.getItem(this.deviceKey);
+
         try {
-            // Request camera access
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    facingMode: 'environment', // Use back camera on mobile
-                    width: { ideal: 1920 },
-                    height: { ideal: 1080 }
-                },
-                audio: false
-            });
+            try {
+                this.stream = await this.open(savedDevice);
+            } catch (error) {
+                // The saved camera may have been unplugged: fall back to any back camera
+                if (!savedDevice || error.name === 'NotAllowedError') throw error;
+                console.warn('Saved camera unavailable, using the default one:', error);
+                localStorage.removeItem(this.deviceKey);
+                this.stream = await this.open(null);
+            }
 
             if (!this.videoElement) this.init();
 
@@ -40,6 +95,7 @@ const Camera = {
             this.videoElement.srcObject = this.stream;
             this.isActive = true;
 
+            await this.updateControls();
             this.updateStatus('Camera ready');
             return true;
         } catch (error) {
@@ -49,14 +105,169 @@ const Camera = {
         }
     },
 
+    /**
+     * Request a camera stream
+     * @param {string|null} deviceId - A camera from enumerateDevices(), null for the back camera
+     * @returns {Promise<MediaStream>}
+     */
+    open(deviceId) {
+        return navigator.mediaDevices.getUserMedia({
+            video: {
+                ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'environment' }), // Back camera on mobile
+                width: { ideal: 1920 },
+                height: { ideal: 1080 }
+            },
+            audio: false
+        });
+    },
+
+    /**
+     * The video track of the running stream
+     * @returns {MediaStreamTrack|null}
+     */
+    videoTrack() {
+        return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+    },
+
+    // ===== Camera switching, zoom and torch =====
+
+    /**
+     * Show the controls the current camera supports, and remember it
+     */
+    async updateControls() {
+        const track = this.videoTrack();
+        const settings = track.getSettings ? track.getSettings() : {};
+        const capabilities = typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+
+        if (settings.deviceId) {
+            localStorage.setItem(this.deviceKey, settings.deviceId);
+        }
+
+        // Selfies look natural mirrored, like in a mirror; the saved photo isn't
+        this.videoElement.classList.toggle('mirrored', settings.facingMode === 'user');
+
+        // Device labels are only filled in once camera permission is granted, i.e. now
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices.filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+            this.devices = [];
+        }
+
+        const select = document.getElementById('camera-select');
+        select.innerHTML = this.devices.map((device, index) => `
+            <option value="${UI.escapeHtml(device.deviceId)}">${UI.escapeHtml(device.label || `Camera ${index + 1}`)}</option>
+        `).join('');
+        select.value = settings.deviceId || '';
+        select.classList.toggle('hidden', this.devices.length < 2);
+
+        const zoom = document.getElementById('camera-zoom');
+        this.zoom = capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min
+            ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1 }
+            : null;
+        if (this.zoom) {
+            Object.assign(zoom, { min: this.zoom.min, max: this.zoom.max, step: this.zoom.step });
+            zoom.value = settings.zoom ?? this.zoom.min;
+        }
+        zoom.classList.toggle('hidden', !this.zoom);
+
+        this.torchOn = false;
+        const torch = document.getElementById('camera-torch');
+        torch.classList.toggle('hidden', !capabilities.torch);
+        torch.classList.remove('active');
+        torch.setAttribute('aria-pressed', 'false');
+    },
+
+    /**
+     * Switch to another camera
+     * @param {string} deviceId
+     */
+    async switchTo(deviceId) {
+        this.stop();
+        localStorage.setItem(this.deviceKey, deviceId);
+        await this.start();
+    },
+
+    /**
+     * Zoom the camera itself (optical where the lens allows), not the preview
+     * @param {number} value - Between zoom.min and zoom.max
+     */
+    async setZoom(value) {
+        const track = this.videoTrack();
+        if (!this.zoom || !track) return;
+
+        const zoom = Math.min(Math.max(value, this.zoom.min), this.zoom.max);
+        try {
+            await track.applyConstraints({ advanced: [{ zoom }] });
+            document.getElementById('camera-zoom').value = zoom;
+        } catch (error) {
+            console.warn('Zoom not applied:', error);
+        }
+    },
+
+    /**
+     * Turn the flash light on or off
+     * @param {boolean} on
+     */
+    async setTorch(on) {
+        const track = this.videoTrack();
+        if (!track) return;
+
+        const torch = document.getElementById('camera-torch');
+        try {
+            await track.applyConstraints({ advanced: [{ torch: on }] });
+            this.torchOn = on;
+            torch.classList.toggle('active', on);
+            torch.setAttribute('aria-pressed', String(on));
+        } catch (error) {
+            // Advertised but not usable (some browsers): stop offering it
+            console.warn('Torch not available:', error);
+            torch.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Two-finger pinch on the preview zooms the camera
+     */
+    setupPinchZoom() {
+        const preview = this.videoElement;
+        const fingerDistance = (touches) =>
+            Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+        preview.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2 && this.zoom) {
+                this.pinch = {
+                    distance: fingerDistance(e.touches),
+                    zoom: Number(document.getElementById('camera-zoom').value)
+                };
+            }
+        }, { passive: true });
+
+        preview.addEventListener('touchmove', (e) => {
+            if (!this.pinch || e.touches.length !== 2) return;
+            e.preventDefault();  // Don't zoom the page too
+            this.setZoom(this.pinch.zoom * fingerDistance(e.touches) / this.pinch.distance);
+        }, { passive: false });
+
+        preview.addEventListener('touchend', (e) => {
+            if (e.touches.length < 2) this.pinch = null;
+        });
+    },
+
     /**
      * Stop camera stream
      */
     stop() {
+        this.cancelTimer();
+        this.stopRecording();
+
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
             this.isActive = false;
+            this.torchOn = false;
+            this.pinch = null;
 
             if (this.videoElement) {
                 this.videoElement.srcObject = null;
@@ -66,7 +277,7 @@ const Camera = {
 
     /**
      * Capture photo from video stream
-     * @returns {string} Base64 encoded image
+     * @returns {Promise<Blob>} JPEG image
      */
     async capture() {
         if (!this.isActive || !this.videoElement || !this.canvasElement) {
@@ -84,10 +295,226 @@ const Camera = {
         const context = this.canvasElement.getContext('2d');
         context.drawImage(this.videoElement, 0, 0, videoWidth, videoHeight);
 
-        // Convert canvas to base64 image
-        const imageData = this.canvasElement.toDataURL('image/jpeg', 0.8);
+        // Convert canvas to a JPEG Blob (binary, smaller than a base64 string)
+        const imageBlob = await ImageUtils.canvasToBlob(this.canvasElement, 'image/jpeg', 0.8);
+
+        return imageBlob;
+    },
+
+    // ===== Self-timer and burst =====
 
-        return imageData;
+    /**
+     * The option after the current one, wrapping around
+     * @param {Array<number>} options
+     * @param {number} current
+     * @returns {number}
+     */
+    nextOption(options, current) {
+        return options[(options.indexOf(current) + 1) % options.length];
+    },
+
+    /**
+     * Show the chosen timer and burst settings on their buttons
+     */
+    updateModeButtons() {
+        const timer = document.getElementById('timer-btn');
+        timer.textContent = this.timerSeconds ? `⏱ ${this.timerSeconds}s` : '⏱ Off';
+        timer.classList.toggle('active', this.timerSeconds > 0);
+
+        const burst = document.getElementById('burst-btn');
+        burst.textContent = this.burstCount ? `📸 ×${this.burstCount}` : '📸 Single';
+        burst.classList.toggle('active', this.burstCount > 0);
+        burst.classList.toggle('hidden', this.videoMode);  // Bursts are for photos
+
+        const video = document.getElementById('video-btn');
+        video.textContent = this.videoMode ? '🎥 Video' : '📷 Photo';
+        video.classList.toggle('active', this.videoMode);
+        video.classList.toggle('hidden', !this.canRecord());
+    },
+
+    /**
+     * @returns {boolean} Whether the self-timer is counting down
+     */
+    isCountingDown() {
+        return this.countdown !== null;
+    },
+
+    /**
+     * Count down over the preview
+     * @param {number} seconds
+     * @returns {Promise<boolean>} True when it reached zero, false if it was cancelled
+     */
+    runTimer(seconds) {
+        const overlay = document.getElementById('camera-countdown');
+        let left = seconds;
+
+        overlay.textContent = left;
+        overlay.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const interval = setInterval(() => {
+                left--;
+                if (left > 0) {
+                    overlay.textContent = left;
+                    return;
+                }
+                this.finishTimer(true);
+            }, 1000);
+
+            this.countdown = { interval, resolve };
+        });
+    },
+
+    /**
+     * Stop the self-timer without taking the photo
+     */
+    cancelTimer() {
+        if (this.isCountingDown()) this.finishTimer(false);
+    },
+
+    /**
+     * Hide the countdown and settle runTimer()
+     * @param {boolean} reachedZero
+     */
+    finishTimer(reachedZero) {
+        clearInterval(this.countdown.interval);
+        document.getElementById('camera-countdown').classList.add('hidden');
+        const { resolve } = this.countdown;
+        this.countdown = null;
+        resolve(reachedZero);
+    },
+
+    /**
+     * Capture several frames in a row
+     * @param {number} count
+     * @param {Function} onFrame - Optional, called with the number of frames taken so far
+     * @returns {Promise<Array>} [{ blob, timestamp }], in order
+     */
+    async captureBurst(count, onFrame) {
+        const frames = [];
+
+        for (let i = 0; i < count; i++) {
+            if (i > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.burstIntervalMs));
+            }
+            frames.push({ blob: await this.capture(), timestamp: Date.now() });
+            if (onFrame) onFrame(frames.length);
+        }
+
+        return frames;
+    },
+
+    // ===== Video clips =====
+
+    /**
+     * The first clip format this browser can record, null if it can't record at all
+     * @returns {string|null}
+     */
+    clipMimeType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    },
+
+    /**
+     * @returns {boolean} Whether clips can be recorded here
+     */
+    canRecord() {
+        return this.clipMimeType() !== null;
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording !== null;
+    },
+
+    /**
+     * Record a clip from the preview stream, until stopRecording() or a cap is reached
+     * @returns {Promise<Object>} { blob, poster, duration (s), startedAt, capped }
+     * @throws {Error} If the camera isn't running or can't record
+     */
+    async recordClip() {
+        if (!this.isActive) throw new Error('Camera is not active');
+        const mimeType = this.clipMimeType();
+        if (!mimeType) throw new Error('Video recording is not supported by this browser');
+
+        // The first frame is the poster shown until the clip plays
+        const poster = await this.capture();
+        const recorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: this.clipBitsPerSecond });
+        const recording = { recorder, chunks: [], bytes: 0, startedAt: Date.now(), poster, capped: false };
+        this.recording = recording;
+
+        return new Promise((resolve, reject) => {
+            recorder.ondataavailable = (event) => {
+                if (event.data.size === 0) return;
+                recording.chunks.push(event.data);
+                recording.bytes += event.data.size;
+                if (recording.bytes >= this.maxClipBytes) {
+                    recording.capped = true;
+                    this.stopRecording();
+                }
+            };
+
+            recorder.onstop = () => {
+                clearInterval(recording.interval);
+                this.recording = null;
+                this.updateRecordingIndicator(null);
+
+                resolve({
+                    blob: new Blob(recording.chunks, { type: mimeType }),
+                    poster,
+                    duration: (Date.now() - recording.startedAt) / 1000,
+                    startedAt: recording.startedAt,
+                    capped: recording.capped
+                });
+            };
+
+            recorder.onerror = (event) => {
+                clearInterval(recording.interval);
+                this.recording = null;
+                this.updateRecordingIndicator(null);
+                reject(event.error || new Error('Recording failed'));
+            };
+
+            // Data every second, so the size cap is checked as the clip grows
+            recorder.start(1000);
+            this.updateRecordingIndicator(0);
+
+            recording.interval = setInterval(() => {
+                const seconds = (Date.now() - recording.startedAt) / 1000;
+                if (seconds >= this.maxClipSeconds) {
+                    recording.capped = true;
+                    this.stopRecording();
+                } else {
+                    this.updateRecordingIndicator(seconds);
+                }
+            }, 250);
+        });
+    },
+
+    /**
+     * Stop the clip being recorded; recordClip() then resolves with it
+     */
+    stopRecording() {
+        if (this.recording && this.recording.recorder.state !== 'inactive') {
+            this.recording.recorder.stop();
+        }
+    },
+
+    /**
+     * Show the running time over the preview, and the shutter as a stop button
+     * @param {number|null} seconds - Time recorded so far, null when not recording
+     */
+    updateRecordingIndicator(seconds) {
+        const indicator = document.getElementById('camera-recording');
+        indicator.classList.toggle('hidden', seconds === null);
+        if (seconds !== null) {
+            indicator.textContent = `● ${UI.formatClock(seconds)} / ${UI.formatClock(this.maxClipSeconds)}`;
+        }
+        document.getElementById('capture-btn').classList.toggle('recording', seconds !== null);
     },
 
     /**
@@ -0,0 +1,535 @@
+/**
+ * Photo Editor Module
+ * Crop, rotate, flip, brightness / contrast / saturation and preset filters
+ *
+ * Editing never touches the original photo. The editor builds a recipe
+ * ("edits") that is saved on the memory, and every picture of the photo the
+ * app shows (thumbnail, edit modal, shared copy) is rendered from the original
+ * with the recipe applied - so reverting is just dropping the recipe.
+ *
+ * A recipe:
+ * {
+ *   rotation: 0, 90, 180 or 270 (degrees clockwise),
+ *   flipH, flipV: mirror after rotating, i.e. as seen on screen,
+ *   crop: { x, y, width, height } as fractions of the rotated photo, null for all of it,
+ *   brightness, contrast, saturation: -100 to 100, 0 leaves the photo as it is,
+ *   filter: a key of PhotoEditor.filters
+ * }
+ */
+
+const PhotoEditor = {
+    previewSize: 900,       // Longest edge of the editing canvas (px)
+    minCrop: 0.05,          // A drag smaller than this (fraction of a side) is a click, not a crop
+    aspectRatios: { '1:1': 1, '4:3': 4 / 3, '3:4': 3 / 4, '16:9': 16 / 9, '9:16': 9 / 16 },
+
+    // Preset filters as colour matrices: rows give the new R, G, B from (r, g, b, offset 0-255)
+    filters: {
+        none: { name: 'None', matrix: null },
+        mono: { name: 'Mono', matrix: [0.299, 0.587, 0.114, 0, 0.299, 0.587, 0.114, 0, 0.299, 0.587, 0.114, 0] },
+        sepia: { name: 'Sepia', matrix: [0.393, 0.769, 0.189, 0, 0.349, 0.686, 0.168, 0, 0.272, 0.534, 0.131, 0] },
+        warm: { name: 'Warm', matrix: [1.1, 0, 0, 10, 0, 1.02, 0, 0, 0, 0, 0.85, 0] },
+        cool: { name: 'Cool', matrix: [0.88, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1.12, 10] },
+        fade: { name: 'Fade', matrix: [0.8, 0.1, 0.1, 20, 0.1, 0.8, 0.1, 20, 0.1, 0.1, 0.8, 20] }
+    },
+
+    // Editing state, while the editor is open in the edit modal
+    image: null,            // The original photo, decoded
+    orientation: 1,         // Its EXIF orientation
+    edits: null,            // The recipe being edited, null when closed
+    saved: null,            // The recipe the memory had when opened (JSON), to spot changes
+    aspect: '',             // Aspect ratio key new crops keep to, '' for free
+    drag: null,             // { start, before } while a crop is being drawn
+    drawPending: false,     // A redraw is queued for the next frame
+
+    /**
+     * A recipe that leaves the photo as it is
+     * @returns {Object}
+     */
+    defaults() {
+        return { rotation: 0, flipH: false, flipV: false, crop: null, brightness: 0, contrast: 0, saturation: 0, filter: 'none' };
+    },
+
+    /**
+     * Check if a recipe changes nothing
+     * @param {Object} edits
+     * @returns {boolean}
+     */
+    isIdentity(edits) {
+        const defaults = this.defaults();
+        return Object.keys(defaults).every(key => JSON.stringify(edits[key] ?? defaults[key]) === JSON.stringify(defaults[key]));
+    },
+
+    /**
+     * Check a recipe read from a backup
+     * @param {Object} edits
+     * @returns {string|null} What is wrong with it, or null if it's valid
+     */
+    validate(edits) {
+        if (!edits || typeof edits !== 'object') return 'not an object';
+
+        if (edits.rotation !== undefined && ![0, 90, 180, 270].includes(edits.rotation)) {
+            return 'invalid rotation';
+        }
+        for (const key of ['brightness', 'contrast', 'saturation']) {
+            if (edits[key] !== undefined && !(Number.isFinite(edits[key]) && Math.abs(edits[key]) <= 100)) {
+                return `invalid ${key}`;
+            }
+        }
+        if (edits.filter !== undefined && !Object.hasOwn(this.filters, edits.filter)) {
+            return 'unknown filter';
+        }
+
+        const crop = edits.crop;
+        if (crop !== undefined && crop !== null) {
+            const inside = (start, size) => Number.isFinite(start) && Number.isFinite(size)
+                && start >= 0 && size > 0 && start + size <= 1.0001;  // Rounding can overshoot a hair
+            if (!inside(crop.x, crop.width) || !inside(crop.y, crop.height)) {
+                return 'invalid crop';
+            }
+        }
+
+        return null;
+    },
+
+    // ===== Rendering =====
+
+    /**
+     * Size of a photo once it is upright and rotated
+     * @param {HTMLImageElement} image
+     * @param {number} orientation - EXIF orientation
+     * @param {number} rotation - Degrees clockwise
+     * @returns {Object} { width, height } in px
+     */
+    frameSize(image, orientation, rotation) {
+        const { width, height } = ImageUtils.uprightSize(image, orientation);
+        return rotation % 180 !== 0 ? { width: height, height: width } : { width, height };
+    },
+
+    /**
+     * The colour matrix for a recipe's adjustments and filter, applied in that order
+     * @param {Object} edits
+     * @returns {Array<number>|null} 12 numbers, null if colours are left alone
+     */
+    colorMatrix(edits) {
+        const steps = [];
+
+        if (edits.brightness) {
+            const b = 1 + edits.brightness / 200;
+            steps.push([b, 0, 0, 0, 0, b, 0, 0, 0, 0, b, 0]);
+        }
+        if (edits.contrast) {
+            // Stretch around mid grey
+            const c = 1 + edits.contrast / 200;
+            const offset = 128 * (1 - c);
+            steps.push([c, 0, 0, offset, 0, c, 0, offset, 0, 0, c, offset]);
+        }
+        if (edits.saturation) {
+            // Mix each channel with the luminance (Rec. 709 weights)
+            const s = 1 + edits.saturation / 100;
+            const [r, g, b] = [0.2126, 0.7152, 0.0722].map(weight => weight * (1 - s));
+            steps.push([r + s, g, b, 0, r, g + s, b, 0, r, g, b + s, 0]);
+        }
+        const filter = this.filters[edits.filter];
+        if (filter && filter.matrix) {
+            steps.push(filter.matrix);
+        }
+
+        return steps.reduce((matrix, step) => matrix ? this.multiply(step, matrix) : step, null);
+    },
+
+    /**
+     * Combine two colour matrices: the result applies `second` after `first`
+     * @param {Array<number>} second
+     * @param {Array<number>} first
+     * @returns {Array<number>}
+     */
+    multiply(second, first) {
+        const result = [];
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 4; column++) {
+                let sum = column === 3 ? second[row * 4 + 3] : 0;
+                for (let k = 0; k < 3; k++) {
+                    sum += second[row * 4 + k] * first[k * 4 + column];
+                }
+                result.push(sum);
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Run every pixel of a canvas through a colour matrix
+     * Done by hand rather than with context.filter, which Safari doesn't support
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array<number>} matrix
+     */
+    applyMatrix(canvas, matrix) {
+        const context = canvas.getContext('2d');
+        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imageData.data;  // Clamped: out of range values are cut to 0-255
+        const [rr, rg, rb, ro, gr, gg, gb, go, br, bg, bb, bo] = matrix;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            data[i] = rr * r + rg * g + rb * b + ro;
+            data[i + 1] = gr * r + gg * g + gb * b + go;
+            data[i + 2] = br * r + bg * g + bb * b + bo;
+        }
+
+        context.putImageData(imageData, 0, 0);
+    },
+
+    /**
+     * Draw a photo with a recipe applied
+     * @param {HTMLImageElement} image - The original photo
+     * @param {number} orientation - Its EXIF orientation
+     * @param {Object} edits - The recipe
+     * @param {number} maxSize - Longest edge of the result (px), Infinity for full size
+     * @param {Object} options
+     * @param {boolean} options.crop - false to draw the whole photo, as the editor does while cropping
+     * @returns {HTMLCanvasElement}
+     */
+    render(image, orientation, edits, maxSize = Infinity, { crop = true } = {}) {
+        const box = (crop && edits.crop) || { x: 0, y: 0, width: 1, height: 1 };
+        const quarterTurn = edits.rotation % 180 !== 0;
+
+        // Scale down before drawing, so a small thumbnail never draws the full photo
+        const frame = this.frameSize(image, orientation, edits.rotation);
+        const scale = Math.min(1, maxSize / Math.max(box.width * frame.width, box.height * frame.height));
+
+        const source = ImageUtils.drawUpright(image, orientation, scale);
+        const [width, height] = quarterTurn ? [source.height, source.width] : [source.width, source.height];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(box.width * width));
+        canvas.height = Math.max(1, Math.round(box.height * height));
+
+        // Read bottom up: rotate the photo about its centre, mirror it, then shift the crop into view
+        const context = canvas.getContext('2d');
+        context.translate(-box.x * width + width / 2, -box.y * height + height / 2);
+        context.scale(edits.flipH ? -1 : 1, edits.flipV ? -1 : 1);
+        context.rotate(edits.rotation * Math.PI / 180);
+        context.drawImage(source, -source.width / 2, -source.height / 2);
+
+        const matrix = this.colorMatrix(edits);
+        if (matrix) {
+            this.applyMatrix(canvas, matrix);
+        }
+
+        return canvas;
+    },
+
+    /**
+     * Render a photo with a recipe applied into a JPEG
+     * @param {Blob} blob - The original photo
+     * @param {number} orientation - Its EXIF orientation
+     * @param {Object} edits
+     * @param {number} maxSize - Longest edge (px), Infinity for full size
+     * @param {number} quality - JPEG quality
+     * @returns {Promise<Blob>}
+     */
+    async renderBlob(blob, orientation, edits, maxSize = Infinity, quality = 0.9) {
+        const image = await ImageUtils.loadImage(blob);
+        return ImageUtils.canvasToBlob(this.render(image, orientation, edits, maxSize), 'image/jpeg', quality);
+    },
+
+    /**
+     * Thumbnail of an edited photo, the edited counterpart of ImageUtils.createThumbnail()
+     * @param {Blob} blob - The original photo
+     * @param {number} orientation
+     * @param {Object} edits
+     * @returns {Promise<Blob>}
+     */
+    thumbnail(blob, orientation, edits) {
+        return this.renderBlob(blob, orientation, edits, ImageUtils.thumbnailSize, ImageUtils.thumbnailQuality);
+    },
+
+    // ===== Editor (edit modal) =====
+
+    /**
+     * Setup the editor's controls
+     */
+    init() {
+        document.getElementById('editor-filter').innerHTML = Object.entries(this.filters)
+            .map(([key, filter]) => `<option value="${key}">${filter.name}</option>`).join('');
+
+        document.getElementById('editor-rotate-left').addEventListener('click', () => this.rotate(-1));
+        document.getElementById('editor-rotate-right').addEventListener('click', () => this.rotate(1));
+        document.getElementById('editor-flip-h').addEventListener('click', () => this.flip('flipH'));
+        document.getElementById('editor-flip-v').addEventListener('click', () => this.flip('flipV'));
+        document.getElementById('editor-aspect').addEventListener('change', (e) => this.setAspect(e.target.value));
+        document.getElementById('editor-reset-crop').addEventListener('click', () => this.update({ crop: null }));
+        document.getElementById('editor-revert').addEventListener('click', () => this.revert());
+
+        ['brightness', 'contrast', 'saturation'].forEach(key => {
+            document.getElementById(`editor-${key}`).addEventListener('input', (e) => {
+                this.update({ [key]: Number(e.target.value) });
+            });
+        });
+        document.getElementById('editor-filter').addEventListener('change', (e) => {
+            this.update({ filter: e.target.value });
+        });
+
+        this.setupCropDrag();
+    },
+
+    /**
+     * Start editing a photo
+     * @param {Blob} photo - The original photo
+     * @param {number} orientation - Its EXIF orientation
+     * @param {Object|null} edits - The recipe saved on the memory
+     */
+    async open(photo, orientation, edits) {
+        this.image = await ImageUtils.loadImage(photo);
+        this.orientation = orientation || 1;
+        this.edits = { ...this.defaults(), ...JSON.parse(JSON.stringify(edits || {})) };
+        this.saved = JSON.stringify(this.result());
+        this.aspect = '';
+
+        document.getElementById('photo-editor').classList.remove('hidden');
+        this.syncControls();
+        this.draw();
+    },
+
+    /**
+     * Stop editing and forget the photo
+     */
+    close() {
+        document.getElementById('photo-editor').classList.add('hidden');
+        this.image = null;
+        this.edits = null;
+        this.saved = null;
+        this.drag = null;
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.edits !== null;
+    },
+
+    /**
+     * Check if the recipe differs from the one the memory had
+     * @returns {boolean}
+     */
+    hasChanges() {
+        return this.isOpen() && JSON.stringify(this.result()) !== this.saved;
+    },
+
+    /**
+     * The recipe to save
+     * @returns {Object|null} null if it changes nothing, so the memory goes back to the original
+     */
+    result() {
+        return this.isIdentity(this.edits) ? null : { ...this.edits, crop: this.edits.crop && { ...this.edits.crop } };
+    },
+
+    /**
+     * Thumbnail of the photo as edited, for saving with the recipe
+     * @returns {Promise<Blob>}
+     */
+    renderThumbnail() {
+        const canvas = this.render(this.image, this.orientation, this.edits, ImageUtils.thumbnailSize);
+        return ImageUtils.canvasToBlob(canvas, 'image/jpeg', ImageUtils.thumbnailQuality);
+    },
+
+    /**
+     * Change part of the recipe and redraw
+     * @param {Object} changes
+     */
+    update(changes) {
+        Object.assign(this.edits, changes);
+        this.syncControls();
+        this.scheduleDraw();
+    },
+
+    /**
+     * Turn the photo a quarter turn
+     * The crop turns with it; a single flip swaps axis, so the picture turns as it looks on screen
+     * @param {number} direction - 1 clockwise, -1 anticlockwise
+     */
+    rotate(direction) {
+        const crop = this.edits.crop;
+        this.update({
+            rotation: (this.edits.rotation + direction * 90 + 360) % 360,
+            flipH: this.edits.flipV,
+            flipV: this.edits.flipH,
+            crop: crop && (direction > 0
+                ? { x: 1 - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width }
+                : { x: crop.y, y: 1 - crop.x - crop.width, width: crop.height, height: crop.width })
+        });
+    },
+
+    /**
+     * Mirror the photo (and its crop)
+     * @param {string} axis - 'flipH' or 'flipV'
+     */
+    flip(axis) {
+        const crop = this.edits.crop;
+        const mirrored = crop && (axis === 'flipH'
+            ? { ...crop, x: 1 - crop.x - crop.width }
+            : { ...crop, y: 1 - crop.y - crop.height });
+        this.update({ [axis]: !this.edits[axis], crop: mirrored });
+    },
+
+    /**
+     * Keep new crops to an aspect ratio, starting with the largest centred one
+     * @param {string} key - A key of aspectRatios, '' for free
+     */
+    setAspect(key) {
+        this.aspect = key;
+        const ratio = this.aspectRatios[key];
+        if (!ratio) {
+            this.syncControls();
+            return;
+        }
+
+        const { width, height } = this.frameSize(this.image, this.orientation, this.edits.rotation);
+        const crop = width / height > ratio
+            ? { width: ratio * height / width, height: 1 }
+            : { width: 1, height: width / ratio / height };
+        this.update({ crop: { x: (1 - crop.width) / 2, y: (1 - crop.height) / 2, ...crop } });
+    },
+
+    /**
+     * Put everything back as the original photo
+     */
+    revert() {
+        this.aspect = '';
+        this.edits = this.defaults();
+        this.syncControls();
+        this.scheduleDraw();
+    },
+
+    /**
+     * Show the recipe's values in the controls
+     */
+    syncControls() {
+        ['brightness', 'contrast', 'saturation'].forEach(key => {
+            document.getElementById(`editor-${key}`).value = this.edits[key];
+        });
+        document.getElementById('editor-filter').value = this.edits.filter;
+        document.getElementById('editor-aspect').value = this.aspect;
+        document.getElementById('editor-reset-crop').disabled = !this.edits.crop;
+    },
+
+
+    /**
+     * Redraw on the next frame, so dragging a slider doesn't queue up renders
+     */
+    scheduleDraw() {
+        if (this.drawPending) return;
+        this.drawPending = true;
+        requestAnimationFrame(() => {
+            this.drawPending = false;
+            if (this.isOpen()) this.draw();
+        });
+    },
+
+    /**
+     * Draw the whole photo with the recipe, and darken what the crop leaves out
+     */
+    draw() {
+        const canvas = document.getElementById('editor-canvas');
+        const rendered = this.render(this.image, this.orientation, this.edits, this.previewSize, { crop: false });
+        canvas.width = rendered.width;
+        canvas.height = rendered.height;
+
+        const context = canvas.getContext('2d');
+        context.drawImage(rendered, 0, 0);
+
+        const crop = this.edits.crop;
+        if (crop) {
+            const x = crop.x * canvas.width;
+            const y = crop.y * canvas.height;
+            const width = crop.width * canvas.width;
+            const height = crop.height * canvas.height;
+
+            context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            context.beginPath();
+            context.rect(0, 0, canvas.width, canvas.height);
+            context.rect(x, y, width, height);
+            context.fill('evenodd');
+
+            context.strokeStyle = 'white';
+            context.lineWidth = Math.max(2, canvas.width / 300);
+            context.strokeRect(x, y, width, height);
+        }
+    },
+
+    /**
+     * Drawing a rectangle on the photo sets the crop, kept to the aspect ratio if one is picked
+     */
+    setupCropDrag() {
+        const canvas = document.getElementById('editor-canvas');
+
+        // Where the pointer is, as fractions of the photo
+        const position = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+                y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+            };
+        };
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.isOpen()) return;
+            canvas.setPointerCapture(e.pointerId);
+            this.drag = { start: position(e), before: this.edits.crop };
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            this.edits.crop = this.cropBetween(this.drag.start, position(e));
+            this.scheduleDraw();
+        });
+
+        const finish = () => {
+            if (!this.drag) return;
+            const crop = this.edits.crop;
+            if (!crop || crop.width < this.minCrop || crop.height < this.minCrop) {
+                this.edits.crop = this.drag.before;  // Just a click
+            }
+            this.drag = null;
+            this.syncControls();
+            this.scheduleDraw();
+        };
+        canvas.addEventListener('pointerup', finish);
+        canvas.addEventListener('pointercancel', finish);
+    },
+
+    /**
+     * The crop spanned by a drag, shrunk to the aspect ratio and to the photo's edges
+     * @param {Object} start - { x, y } fractions where the drag started
+     * @param {Object} end - { x, y } fractions where the pointer is
+     * @returns {Object} { x, y, width, height }
+     */
+    cropBetween(start, end) {
+        const { width: frameWidth, height: frameHeight } = this.frameSize(this.image, this.orientation, this.edits.rotation);
+        const directionX = end.x < start.x ? -1 : 1;
+        const directionY = end.y < start.y ? -1 : 1;
+        let width = Math.abs(end.x - start.x) * frameWidth;    // px
+        let height = Math.abs(end.y - start.y) * frameHeight;
+
+        const ratio = this.aspectRatios[this.aspect];
+        if (ratio) {
+            // Follow the side the pointer went furthest along, within the room there is
+            const roomWidth = (directionX > 0 ? 1 - start.x : start.x) * frameWidth;
+            const roomHeight = (directionY > 0 ? 1 - start.y : start.y) * frameHeight;
+            height = Math.min(Math.max(height, width / ratio), roomHeight, roomWidth / ratio);
+            width = height * ratio;
+        }
+
+        const cropWidth = width / frameWidth;
+        const cropHeight = height / frameHeight;
+        return {
+            x: directionX > 0 ? start.x : start.x - cropWidth,
+            y: directionY > 0 ? start.y : start.y - cropHeight,
+            width: cropWidth,
+            height: cropHeight
+        };
+    }
+};
@@ -0,0 +1,547 @@
+/**
+ * EXIF Module
+ * Reads the GPS position, capture time and orientation stored inside JPEG photos,
+ * and writes them back into photos we export or share
+ *
+ * A JPEG is a list of segments. The EXIF data sits in the APP1 segment as a
+ * small TIFF file: a header telling the byte order, then "IFDs" (tables of
+ * tagged values). IFD0 points to the Exif IFD (capture time) and the GPS IFD.
+ */
+
+const Exif = {
+    // TIFF tags we care about
+    tags: {
+        imageDescription: 0x010E,
+        orientation: 0x0112,
+        dateTime: 0x0132,
+        subIfds: 0x014A,
+        exifIfd: 0x8769,
+        gpsIfd: 0x8825,
+        dateTimeOriginal: 0x9003,
+        offsetTimeOriginal: 0x9011,
+        interopIfd: 0xA005,
+        gpsVersion: 0x0000,
+        gpsLatitudeRef: 0x0001,
+        gpsLatitude: 0x0002,
+        gpsLongitudeRef: 0x0003,
+        gpsLongitude: 0x0004
+    },
+
+    // Size in bytes of each TIFF value type
+    typeSizes: { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 },
+
+    /**
+     * Read EXIF metadata from an image file
+     * @param {Blob} blob - The photo (only JPEGs carry EXIF, other types return null)
+     * @returns {Promise<Object|null>} { latitude, longitude, dateTaken, orientation }
+     * Any field can be undefined when the photo doesn't have it
+     */
+    async read(blob) {
+        try {
+            // EXIF lives right at the start of the file, no need to read the whole photo
+            const buffer = await blob.slice(0, 256 * 1024).arrayBuffer();
+            const tiff = this.findTiff(new DataView(buffer));
+            return tiff ? this.parseTiff(tiff.view, tiff.start) : null;
+        } catch (error) {
+            console.warn('⚠️ Could not read EXIF data:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Find the TIFF block inside the JPEG's APP1 "Exif" segment
+     * @param {DataView} view - Start of the JPEG file
+     * @returns {Object|null} { view, start } where start is the TIFF header offset
+     */
+    findTiff(view) {
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+            return null;  // Not a JPEG
+        }
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+
+            // Start of scan: image data follows, no metadata after this point
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) {
+                return null;
+            }
+
+            // APP1 starting with "Exif\0\0"
+            if (marker === 0xFFE1 && offset + 10 <= view.byteLength &&
+                view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+                return { view, start: offset + 10 };
+            }
+
+            offset += 2 + length;
+        }
+
+        return null;
+    },
+
+    /**
+     * Parse the TIFF structure and pull out the values we use
+     * @param {DataView} view
+     * @param {number} start - Offset of the TIFF header
+     * @returns {Object}
+     */
+    parseTiff(view, start) {
+        const littleEndian = view.getUint16(start) === 0x4949;  // "II" = Intel, "MM" = Motorola
+        if (view.getUint16(start + 2, littleEndian) !== 0x002A) {
+            return null;
+        }
+
+        const ifd0 = this.readIfd(view, start, start + view.getUint32(start + 4, littleEndian), littleEndian);
+        const exifIfd = ifd0[this.tags.exifIfd] !== undefined
+            ? this.readIfd(view, start, start + ifd0[this.tags.exifIfd], littleEndian)
+            : {};
+        const gpsIfd = ifd0[this.tags.gpsIfd] !== undefined
+            ? this.readIfd(view, start, start + ifd0[this.tags.gpsIfd], littleEndian)
+            : {};
+
+        const result = {
+            orientation: ifd0[this.tags.orientation],
+            dateTaken: this.parseDate(exifIfd[this.tags.dateTimeOriginal], exifIfd[this.tags.offsetTimeOriginal])
+        };
+
+        const latitude = this.toDecimalDegrees(gpsIfd[this.tags.gpsLatitude], gpsIfd[this.tags.gpsLatitudeRef]);
+        const longitude = this.toDecimalDegrees(gpsIfd[this.tags.gpsLongitude], gpsIfd[this.tags.gpsLongitudeRef]);
+
+        // 0,0 is what some cameras write when they had no GPS fix
+        if (latitude !== undefined && longitude !== undefined && !(latitude === 0 && longitude === 0)) {
+            result.latitude = latitude;
+            result.longitude = longitude;
+        }
+
+        return result;
+    },
+
+    /**
+     * Read one IFD into a { tag: value } object
+     * @param {DataView} view
+     * @param {number} tiffStart - Offsets inside the IFD are relative to this
+     * @param {number} offset - Where the IFD starts
+     * @param {boolean} littleEndian
+     * @returns {Object}
+     */
+    readIfd(view, tiffStart, offset, littleEndian) {
+        const values = {};
+
+        this.ifdEntries(view, tiffStart, offset, littleEndian).forEach(({ tag, type, count, valueOffset }) => {
+            values[tag] = this.readValue(view, type, count, valueOffset, littleEndian);
+        });
+
+        return values;
+    },
+
+    /**
+     * Locate the entries of one IFD without decoding them
+     * @returns {Array} [{ tag, type, count, valueOffset, size }], entries whose value
+     * lies outside the view are left out
+     */
+    ifdEntries(view, tiffStart, offset, littleEndian) {
+        const entries = [];
+        if (offset + 2 > view.byteLength) return entries;
+
+        const count = view.getUint16(offset, littleEndian);
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const length = view.getUint32(entry + 4, littleEndian);
+            const size = (this.typeSizes[type] || 1) * length;
+
+            // Values up to 4 bytes are stored inline, bigger ones elsewhere
+            const valueOffset = size <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, littleEndian);
+            if (valueOffset + size > view.byteLength) continue;
+
+            entries.push({ tag, type, count: length, valueOffset, size });
+        }
+
+        return entries;
+    },
+
+    /**
+     * Decode a tag value according to its TIFF type
+     */
+    readValue(view, type, length, offset, littleEndian) {
+        switch (type) {
+            case 2: {  // ASCII, NUL terminated
+                let text = '';
+                for (let i = 0; i < length; i++) {
+                    const char = view.getUint8(offset + i);
+                    if (char === 0) break;
+                    text += String.fromCharCode(char);
+                }
+                return text;
+            }
+            case 3:    // SHORT
+                return length === 1
+                    ? view.getUint16(offset, littleEndian)
+                    : Array.from({ length }, (_, i) => view.getUint16(offset + i * 2, littleEndian));
+            case 4:    // LONG
+                return length === 1
+                    ? view.getUint32(offset, littleEndian)
+                    : Array.from({ length }, (_, i) => view.getUint32(offset + i * 4, littleEndian));
+            case 5:    // RATIONAL (two LONGs: numerator / denominator)
+            case 10: { // SRATIONAL
+                const signed = type === 10;
+                return Array.from({ length }, (_, i) => {
+                    const at = offset + i * 8;
+                    const numerator = signed ? view.getInt32(at, littleEndian) : view.getUint32(at, littleEndian);
+                    const denominator = signed ? view.getInt32(at + 4, littleEndian) : view.getUint32(at + 4, littleEndian);
+                    return denominator ? numerator / denominator : 0;
+                });
+            }
+            default:
+                return view.getUint8(offset);
+        }
+    },
+
+    /**
+     * Convert EXIF degrees/minutes/seconds into a signed decimal value
+     * @param {Array<number>} dms - [degrees, minutes, seconds]
+     * @param {string} ref - "N", "S", "E" or "W"
+     * @returns {number|undefined}
+     */
+    toDecimalDegrees(dms, ref) {
+        if (!Array.isArray(dms) || dms.length < 3) return undefined;
+
+        const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+        return ref === 'S' || ref === 'W' ? -value : value;
+    },
+
+    /**
+     * Parse an EXIF date ("2024:05:12 14:32:07") into a timestamp
+     * EXIF dates have no time zone; use OffsetTimeOriginal ("+02:00") when present,
+     * otherwise read it as the device's local time
+     * @returns {number|undefined} Milliseconds since epoch
+     */
+    parseDate(text, offset) {
+        const match = typeof text === 'string' && text.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+        if (!match) return undefined;
+
+        const [, year, month, day, hour, minute, second] = match;
+
+        if (typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset)) {
+            const timestamp = Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+            return Number.isNaN(timestamp) ? undefined : timestamp;
+        }
+
+        const timestamp = new Date(+year, month - 1, +day, +hour, +minute, +second).getTime();
+        return Number.isNaN(timestamp) ? undefined : timestamp;
+    },
+
+    // ========================================================================
+    // WRITING
+    // ========================================================================
+
+    /**
+     * Return a copy of a JPEG with new EXIF metadata
+     * Tags already in the file (camera, exposure, lens...) are kept; the ones
+     * given here replace theirs. The thumbnail IFD is dropped.
+     * @param {Blob} blob - JPEG image (other types are returned unchanged)
+     * @param {Object} metadata
+     * @param {number} metadata.latitude
+     * @param {number} metadata.longitude
+     * @param {number} metadata.timestamp - Capture time in milliseconds
+     * @param {string} metadata.description - Written as ImageDescription; empty removes the file's own
+     * @param {number} metadata.orientation - Kept so rotated uploads stay upright
+     * @returns {Promise<Blob>}
+     */
+    async write(blob, metadata) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            return blob;  // Not a JPEG, nowhere to put EXIF
+        }
+
+        const view = new DataView(bytes.buffer);
+        const kept = [];            // Segments we keep, in order
+        let existing = null;        // Entries of the first EXIF block, merged into the new one
+        let insertAt = 0;           // Index in kept[] where the new APP1 goes
+        let offset = 2;
+
+        // Walk the header segments, dropping old EXIF blocks
+        while (offset + 4 <= bytes.length) {
+            const marker = view.getUint16(offset);
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) break;  // Image data starts
+
+            const end = offset + 2 + view.getUint16(offset + 2);
+            const isExif = marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966;
+
+            if (!isExif) {
+                kept.push(bytes.subarray(offset, end));
+                // JFIF's APP0 must stay first, EXIF goes right after it
+                if (marker === 0xFFE0 && kept.length === 1) insertAt = 1;
+            } else if (!existing) {
+                existing = this.readExisting(new DataView(bytes.buffer, 0, Math.min(end, bytes.length)), offset + 10);
+            }
+            offset = end;
+        }
+
+        let app1 = this.buildApp1(metadata, existing || {});
+        if (app1.length > 0xFFFF + 2) {
+            // A segment can't pass 64KB: a long description on top of a big maker note won't fit
+            app1 = this.buildApp1(metadata);
+        }
+        kept.splice(insertAt, 0, app1);
+
+        return new Blob([bytes.subarray(0, 2), ...kept, bytes.subarray(offset)], { type: 'image/jpeg' });
+    },
+
+    /**
+     * Read the entries of a photo's own EXIF block so write() can keep them
+     * Values are copied as raw bytes, converted to little-endian to match buildApp1().
+     * Maker notes are copied as they are; the few brands that point inside them
+     * from the TIFF header may lose those details, the standard tags are intact.
+     * @param {DataView} view - The JPEG, ending where the EXIF segment ends
+     * @param {number} start - Offset of the TIFF header
+     * @returns {Object|null} { ifd0, exifIfd, gpsIfd, interopIfd }, each [{ tag, type, count, data }]
+     */
+    readExisting(view, start) {
+        try {
+            const littleEndian = view.getUint16(start) === 0x4949;
+            if (view.getUint16(start + 2, littleEndian) !== 0x002A) return null;
+
+            const read = (offset) => this.ifdEntries(view, start, start + offset, littleEndian)
+                .filter(entry => this.typeSizes[entry.type])  // Unknown types: can't tell their size
+                .map(({ tag, type, count, valueOffset, size }) => ({
+                    tag,
+                    type,
+                    count,
+                    data: this.toLittleEndian(new Uint8Array(view.buffer, valueOffset, size).slice(), type, littleEndian)
+                }));
+            const follow = (entries, tag) => {
+                const pointer = entries.find(entry => entry.tag === tag);
+                return pointer && pointer.data.length === 4 ? read(new DataView(pointer.data.buffer).getUint32(0, true)) : [];
+            };
+
+            // SubIFDs would point at data we don't copy
+            const ifd0 = read(view.getUint32(start + 4, littleEndian)).filter(entry => entry.tag !== this.tags.subIfds);
+            const exifIfd = follow(ifd0, this.tags.exifIfd);
+
+            return {
+                ifd0,
+                exifIfd,
+                gpsIfd: follow(ifd0, this.tags.gpsIfd),
+                interopIfd: follow(exifIfd, this.tags.interopIfd)
+            };
+        } catch (error) {
+            console.warn('⚠️ Could not read existing EXIF data, writing a new block:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Swap a big-endian ("MM") value to little-endian in place, one number at a time
+     * @param {Uint8Array} data
+     * @param {number} type - TIFF type, tells how wide each number is
+     * @param {boolean} littleEndian - Already little-endian: nothing to do
+     * @returns {Uint8Array}
+     */
+    toLittleEndian(data, type, littleEndian) {
+        const width = { 3: 2, 4: 4, 5: 4, 8: 2, 9: 4, 10: 4, 11: 4, 12: 8, 13: 4 }[type];
+        if (littleEndian || !width) return data;
+
+        for (let i = 0; i + width <= data.length; i += width) {
+            data.subarray(i, i + width).reverse();
+        }
+        return data;
+    },
+
+    /**
+     * Build the APP1 segment: marker, length, "Exif\0\0" and a little-endian TIFF block
+     * @param {Object} metadata - See write()
+     * @param {Object} existing - Entries from readExisting(), kept unless metadata sets the same tag
+     * @returns {Uint8Array}
+     */
+    buildApp1(metadata, existing = {}) {
+        const { latitude, longitude, timestamp, description, orientation } = metadata;
+        const date = new Date(timestamp || Date.now());
+        const byTag = (entries = []) => new Map(entries.map(entry => [entry.tag, entry]));
+        const put = (ifd, entry) => ifd.set(entry.tag, entry);
+
+        // ===== IFD0: description, orientation, date, pointers to the other IFDs =====
+        const ifd0 = byTag(existing.ifd0);
+        if (description) {
+            // Keep the segment under JPEG's 64KB limit
+            put(ifd0, this.asciiEntry(this.tags.imageDescription, description.slice(0, 2000)));
+        } else {
+            ifd0.delete(this.tags.imageDescription);  // Cleared notes shouldn't come back from the file
+        }
+        if (orientation >= 1 && orientation <= 8) {
+            put(ifd0, { tag: this.tags.orientation, type: 3, count: 1, data: this.shorts([orientation]) });
+        }
+        put(ifd0, this.asciiEntry(this.tags.dateTime, this.formatDate(date)));
+
+        // ===== Exif IFD: capture time and its time zone =====
+        const exifIfd = byTag(existing.exifIfd);
+        put(exifIfd, this.asciiEntry(this.tags.dateTimeOriginal, this.formatDate(date)));
+        put(exifIfd, this.asciiEntry(this.tags.offsetTimeOriginal, this.formatOffset(date)));
+
+        // ===== GPS IFD =====
+        const gpsIfd = byTag(existing.gpsIfd);
+        if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+            put(gpsIfd, { tag: this.tags.gpsVersion, type: 1, count: 4, data: new Uint8Array([2, 3, 0, 0]) });
+            put(gpsIfd, this.asciiEntry(this.tags.gpsLatitudeRef, latitude < 0 ? 'S' : 'N'));
+            put(gpsIfd, { tag: this.tags.gpsLatitude, type: 5, count: 3, data: this.rationals(this.toDms(latitude)) });
+            put(gpsIfd, this.asciiEntry(this.tags.gpsLongitudeRef, longitude < 0 ? 'W' : 'E'));
+            put(gpsIfd, { tag: this.tags.gpsLongitude, type: 5, count: 3, data: this.rationals(this.toDms(longitude)) });
+        }
+        const interopIfd = byTag(existing.interopIfd);
+
+        // ===== Pointers: old offsets mean nothing once the IFDs move =====
+        const pointer = (ifd, tag, target) => {
+            ifd.delete(tag);
+            if (target.size === 0) return null;
+            return put(ifd, { tag, type: 4, count: 1, data: this.longs([0]) }).get(tag);
+        };
+        const interopPointer = pointer(exifIfd, this.tags.interopIfd, interopIfd);
+        const exifPointer = pointer(ifd0, this.tags.exifIfd, exifIfd);
+        const gpsPointer = pointer(ifd0, this.tags.gpsIfd, gpsIfd);
+
+        // ===== Lay the IFDs out one after another, then fill in the pointers =====
+        const layout = [
+            { entries: [...ifd0.values()] },
+            { entries: [...exifIfd.values()], pointer: exifPointer },
+            { entries: [...gpsIfd.values()], pointer: gpsPointer },
+            { entries: [...interopIfd.values()], pointer: interopPointer }
+        ].filter(ifd => ifd.entries.length > 0);
+
+        let ifdOffset = 8;
+        layout.forEach(ifd => {
+            ifd.offset = ifdOffset;
+            if (ifd.pointer) ifd.pointer.data = this.longs([ifdOffset]);
+            ifdOffset += this.ifdSize(ifd.entries);
+        });
+
+        const header = new Uint8Array([0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00]);  // "II", 42, IFD0 at 8
+        const tiffParts = [header, ...layout.map(ifd => this.encodeIfd(ifd.entries, ifd.offset))];
+
+        const tiffLength = tiffParts.reduce((sum, part) => sum + part.length, 0);
+        const segment = new Uint8Array(4 + 6 + tiffLength);
+        const view = new DataView(segment.buffer);
+        view.setUint16(0, 0xFFE1);
+        view.setUint16(2, segment.length - 2);  // Length counts itself, not the marker
+        segment.set([0x45, 0x78, 0x69, 0x66, 0x00, 0x00], 4);  // "Exif\0\0"
+
+        let position = 10;
+        tiffParts.forEach(part => {
+            segment.set(part, position);
+            position += part.length;
+        });
+
+        return segment;
+    },
+
+    /**
+     * Bytes an IFD takes: entry count, 12 bytes per entry, next-IFD pointer,
+     * plus values too big to fit inline (padded to an even length)
+     */
+    ifdSize(entries) {
+        return 2 + entries.length * 12 + 4 + entries.reduce((sum, entry) => {
+            return sum + (entry.data.length > 4 ? entry.data.length + (entry.data.length % 2) : 0);
+        }, 0);
+    },
+
+    /**
+     * Encode an IFD placed at `offset` from the TIFF header
+     * @returns {Uint8Array}
+     */
+    encodeIfd(entries, offset) {
+        const sorted = [...entries].sort((a, b) => a.tag - b.tag);  // TIFF wants ascending tags
+        const bytes = new Uint8Array(this.ifdSize(sorted));
+        const view = new DataView(bytes.buffer);
+        let dataPosition = 2 + sorted.length * 12 + 4;
+
+        view.setUint16(0, sorted.length, true);
+
+        sorted.forEach((entry, index) => {
+            const at = 2 + index * 12;
+            view.setUint16(at, entry.tag, true);
+            view.setUint16(at + 2, entry.type, true);
+            view.setUint32(at + 4, entry.count, true);
+
+            if (entry.data.length <= 4) {
+                bytes.set(entry.data, at + 8);
+            } else {
+                view.setUint32(at + 8, offset + dataPosition, true);
+                bytes.set(entry.data, dataPosition);
+                dataPosition += entry.data.length + (entry.data.length % 2);
+            }
+        });
+
+        // Next-IFD pointer stays 0: no thumbnail IFD
+        return bytes;
+    },
+
+    /**
+     * ASCII entry (UTF-8 encoded, which photo apps accept, NUL terminated)
+     */
+    asciiEntry(tag, text) {
+        const encoded = new TextEncoder().encode(text);
+        const data = new Uint8Array(encoded.length + 1);
+        data.set(encoded);
+        return { tag, type: 2, count: data.length, data };
+    },
+
+    shorts(values) {
+        const data = new Uint8Array(values.length * 2);
+        values.forEach((value, i) => new DataView(data.buffer).setUint16(i * 2, value, true));
+        return data;
+    },
+
+    longs(values) {
+        const data = new Uint8Array(values.length * 4);
+        values.forEach((value, i) => new DataView(data.buffer).setUint32(i * 4, value, true));
+        return data;
+    },
+
+    /**
+     * @param {Array} values - [[numerator, denominator], ...]
+     */
+    rationals(values) {
+        const data = new Uint8Array(values.length * 8);
+        const view = new DataView(data.buffer);
+        values.forEach(([numerator, denominator], i) => {
+            view.setUint32(i * 8, numerator, true);
+            view.setUint32(i * 8 + 4, denominator, true);
+        });
+        return data;
+    },
+
+    /**
+     * Decimal degrees -> degrees, minutes, seconds as rationals
+     * Seconds keep 4 decimals, well under a centimetre
+     */
+    toDms(value) {
+        const absolute = Math.abs(value);
+        const degrees = Math.floor(absolute);
+        const minutes = Math.floor((absolute - degrees) * 60);
+        const seconds = (absolute - degrees - minutes / 60) * 3600;
+        return [[degrees, 1], [minutes, 1], [Math.round(seconds * 10000), 10000]];
+    },
+
+    /**
+     * Local time in EXIF format: "2024:05:12 14:32:07"
+     */
+    formatDate(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    },
+
+    /**
+     * Local time zone offset in EXIF format: "+02:00"
+     */
+    formatOffset(date) {
+        const minutes = -date.getTimezoneOffset();
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+    }
+};
@@ -0,0 +1,380 @@
+/**
+ * Export Module
+ * Turns memories into files other tools understand (GPX, KML, ZIP of photos)
+ */
+
+const Exporter = {
+    /**
+     * Check if a memory has usable GPS coordinates
+     * @param {Object} memory
+     * @returns {boolean}
+     */
+    hasCoordinates(memory) {
+        const location = memory.location;
+        return Boolean(location) && Number.isFinite(location.latitude) && Number.isFinite(location.longitude);
+    },
+
+    /**
+     * Split memories into the ones that can become waypoints and the ones that can't
+     * Sorted oldest first, so waypoints follow the order of the trip
+     * @param {Array} memories
+     * @returns {Object} { located, withoutLocation }
+     */
+    partition(memories) {
+        const sorted = [...memories].sort((a, b) => a.timestamp - b.timestamp);
+        return {
+            located: sorted.filter(memory => this.hasCoordinates(memory)),
+            withoutLocation: sorted.filter(memory => !this.hasCoordinates(memory))
+        };
+    },
+
+    /**
+     * Escape text for use inside XML elements and attributes
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeXml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+        return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
+    },
+
+    /**
+     * Name used for a waypoint: the location name, or the date if there is none
+     * @param {Object} memory
+     * @returns {string}
+     */
+    waypointName(memory) {
+        return memory.location?.locationName || new Date(memory.timestamp).toLocaleString();
+    },
+
+    /**
+     * Thumbnails as data URLs, keyed by memory id
+     * @param {Array} memories
+     * @returns {Promise<Map>}
+     */
+    async thumbnailDataUrls(memories) {
+        const urls = new Map();
+        for (const memory of memories) {
+            if (memory.thumbnail) {
+                urls.set(memory.id, await ImageUtils.blobToDataUrl(memory.thumbnail));
+            }
+        }
+        return urls;
+    },
+
+    /**
+     * Build a GPX 1.1 file with one waypoint per geotagged memory
+     * @param {Array} memories - Memories as returned by Storage.getAllMemories()
+     * @param {Object} options
+     * @param {boolean} options.includeThumbnails - Embed each thumbnail as a <link>
+     * @returns {Promise<Object>} { content, exported, withoutLocation }
+     */
+    async toGPX(memories, { includeThumbnails = false } = {}) {
+        const { located, withoutLocation } = this.partition(memories);
+        const thumbnails = includeThumbnails ? await this.thumbnailDataUrls(located) : new Map();
+
+        const waypoints = located.map(memory => this.gpxWaypoint(memory, thumbnails.get(memory.id)));
+
+        const content = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="GeoSnap" xmlns="http://www.topografix.com/GPX/1/1">',
+            '  <metadata>',
+            '    <name>GeoSnap memories</name>',
+            `    <time>${new Date().toISOString()}</time>`,
+            '  </metadata>',
+            ...waypoints,
+            '</gpx>',
+            ''
+        ].join('\n');
+
+        return { content, exported: located.length, withoutLocation };
+    },
+
+    /**
+     * A GPX <wpt> for a geotagged memory
+     * @param {Object} memory
+     * @param {string} thumbnail - Optional data URL to link
+     * @returns {string}
+     */
+    gpxWaypoint(memory, thumbnail) {
+        const { latitude, longitude } = memory.location;
+
+        return [
+            `  <wpt lat="${latitude}" lon="${longitude}">`,
+            `    <time>${new Date(memory.timestamp).toISOString()}</time>`,
+            `    <name>${this.escapeXml(this.waypointName(memory))}</name>`,
+            memory.notes ? `    <desc>${this.escapeXml(memory.notes)}</desc>` : '',
+            thumbnail ? `    <link href="${this.escapeXml(thumbnail)}"><text>Photo</text><type>image/jpeg</type></link>` : '',
+            '  </wpt>'
+        ].filter(Boolean).join('\n');
+    },
+
+    /**
+     * Build a GPX 1.1 file of a recorded track, with its photos as waypoints
+     * @param {Object} track - From Storage.getAllTracks()
+     * @param {Array} points - From Storage.getTrackPoints()
+     * @param {Array} memories - Memories taken on the track
+     * @returns {string}
+     */
+    trackToGPX(track, points, memories) {
+        const { located } = this.partition(memories);
+
+        const trackPoints = points.map(point => [
+            `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+            Number.isFinite(point.altitude) ? `        <ele>${point.altitude}</ele>` : '',
+            `        <time>${new Date(point.timestamp).toISOString()}</time>`,
+            '      </trkpt>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="GeoSnap" xmlns="http://www.topografix.com/GPX/1/1">',
+            '  <metadata>',
+            `    <name>${this.escapeXml(track.name)}</name>`,
+            `    <time>${new Date(track.startedAt).toISOString()}</time>`,
+            '  </metadata>',
+            ...located.map(memory => this.gpxWaypoint(memory)),
+            '  <trk>',
+            `    <name>${this.escapeXml(track.name)}</name>`,
+            '    <trkseg>',
+            ...trackPoints,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * Build a KML 2.2 file with one placemark per geotagged memory
+     * @param {Array} memories - Memories as returned by Storage.getAllMemories()
+     * @param {Object} options
+     * @param {boolean} options.includeThumbnails - Show each thumbnail in the placemark balloon
+     * @returns {Promise<Object>} { content, exported, withoutLocation }
+     */
+    async toKML(memories, { includeThumbnails = false } = {}) {
+        const { located, withoutLocation } = this.partition(memories);
+        const thumbnails = includeThumbnails ? await this.thumbnailDataUrls(located) : new Map();
+
+        const placemarks = located.map(memory => {
+            const { latitude, longitude } = memory.location;
+            const thumbnail = thumbnails.get(memory.id);
+
+            // The description is HTML shown in the balloon, escaped once more for XML
+            const description = [
+                thumbnail ? `<img src="${thumbnail}" width="300">` : '',
+                memory.notes ? `<p>${UI.escapeHtml(memory.notes)}</p>` : ''
+            ].join('');
+
+            return [
+                '    <Placemark>',
+                `      <name>${this.escapeXml(this.waypointName(memory))}</name>`,
+                `      <TimeStamp><when>${new Date(memory.timestamp).toISOString()}</when></TimeStamp>`,
+                description ? `      <description>${this.escapeXml(description)}</description>` : '',
+                `      <Point><coordinates>${longitude},${latitude}</coordinates></Point>`,
+                '    </Placemark>'
+            ].filter(Boolean).join('\n');
+        });
+
+        const content = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            '    <name>GeoSnap memories</name>',
+            ...placemarks,
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+
+        return { content, exported: located.length, withoutLocation };
+    },
+
+    /**
+     * File extension for an image, clip or voice note MIME type
+     * @param {string} type - e.g. "image/jpeg"
+     * @returns {string} e.g. "jpg"
+     */
+    extensionFor(type) {
+        const extensions = {
+            'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif',
+            'video/webm': 'webm', 'video/mp4': 'mp4',
+            'audio/webm': 'weba', 'audio/mp4': 'm4a', 'audio/ogg': 'ogg'
+        };
+        // Recorded clips and voice notes carry their codecs, e.g. "video/webm;codecs=vp9"
+        return extensions[type.split(';')[0]] || 'jpg';
+    },
+
+    /**
+     * MIME type for a file name, used when reading files back out of a ZIP
+     * @param {string} name - e.g. "photos/2024-05-01_paris.jpg"
+     * @returns {string}
+     */
+    typeForFileName(name) {
+        const types = {
+            jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif',
+            webm: 'video/webm', mp4: 'video/mp4',
+            weba: 'audio/webm', m4a: 'audio/mp4', ogg: 'audio/ogg'
+        };
+        return types[name.split('.').pop().toLowerCase()] || 'application/octet-stream';
+    },
+
+    /**
+     * Readable, file-system safe name for a memory's photo
+     * @param {Object} memory
+     * @returns {string} e.g. "2024-05-01_1432_Paris-France"
+     */
+    photoBaseName(memory) {
+        const date = new Date(memory.timestamp);
+        const pad = (number) => String(number).padStart(2, '0');
+        const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}`;
+
+        const place = (memory.location?.locationName || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')   // Strip accents: "Zürich" -> "Zurich"
+            .replace(/[^a-zA-Z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40);
+
+        return place ? `${stamp}_${place}` : stamp;
+    },
+
+    /**
+     * Copy of a memory's photo with its location, time and notes written into EXIF
+     * Canvas captures carry no metadata, so without this other apps can't place them
+     * Only JPEGs have EXIF: other images and video clips are returned as they are,
+     * without reading a whole clip into memory
+     * @param {Object} memory
+     * @param {Blob} photo - The original image or clip
+     * @returns {Promise<Blob>}
+     */
+    async photoWithMetadata(memory, photo) {
+        if (photo.type !== 'image/jpeg') return photo;
+
+        return Exif.write(photo, {
+            latitude: memory.location?.latitude,
+            longitude: memory.location?.longitude,
+            timestamp: memory.timestamp,
+            description: memory.notes || '',
+            orientation: memory.orientation
+        });
+    },
+
+    /**
+     * Build a ZIP with one image file per memory (plus its voice note) and a manifest.json
+     * The manifest has the same shape as the JSON backup, with each
+     * photo and voice note replaced by its path inside the archive
+     * @param {Array} memories - Memories as returned by Storage.getAllMemories()
+     * @returns {Promise<Object>} { blob, exported }
+     */
+    async toZip(memories) {
+        const files = [];
+        const manifestMemories = [];
+        const usedNames = new Set();
+
+        for (const memory of await Storage.withLabelNames(memories)) {
+            const { thumbnail: _thumbnail, ...record } = memory;
+            const photo = await Storage.getPhoto(memory.id);
+
+            if (photo) {
+                // Two photos in the same minute at the same place need distinct names
+                const baseName = this.photoBaseName(memory);
+                const extension = this.extensionFor(photo.type);
+                let fileName = `photos/${baseName}.${extension}`;
+                for (let n = 2; usedNames.has(fileName); n++) {
+                    fileName = `photos/${baseName}_${n}.${extension}`;
+                }
+                usedNames.add(fileName);
+
+                const data = await this.photoWithMetadata(memory, photo);
+                files.push({ name: fileName, data, date: new Date(memory.timestamp) });
+                record.photo = fileName;
+            } else {
+                record.photo = null;
+            }
+
+            const voice = memory.voiceNote ? await Storage.getVoiceNote(memory.id) : null;
+            if (voice) {
+                // Named after the photo, so the two sort next to each other
+                const base = record.photo ? record.photo.replace(/^photos\/|\.[^.]+$/g, '') : this.photoBaseName(memory);
+                let fileName = `voice/${base}.${this.extensionFor(voice.type)}`;
+                for (let n = 2; usedNames.has(fileName); n++) {
+                    fileName = `voice/${base}_${n}.${this.extensionFor(voice.type)}`;
+                }
+                usedNames.add(fileName);
+
+                files.push({ name: fileName, data: voice, date: new Date(memory.timestamp) });
+                record.voiceNote = { ...memory.voiceNote, data: fileName };
+            } else {
+                delete record.voiceNote;
+            }
+
+            manifestMemories.push(record);
+        }
+
+        const manifest = Storage.exportEnvelope(manifestMemories);
+        files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+        return { blob: await Zip.create(files), exported: manifestMemories.length };
+    },
+
+    /**
+     * Read a ZIP export back into the backup format Storage.importData() takes
+     * @param {Blob} blob - The ZIP file
+     * @returns {Promise<Object>} The manifest, with photo and voice note paths replaced by Blobs
+     */
+    async readZip(blob) {
+        const files = await Zip.read(blob);
+        const manifestFile = files.get('manifest.json');
+
+        if (!manifestFile) {
+            throw new Error('The ZIP has no manifest.json');
+        }
+
+        const manifest = JSON.parse(await manifestFile.text());
+
+        if (Array.isArray(manifest.memories)) {
+            manifest.memories.forEach(memory => {
+                const file = memory && typeof memory.photo === 'string' ? files.get(memory.photo) : null;
+                if (file) {
+                    // Blobs read from the archive have no type, restore it from the extension
+                    memory.photo = new Blob([file], { type: this.typeForFileName(memory.photo) });
+                }
+
+                const voiceFile = typeof memory?.voiceNote?.data === 'string' ? files.get(memory.voiceNote.data) : null;
+                if (voiceFile) {
+                    memory.voiceNote.data = new Blob([voiceFile], { type: this.typeForFileName(memory.voiceNote.data) });
+                }
+            });
+        }
+
+        return manifest;
+    },
+
+    /**
+     * Check if a file is a ZIP archive (by its "PK" signature)
+     * @param {Blob} file
+     * @returns {Promise<boolean>}
+     */
+    async isZip(file) {
+        const header = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+        return header[0] === 0x50 && header[1] === 0x4B && header[2] === 0x03 && header[3] === 0x04;
+    },
+
+    /**
+     * Save a Blob to the user's device
+     * @param {Blob} blob
+     * @param {string} filename
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+
+        // Give the browser a moment to start the download before releasing the Blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
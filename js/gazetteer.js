@@ -0,0 +1,156 @@
+/**
+ * Gazetteer Module
+ * Offline place names: finds the nearest city to a set of coordinates
+ * without a network connection, and searches places by name
+ *
+ * The place list (data/gazetteer.json, from GeoNames) is cached by the
+ * Service Worker and only loaded the first time it is needed.
+ */
+
+const Gazetteer = {
+    dataUrl: '/data/gazetteer.json',
+    cityRadiusKm: 40,      // Closer than this to a city: "City, Country"
+    countryRadiusKm: 300,  // Closer than this: just the country of the nearest city
+    places: null,          // [{ name, countryCode, latitude, longitude, population }]
+    loading: null,         // Promise while the list is being fetched
+    countryNames: null,    // Intl.DisplayNames, if the browser has it
+
+    /**
+     * Load the place list (once)
+     * @returns {Promise<Array>}
+     */
+    load() {
+        if (this.places) return Promise.resolve(this.places);
+
+        if (!this.loading) {
+            this.loading = fetch(this.dataUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Gazetteer not available: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.places = data.places.map(([name, countryCode, latitude, longitude, population]) =>
+                        ({ name, countryCode, latitude, longitude, population }));
+                    console.log(`✅ Gazetteer loaded: ${this.places.length} places`);
+                    return this.places;
+                })
+                .catch(error => {
+                    this.loading = null;  // Try again next time
+                    throw error;
+                });
+        }
+
+        return this.loading;
+    },
+
+    /**
+     * Distance between two points on Earth (haversine formula)
+     * @returns {number} Kilometres
+     */
+    distanceKm(lat1, lng1, lat2, lng2) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2
+            + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    /**
+     * English name of a country from its ISO code
+     * @param {string} countryCode - e.g. "FR"
+     * @returns {string} e.g. "France", or the code if the browser can't name it
+     */
+    countryName(countryCode) {
+        if (!this.countryNames && typeof Intl !== 'undefined' && Intl.DisplayNames) {
+            this.countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        }
+
+        try {
+            return this.countryNames ? this.countryNames.of(countryCode) : countryCode;
+        } catch (error) {
+            return countryCode;  // Not a code Intl knows, e.g. "XK"
+        }
+    },
+
+    /**
+     * Find the place closest to some coordinates
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {Promise<Object|null>} { ...place, country, distanceKm }
+     */
+    async nearest(latitude, longitude) {
+        const places = await this.load();
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const place of places) {
+            // Cheap check first: a degree of latitude is ~111 km
+            if (Math.abs(place.latitude - latitude) * 111 > bestDistance) continue;
+
+            const distance = this.distanceKm(latitude, longitude, place.latitude, place.longitude);
+            if (distance < bestDistance) {
+                best = place;
+                bestDistance = distance;
+            }
+        }
+
+        return best ? { ...best, country: this.countryName(best.countryCode), distanceKm: bestDistance } : null;
+    },
+
+    /**
+     * Address parts for coordinates: the city if one is close, else only the country
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {Promise<Object|null>} { city, country, countryCode }, null far from
+     *   any known place (e.g. at sea)
+     */
+    async describe(latitude, longitude) {
+        const place = await this.nearest(latitude, longitude);
+        if (!place || place.distanceKm > this.countryRadiusKm) return null;
+
+        return {
+            city: place.distanceKm <= this.cityRadiusKm ? place.name : null,
+            country: place.country,
+            countryCode: place.countryCode
+        };
+    },
+
+    /**
+     * Search places by name, bigger places first
+     * @param {string} query - e.g. "zur" finds Zürich
+     * @param {Object} options
+     * @param {number} options.limit
+     * @returns {Promise<Array>} Results in the Geocoder.search() format
+     */
+    async search(query, { limit = 5 } = {}) {
+        const places = await this.load();
+        const needle = Geocoder.normalize(query);
+        const matches = [];
+
+        for (const place of places) {
+            const name = Geocoder.normalize(place.name);
+            // Prefix matches rank above matches elsewhere in the name
+            const rank = name.startsWith(needle) ? 0 : (name.includes(needle) ? 1 : -1);
+            if (rank >= 0) {
+                matches.push({ place, rank });
+            }
+        }
+
+        return matches
+            .sort((a, b) => a.rank - b.rank || b.place.population - a.place.population)
+            .slice(0, limit)
+            .map(({ place }) => {
+                const country = this.countryName(place.countryCode);
+                return {
+                    name: place.name,
+                    label: `${place.name}, ${country}`,
+                    latitude: place.latitude,
+                    longitude: place.longitude,
+                    type: 'city'
+                };
+            });
+    }
+};
@@ -0,0 +1,443 @@
+/**
+ * Geocoder Module
+ * Turns place names into coordinates (search) and coordinates into place
+ * names (reverse), through interchangeable providers
+ *
+ * A provider is a plain object:
+ *   {
+ *     label, minInterval,             // Shown in settings; ms between two requests
+ *     cacheable,                      // false keeps its answers out of the place cache
+ *     testOnly,                       // true keeps it out of settings
+ *     autocomplete,                   // true if its policy allows searching while the user types
+ *     search(query, { limit, signal }) → Promise<[{ name, label, latitude, longitude, type }]>
+ *     reverse(latitude, longitude, { signal }) → Promise<{ locationName, address } | null>
+ *   }
+ * and can be added with Geocoder.register() and picked with Geocoder.use().
+ *
+ * Every request goes through a queue per provider, so we never send more than
+ * its usage policy allows (Nominatim: 1 request per second). The public
+ * Nominatim server also forbids autocomplete, so with it the search box only
+ * searches on Enter. Reverse lookups
+ * are cached in IndexedDB by rounded coordinates, so photos taken around the
+ * same spot only cost one request.
+ */
+
+const Geocoder = {
+    active: 'nominatim',   // Provider used for searches and reverse lookups
+    fallback: 'local',     // Provider used for searches when the active one can't be reached
+    minQueryLength: 2,
+    cachePrecision: 3,     // Decimals kept in cache keys: 3 ≈ 100 m
+    settingsKey: 'geosnap-geocoder',  // localStorage key for the chosen provider
+    queues: {},            // Provider name -> { chain, lastRun }
+
+    providers: {
+        // ===== OpenStreetMap Nominatim (online) =====
+        nominatim: null,   // Filled in below by createNominatimProvider()
+
+        // ===== Komoot Photon (online, OpenStreetMap data, made for search-as-you-type) =====
+        photon: {
+            label: 'Photon (komoot)',
+            url: 'https://photon.komoot.io',
+            minInterval: 500,
+            autocomplete: true,
+
+            async search(query, { limit = 5, signal } = {}) {
+                const params = new URLSearchParams({ q: query, limit: String(limit), lang: 'en' });
+                const data = await Geocoder.fetchJson(`${this.url}/api/?${params}`, signal);
+
+                return data.features.map(feature => {
+                    const properties = feature.properties;
+                    const [longitude, latitude] = feature.geometry.coordinates;
+                    const parts = [properties.name, properties.city, properties.state, properties.country];
+
+                    return {
+                        name: properties.name || properties.city || properties.country,
+                        label: [...new Set(parts.filter(Boolean))].join(', '),
+                        latitude,
+                        longitude,
+                        type: properties.osm_value || properties.type || 'place'
+                    };
+                });
+            },
+
+            async reverse(latitude, longitude, { signal } = {}) {
+                const params = new URLSearchParams({ lat: String(latitude), lon: String(longitude), lang: 'en' });
+                const data = await Geocoder.fetchJson(`${this.url}/reverse?${params}`, signal);
+
+                const properties = data.features[0]?.properties;
+                if (!properties) return null;
+
+                return Geocoder.placeFromAddress({
+                    // Photon names streets and houses too, those aren't venues
+                    venue: ['house', 'street'].includes(properties.type) ? null : properties.name,
+                    neighbourhood: properties.district || properties.locality,
+                    city: properties.city || properties.county,
+                    region: properties.state,
+                    country: properties.country,
+                    countryCode: properties.countrycode
+                });
+            }
+        },
+
+        // ===== Self-hosted Nominatim-compatible server =====
+        custom: null,      // Created by setCustomUrl()
+
+        // ===== Bundled gazetteer (offline) =====
+        local: {
+            label: 'Offline city list',
+            minInterval: 0,
+            cacheable: false,   // So an online name replaces it later
+            autocomplete: true,
+
+            search(query, options) {
+                return Gazetteer.search(query, options);
+            },
+
+            async reverse(latitude, longitude) {
+                const parts = await Gazetteer.describe(latitude, longitude);
+                return parts ? Geocoder.placeFromAddress(parts) : null;
+            }
+        },
+
+        // ===== Canned answers, never touches the network (tests, demos) =====
+        mock: {
+            label: 'Mock (testing)',
+            minInterval: 0,
+            cacheable: false,
+            testOnly: true,     // Only picked by tests, with Geocoder.use('mock')
+            autocomplete: true,
+            // Replace with the places a test needs: [{ name, country, countryCode, latitude, longitude }]
+            places: [
+                { name: 'Testville', country: 'Mockland', countryCode: 'ML', latitude: 0, longitude: 0 }
+            ],
+
+            async search(query, { limit = 5 } = {}) {
+                const needle = Geocoder.normalize(query);
+                return this.places
+                    .filter(place => Geocoder.normalize(place.name).includes(needle))
+                    .slice(0, limit)
+                    .map(place => ({
+                        name: place.name,
+                        label: `${place.name}, ${place.country}`,
+                        latitude: place.latitude,
+                        longitude: place.longitude,
+                        type: 'city'
+                    }));
+            },
+
+            async reverse(latitude, longitude) {
+                const distance = (place) => Gazetteer.distanceKm(latitude, longitude, place.latitude, place.longitude);
+                const place = [...this.places].sort((a, b) => distance(a) - distance(b))[0];
+                if (!place) return null;
+
+                return Geocoder.placeFromAddress({
+                    city: place.name,
+                    country: place.country,
+                    countryCode: place.countryCode
+                });
+            }
+        }
+    },
+
+    /**
+     * Build a provider for a Nominatim API (the public one or a self-hosted copy)
+     * @param {Object} options
+     * @param {string} options.url - Base URL, e.g. "https://nominatim.openstreetmap.org"
+     * @param {string} options.label
+     * @param {number} options.minInterval - ms between requests
+     * @param {boolean} options.autocomplete - Whether the server allows searching while typing
+     * @returns {Object} Provider
+     */
+    createNominatimProvider({ url, label, minInterval, autocomplete = false }) {
+        return {
+            label,
+            url: url.replace(/\/+$/, ''),
+            minInterval,
+            autocomplete,
+
+            async search(query, { limit = 5, signal } = {}) {
+                const params = new URLSearchParams({ format: 'jsonv2', q: query, limit: String(limit) });
+                const results = await Geocoder.fetchJson(`${this.url}/search?${params}`, signal);
+
+                return results.map(result => ({
+                    name: result.name || result.display_name.split(',')[0],
+                    label: result.display_name,
+                    latitude: parseFloat(result.lat),
+                    longitude: parseFloat(result.lon),
+                    type: result.type || result.category || 'place'
+                }));
+            },
+
+            async reverse(latitude, longitude, { signal } = {}) {
+                const params = new URLSearchParams({ format: 'jsonv2', lat: String(latitude), lon: String(longitude) });
+                const data = await Geocoder.fetchJson(`${this.url}/reverse?${params}`, signal);
+
+                const address = data.address;
+                if (!address) {
+                    console.warn('⚠️ No address data in geocoding response');
+                    return null;
+                }
+
+                return Geocoder.placeFromAddress({
+                    venue: data.name || null,
+                    neighbourhood: address.neighbourhood || address.suburb || address.quarter,
+                    city: address.city || address.town || address.village || address.municipality,
+                    region: address.state || address.region,
+                    country: address.country,
+                    countryCode: address.country_code
+                });
+            }
+        };
+    },
+
+    /**
+     * Fetch a URL and parse the JSON response
+     * @param {string} url
+     * @param {AbortSignal} signal
+     * @returns {Promise<*>}
+     */
+    async fetchJson(url, signal) {
+        const response = await fetch(url, { signal });
+
+        if (!response.ok) {
+            throw new Error(`Geocoding API error: ${response.status}`);
+        }
+
+        return response.json();
+    },
+
+    /**
+     * Turn the address parts a provider found into the result reverse() returns
+     * The name keeps the "City, Country" form the app has always used
+     * @param {Object} parts - { venue, neighbourhood, city, region, country, countryCode }
+     * @returns {Object|null} { locationName, address }
+     */
+    placeFromAddress(parts) {
+        const address = {
+            venue: parts.venue || null,
+            neighbourhood: parts.neighbourhood || null,
+            city: parts.city || null,
+            region: parts.region || null,
+            country: parts.country || null,
+            countryCode: parts.countryCode ? parts.countryCode.toUpperCase() : null
+        };
+
+        // Priority: City > Region > Country
+        const place = address.city || address.region;
+        let locationName = place || address.country || '';
+        if (place && address.country && address.country !== place) {
+            locationName += `, ${address.country}`;
+        }
+
+        return locationName ? { locationName, address } : null;
+    },
+
+    /**
+     * Add or replace a provider
+     * @param {string} name
+     * @param {Object} provider - See the top of this file
+     */
+    register(name, provider) {
+        this.providers[name] = provider;
+    },
+
+    /**
+     * Choose the provider searches and reverse lookups go to
+     * @param {string} name - A registered provider
+     */
+    use(name) {
+        if (!this.providers[name]) {
+            throw new Error(`Unknown geocoding provider: ${name}`);
+        }
+        this.active = name;
+    },
+
+    /**
+     * Providers a user can pick in settings, in registration order
+     * Leaves out the offline fallback (always used anyway) and test-only providers;
+     * "custom" is listed even before it has a URL
+     * @returns {Array<string>}
+     */
+    selectableProviders() {
+        return Object.keys(this.providers)
+            .filter(name => name !== this.fallback && !this.providers[name]?.testOnly);
+    },
+
+    /**
+     * Point the "custom" provider at a Nominatim-compatible server
+     * @param {string} url - Base URL, e.g. "https://geocode.example.com"
+     */
+    setCustomUrl(url) {
+        this.register('custom', this.createNominatimProvider({
+            url,
+            label: 'Custom server',
+            minInterval: 0,      // Your own server, your own rules
+            autocomplete: true
+        }));
+    },
+
+    /**
+     * Restore the provider chosen in settings
+     */
+    loadSettings() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(this.settingsKey)) || {};
+            if (settings.customUrl) {
+                this.setCustomUrl(settings.customUrl);
+            }
+            // A provider that was removed, or one settings can't offer, leaves the default
+            if (this.providers[settings.provider] && this.selectableProviders().includes(settings.provider)) {
+                this.use(settings.provider);
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring invalid geocoder settings', error);
+        }
+    },
+
+    /**
+     * Switch provider and remember the choice
+     * @param {string} provider
+     * @param {string} customUrl - Only used by the "custom" provider
+     */
+    saveSettings(provider, customUrl = '') {
+        if (customUrl) {
+            this.setCustomUrl(customUrl);
+        }
+        this.use(provider);
+        localStorage.setItem(this.settingsKey, JSON.stringify({ provider, customUrl }));
+    },
+
+    /**
+     * Run a request through the provider's queue
+     * Requests run one at a time, at least minInterval ms apart
+     * @param {string} name - Provider name
+     * @param {Function} task - Returns a Promise
+     * @param {AbortSignal} signal - Requests aborted while waiting are skipped
+     * @returns {Promise<*>} What the task returned
+     */
+    schedule(name, task, signal) {
+        const provider = this.providers[name];
+        const queue = this.queues[name] || (this.queues[name] = { chain: Promise.resolve(), lastRun: 0 });
+
+        const run = async () => {
+            const wait = queue.lastRun + (provider.minInterval || 0) - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+
+            if (signal && signal.aborted) {
+                throw new DOMException('Geocoding request was cancelled', 'AbortError');
+            }
+
+            queue.lastRun = Date.now();
+            return task();
+        };
+
+        const result = queue.chain.then(run);
+        queue.chain = result.catch(() => {});  // One failure mustn't block the queue
+        return result;
+    },
+
+    /**
+     * Whether the search box may search while the user types, or only on Enter
+     * Offline, searches go to the fallback, which is local
+     * @returns {boolean}
+     */
+    allowsAutocomplete() {
+        const name = navigator.onLine ? this.active : this.fallback;
+        return Boolean(this.providers[name]?.autocomplete);
+    },
+
+    /**
+     * Find places matching a name
+     * Uses the fallback provider when offline or when the active one fails
+     *
+     * @param {string} query - e.g. "Lisbon"
+     * @param {Object} options
+     * @param {number} options.limit - Maximum number of results
+     * @param {AbortSignal} options.signal - Cancels a search that is no longer needed
+     * @returns {Promise<Array>} [{ name, label, latitude, longitude, type }]
+     */
+    async search(query, { limit = 5, signal } = {}) {
+        const trimmed = (query || '').trim();
+        if (trimmed.length < this.minQueryLength) return [];
+
+        const fallback = this.providers[this.fallback];
+        const useFallback = () => (fallback ? fallback.search(trimmed, { limit, signal }) : []);
+
+        if (!navigator.onLine && this.active !== this.fallback) {
+            return useFallback();
+        }
+
+        try {
+            const provider = this.providers[this.active];
+            return await this.schedule(this.active, () => provider.search(trimmed, { limit, signal }), signal);
+        } catch (error) {
+            if (error.name === 'AbortError' || this.active === this.fallback) throw error;
+
+            console.warn('⚠️ Geocoding search failed, using offline places:', error);
+            return useFallback();
+        }
+    },
+
+    /**
+     * Name the place at some coordinates, from the cache if we looked nearby before
+     *
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {Object} options
+     * @param {AbortSignal} options.signal
+     * @returns {Promise<Object|null>} { locationName, address }, null if nothing was found
+     * @throws If the provider can't be reached (callers fall back to the gazetteer)
+     */
+    async reverse(latitude, longitude, { signal } = {}) {
+        const key = this.cacheKey(latitude, longitude);
+        const provider = this.providers[this.active];
+        const cacheable = provider.cacheable !== false;
+
+        if (cacheable) {
+            try {
+                const cached = await Storage.getCachedPlace(key);
+                if (cached) return cached;
+            } catch (error) {
+                console.warn('⚠️ Geocode cache unavailable', error);
+            }
+        }
+
+        const place = await this.schedule(this.active, () => provider.reverse(latitude, longitude, { signal }), signal);
+
+        if (place && cacheable) {
+            Storage.cachePlace(key, place, this.active).catch(error => {
+                console.warn('⚠️ Could not cache place', error);
+            });
+        }
+
+        return place;
+    },
+
+    /**
+     * Cache key for a position, rounded so nearby photos share one entry
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {string} e.g. "48.857,2.352"
+     */
+    cacheKey(latitude, longitude) {
+        return `${latitude.toFixed(this.cachePrecision)},${longitude.toFixed(this.cachePrecision)}`;
+    },
+
+    /**
+     * Lowercase and strip accents, so "zurich" finds "Zürich"
+     * @param {string} text
+     * @returns {string}
+     */
+    normalize(text) {
+        return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+};
+
+Geocoder.providers.nominatim = Geocoder.createNominatimProvider({
+    url: 'https://nominatim.openstreetmap.org',
+    label: 'OpenStreetMap Nominatim',
+    minInterval: 1000,  // Usage policy: at most 1 request per second
+    autocomplete: false // Usage policy: no searching while the user types
+});
@@ -12,12 +12,14 @@
  * What is Reverse Geocoding?
  * - Converting coordinates (40.7128, -74.0060) into readable address
  * - Example: "New York, USA" instead of numbers
- * - We use OpenStreetMap's free Nominatim API for this
+ * - We use OpenStreetMap's free Nominatim API for this (or another provider, see geocoder.js)
+ * - Offline (or if Nominatim is slow) the bundled gazetteer names the nearest city
  * 
  */
 
 const GeoLocation = {
     requesting: false,  // Flag to prevent simultaneous requests
+    geocodeTimeout: 5000,  // Give up on the online geocoder after 5 seconds
 
     // ========================================================================
     // GET CURRENT POSITION - Main function to get user's location
@@ -73,29 +75,15 @@ const GeoLocation = {
 
                         console.log(`✅ GPS coordinates: ${latitude}, ${longitude}`);
 
-                        // Start with coordinates as fallback (in case geocoding fails)
-                        let locationName = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
-
                         // ===== Try to get human-readable address =====
-                        try {
-                            console.log('🌍 Converting coordinates to address...');
-                            const name = await this.reverseGeocode(latitude, longitude);
-
-                            if (name) {
-                                locationName = name;  // Use readable name if successful
-                                console.log(`✅ Location: ${locationName}`);
-                            }
-                        } catch (error) {
-                            // Reverse geocoding failed (maybe offline or API error)
-                            // That's okay, we'll just use coordinates
-                            console.log('⚠️ Reverse geocoding failed, using coordinates:', error);
-                        }
+                        // Coordinates are the fallback name if geocoding fails
+                        console.log('🌍 Converting coordinates to address...');
+                        const location = await this.describeLocation(latitude, longitude);
+                        console.log(`✅ Location: ${location.locationName}`);
 
                         // Return the complete location data
                         resolve({
-                            latitude,
-                            longitude,
-                            locationName,
+                            ...location,
                             accuracy: position.coords.accuracy  // How accurate the GPS reading is (in meters)
                         });
                     },
@@ -160,7 +148,8 @@ const GeoLocation = {
     // ========================================================================
     /**
      * Converts GPS coordinates to a human-readable address
-     * Uses OpenStreetMap's Nominatim API (free, no API key needed!)
+     * Tries the online geocoding provider first (Nominatim by default, free, no API key needed!),
+     * then the offline gazetteer if we're offline or the API fails or times out
      * 
      * @param {number} latitude - GPS latitude (-90 to 90)
      * @param {number} longitude - GPS longitude (-180 to 180)
@@ -169,72 +158,128 @@ const GeoLocation = {
      * reverseGeocode(40.7128, -74.0060) => "New York, United States"
      */
     async reverseGeocode(latitude, longitude) {
-        try {
-            // Build the API URL with our coordinates
-            // format=json means we want JSON response
-            const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}`;
+        const place = await this.lookupPlace(latitude, longitude);
+        return place ? place.locationName : null;
+    },
 
-            console.log('🌐 Calling geocoding API...');
+    /**
+     * Like reverseGeocode(), but keeps the address parts too
+     * 
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {Promise<Object|null>} { locationName, address, addressSource }
+     *   addressSource is 'geocoder' (online) or 'gazetteer' (offline, city level at best)
+     * @example
+     * lookupPlace(48.8606, 2.3376) => {
+     *   locationName: "Paris, France",
+     *   address: { venue: "Louvre", neighbourhood: "1st Arrondissement", city: "Paris",
+     *              region: "Île-de-France", country: "France", countryCode: "FR" },
+     *   addressSource: "geocoder"
+     * }
+     */
+    async lookupPlace(latitude, longitude) {
+        if (navigator.onLine) {
+            const place = await this.onlinePlace(latitude, longitude);
+            if (place) return { ...place, addressSource: 'geocoder' };
+        }
 
-            // Make the API request
-            // Note: This requires internet connection!
-            const response = await fetch(url, {
-                headers: {
-                    // Nominatim requires a User-Agent header (good practice anyway)
-                    'User-Agent': 'GeoSnap PWA'
-                }
-            });
+        const place = await this.offlinePlace(latitude, longitude);
+        return place ? { ...place, addressSource: 'gazetteer' } : null;
+    },
 
-            // Check if request was successful
-            if (!response.ok) {
-                throw new Error(`Geocoding API error: ${response.status}`);
-            }
+    /**
+     * Look the coordinates up with the online geocoding provider (see geocoder.js),
+     * which queues requests to respect rate limits and caches nearby answers
+     * 
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {Promise<Object|null>} { locationName, address }, null if the request failed or timed out
+     */
+    async onlinePlace(latitude, longitude) {
+        // Abort if the API (or the queue in front of it) takes too long, the gazetteer answers instead
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.geocodeTimeout);
 
-            // Parse the JSON response
-            const data = await response.json();
+        try {
+            console.log('🌐 Calling geocoding API...');
 
-            // ===== Extract human-readable location from response =====
-            // API returns detailed address components, we pick the most relevant ones
+            // Note: This requires internet connection (unless the answer is cached)!
+            return await Geocoder.reverse(latitude, longitude, { signal: controller.signal });
 
-            if (!data.address) {
-                console.warn('⚠️ No address data in geocoding response');
-                return null;
-            }
+        } catch (error) {
+            // Reverse geocoding failed (offline, API down, timed out, etc.)
+            console.error('❌ Reverse geocoding error:', error);
+            return null;  // Return null, caller falls back to the gazetteer
+        } finally {
+            clearTimeout(timer);
+        }
+    },
 
-            const address = data.address;
-
-            // Try to build a nice location string
-            // Priority: City > State > Country
-            const city = address.city || address.town || address.village || address.municipality;
-            const state = address.state || address.region;
-            const country = address.country;
-
-            // Build location string based on what we have
-            let locationName = '';
-
-            if (city) {
-                locationName = city;
-                if (country && country !== city) {
-                    locationName += `, ${country}`;
-                }
-            } else if (state) {
-                locationName = state;
-                if (country) {
-                    locationName += `, ${country}`;
-                }
-            } else if (country) {
-                locationName = country;
+    /**
+     * Look the coordinates up in the bundled gazetteer (works offline)
+     * 
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {Promise<Object|null>} { locationName, address }, null if no known place is nearby
+     */
+    async offlinePlace(latitude, longitude) {
+        try {
+            const place = await Geocoder.providers.local.reverse(latitude, longitude);
+            if (place) {
+                console.log(`📖 Offline location: ${place.locationName}`);
             }
-
-            return locationName || null;
-
+            return place;
         } catch (error) {
-            // Reverse geocoding failed (offline, API down, etc.)
-            console.error('❌ Reverse geocoding error:', error);
-            return null;  // Return null, caller will use coordinates as fallback
+            console.error('❌ Offline geocoding error:', error);
+            return null;  // Caller will use coordinates as fallback
         }
     },
 
+    /**
+     * The "lat, lng" text used as a name when no place name is known
+     * 
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {string} e.g. "48.8566, 2.3522"
+     */
+    coordinateName(latitude, longitude) {
+        return `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+    },
+
+    /**
+     * Check if a location name is just coordinates (see coordinateName())
+     * 
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isCoordinateName(name) {
+        return /^-?\d+(\.\d+)?,\s*-?\d+(\.\d+)?$/.test((name || '').trim());
+    },
+
+    // ========================================================================
+    // DESCRIBE LOCATION - Build a location object from known coordinates
+    // ========================================================================
+    /**
+     * Builds the location object stored with a memory, for coordinates from
+     * the GPS, a photo's EXIF data or the map picker
+     * 
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {Promise<Object>} { latitude, longitude, locationName, address, addressSource }
+     */
+    async describeLocation(latitude, longitude) {
+        // Coordinates are the fallback name if geocoding fails (offline, API down)
+        const place = await this.lookupPlace(latitude, longitude);
+
+        return {
+            latitude,
+            longitude,
+            locationName: place ? place.locationName : this.coordinateName(latitude, longitude),
+            address: place ? place.address : null,
+            addressSource: place ? place.addressSource : null
+        };
+    },
+
     // ========================================================================
     // CHECK PERMISSION STATUS - See if we have location permission
     // ========================================================================
@@ -270,20 +315,18 @@ const GeoLocation = {
     },
 
     // ========================================================================
-    // WATCH POSITION - Continuously track user's location (future feature)
+    // WATCH POSITION - Continuously track user's location
     // ========================================================================
     /**
      * Starts watching the user's position and calls a callback whenever it changes
-     * Useful for: Live location tracking, creating a route/path
-     * Not implemented yet, but here's how you would do it:
+     * Used by Tracker to record a trip
      * 
      * @param {Function} callback - Called with new position each time location changes
+     * @param {Function} onError - Optional, called with the GeolocationPositionError
+     *   (a timeout only means no new fix yet, watching carries on)
      * @returns {number} Watch ID (use to stop watching later)
      */
-    watchPosition(callback) {
-        // This would continuously track position
-        // Useful if you wanted to draw a path of where the user has been
-
+    watchPosition(callback, onError) {
         const watchId = navigator.geolocation.watchPosition(
             (position) => {
                 // New position available!
@@ -291,15 +334,17 @@ const GeoLocation = {
                     latitude: position.coords.latitude,
                     longitude: position.coords.longitude,
                     accuracy: position.coords.accuracy,
+                    altitude: position.coords.altitude,
                     timestamp: position.timestamp
                 });
             },
             (error) => {
                 console.error('Watch position error:', error);
+                if (onError) onError(error);
             },
             {
                 enableHighAccuracy: true,
-                timeout: 5000,
+                timeout: 30000,  // Standing still can go a while without a new fix
                 maximumAge: 0
             }
         );
@@ -339,7 +384,7 @@ const GeoLocation = {
  * 4. Reverse Geocoding:
  *    - Turns "40.7128, -74.0060" into "New York, USA"
  *    - Uses free OpenStreetMap Nominatim API
- *    - Needs internet, but we handle offline gracefully
+ *    - Offline, a bundled list of cities (data/gazetteer.json) names the nearest place
  * 
  * 5. Accuracy:
  *    - enableHighAccuracy: true = uses GPS (10-20m accuracy)
@@ -0,0 +1,283 @@
+/**
+ * Images Module
+ * Converts between data URLs and Blobs, builds thumbnails and manages object URLs
+ * Video clips get a poster frame, which stands in for them wherever a thumbnail is shown
+ */
+
+const ImageUtils = {
+    thumbnailSize: 400,        // Longest edge of a generated thumbnail (px)
+    thumbnailQuality: 0.7,     // JPEG quality for thumbnails
+    posterTimeout: 10000,      // ms to wait for a video frame before giving up on a poster
+    objectUrls: new Map(),     // key -> { blob, url } so the same Blob reuses its URL
+
+    /**
+     * Check if a value is a data URL string
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isDataUrl(value) {
+        return typeof value === 'string' && value.startsWith('data:');
+    },
+
+    /**
+     * Convert a data URL into a Blob
+     * Synchronous on purpose, so it can run inside an IndexedDB upgrade transaction
+     * @param {string} dataUrl - e.g. "data:image/jpeg;base64,..."
+     * @returns {Blob}
+     */
+    dataUrlToBlob(dataUrl) {
+        const commaIndex = dataUrl.indexOf(',');
+        const header = dataUrl.slice(0, commaIndex);
+        const data = dataUrl.slice(commaIndex + 1);
+
+        const mimeMatch = header.match(/^data:([^;,]+)/);
+        const mimeType = mimeMatch ? mimeMatch[1] : 'application/octet-stream';
+        const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return new Blob([bytes], { type: mimeType });
+    },
+
+    /**
+     * Convert a Blob into a base64 data URL
+     * @param {Blob} blob
+     * @returns {Promise<string>}
+     */
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    /**
+     * Decode an image Blob into an <img> element
+     * @param {Blob} blob
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not decode image'));
+            };
+
+            image.src = url;
+        });
+    },
+
+    /**
+     * Encode a canvas into a Blob
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} type - MIME type, defaults to JPEG
+     * @param {number} quality - 0 to 1
+     * @returns {Promise<Blob>}
+     */
+    canvasToBlob(canvas, type = 'image/jpeg', quality = 0.8) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode image'));
+                }
+            }, type, quality);
+        });
+    },
+
+    /**
+     * Check if the browser already turns images upright using their EXIF orientation
+     * True in current browsers; older Safari/Chrome drew them sideways
+     * @returns {boolean}
+     */
+    browserAppliesOrientation() {
+        return typeof CSS !== 'undefined' && typeof CSS.supports === 'function'
+            && CSS.supports('image-orientation', 'from-image');
+    },
+
+    /**
+     * Build a small JPEG thumbnail for the feed and map popups
+     * @param {Blob} blob - Full size image
+     * @param {number} orientation - EXIF orientation (1-8), only applied if the browser doesn't
+     * @returns {Promise<Blob>} Thumbnail no larger than thumbnailSize on its longest edge
+     */
+    async createThumbnail(blob, orientation = 1) {
+        const image = await this.loadImage(blob);
+
+        const scale = Math.min(1, this.thumbnailSize / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = this.drawUpright(image, orientation, scale);
+
+        return this.canvasToBlob(canvas, 'image/jpeg', this.thumbnailQuality);
+    },
+
+    /**
+     * Size of an image once it is the right way up
+     * @param {HTMLImageElement} image
+     * @param {number} orientation - EXIF orientation (1-8)
+     * @returns {Object} { width, height } in px
+     */
+    uprightSize(image, orientation) {
+        // 5-8 are rotated by 90°, unless the browser turned the image already
+        const swapSides = orientation >= 5 && orientation <= 8 && !this.browserAppliesOrientation();
+        return swapSides
+            ? { width: image.naturalHeight, height: image.naturalWidth }
+            : { width: image.naturalWidth, height: image.naturalHeight };
+    },
+
+    /**
+     * Draw an image onto a new canvas, the right way up and scaled
+     * @param {HTMLImageElement} image
+     * @param {number} orientation - EXIF orientation (1-8), only applied if the browser doesn't
+     * @param {number} scale - 1 for full size
+     * @returns {HTMLCanvasElement}
+     */
+    drawUpright(image, orientation, scale) {
+        const width = Math.max(1, Math.round(image.naturalWidth * scale));
+        const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+        const rotate = orientation > 1 && orientation <= 8 && !this.browserAppliesOrientation();
+        const swapSides = rotate && orientation >= 5;  // Same test as uprightSize()
+
+        const canvas = document.createElement('canvas');
+        canvas.width = swapSides ? height : width;
+        canvas.height = swapSides ? width : height;
+
+        const context = canvas.getContext('2d');
+        if (rotate) {
+            // Standard EXIF orientation transforms (mirror and/or rotate)
+            const transforms = {
+                2: [-1, 0, 0, 1, width, 0],
+                3: [-1, 0, 0, -1, width, height],
+                4: [1, 0, 0, -1, 0, height],
+                5: [0, 1, 1, 0, 0, 0],
+                6: [0, 1, -1, 0, height, 0],
+                7: [0, -1, -1, 0, height, width],
+                8: [0, -1, 1, 0, 0, width]
+            };
+            context.transform(...transforms[orientation]);
+        }
+        context.drawImage(image, 0, 0, width, height);
+
+        return canvas;
+    },
+
+    /**
+     * Check if a Blob is a video clip rather than a photo
+     * @param {Blob} blob
+     * @returns {boolean}
+     */
+    isVideo(blob) {
+        return Boolean(blob && blob.type && blob.type.startsWith('video/'));
+    },
+
+    /**
+     * Grab a frame of a video clip as a JPEG, and read its length
+     * @param {Blob} blob - The clip
+     * @param {number} at - Seconds into the clip, clamped to its length
+     * @returns {Promise<Object>} { poster: Blob, duration: seconds or null if unknown }
+     */
+    videoPoster(blob, at = 0.1) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            let duration = null;
+
+            // Some browsers never finish seeking a clip with no duration: don't wait forever
+            const timer = setTimeout(() => fail(), this.posterTimeout);
+
+            const finish = () => {
+                clearTimeout(timer);
+                video.onloadedmetadata = video.onloadeddata = video.onseeked = video.onerror = null;
+                URL.revokeObjectURL(url);
+            };
+
+            const fail = () => {
+                finish();
+                reject(new Error('Could not decode video'));
+            };
+
+            const draw = async () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = video.videoWidth;
+                    canvas.height = video.videoHeight;
+                    canvas.getContext('2d').drawImage(video, 0, 0);
+                    const poster = await this.canvasToBlob(canvas, 'image/jpeg', 0.8);
+                    finish();
+                    resolve({ poster, duration });
+                } catch (error) {
+                    fail();
+                }
+            };
+
+            video.onloadedmetadata = () => {
+                // MediaRecorder WebM files often report Infinity until played through
+                duration = Number.isFinite(video.duration) ? video.duration : null;
+
+                if (video.readyState >= video.HAVE_CURRENT_DATA) {
+                    draw();  // A frame is already there, no need to seek
+                } else if (duration) {
+                    video.onseeked = draw;
+                    video.currentTime = Math.min(at, duration / 2);
+                } else {
+                    video.onloadeddata = draw;  // Seeking without a duration may never end, take the first frame
+                }
+            };
+            video.onerror = fail;
+
+            video.src = url;
+        });
+    },
+
+    /**
+     * Get an object URL for a Blob, reusing the previous one while the Blob is unchanged
+     * The old URL for the same key is revoked when a new Blob replaces it
+     * @param {string} key - Stable name, e.g. "thumb-12"
+     * @param {Blob} blob
+     * @returns {string} blob: URL usable as an <img> src
+     */
+    objectUrl(key, blob) {
+        if (!blob) return '';
+
+        const cached = this.objectUrls.get(key);
+        if (cached && cached.blob === blob) {
+            return cached.url;
+        }
+
+        if (cached) {
+            URL.revokeObjectURL(cached.url);
+        }
+
+        const url = URL.createObjectURL(blob);
+        this.objectUrls.set(key, { blob, url });
+        return url;
+    },
+
+    /**
+     * Release the object URL stored under a key
+     * @param {string} key
+     */
+    revokeObjectUrl(key) {
+        const cached = this.objectUrls.get(key);
+        if (cached) {
+            URL.revokeObjectURL(cached.url);
+            this.objectUrls.delete(key);
+        }
+    }
+};
@@ -1,12 +1,39 @@
 /**
  * Map Module
  * Handles interactive map display with Leaflet.js
+ *
+ * Nearby photos are grouped into clusters that split apart as you zoom in,
+ * and a heatmap layer can show where most photos were taken. Route mode
+ * instead joins the photos in the order they were taken, trip by trip.
+ * GPS tracks (being recorded, or saved) are drawn as lines on top, and an
+ * area of the map can be picked for its tiles to be downloaded for offline use.
  */
 
 const MapView = {
     map: null,
-    markers: [],
     isInitialized: false,
+    points: [],             // Memories with coordinates: { memory, latLng }
+    clusterLayer: null,     // L.layerGroup holding the markers and clusters of the current zoom
+    clusterRadius: 60,      // px: photos closer than this on screen share a cluster
+    clusters: new Map(),    // zoom -> clusters, dropped when the memories change
+    heatLayer: null,
+    heatmapKey: 'geosnap-map-heatmap',  // localStorage key: is the heatmap switched on
+    gallery: null,          // Cluster shown in the gallery modal
+    routeKey: 'geosnap-map-route',      // localStorage key: is route mode on
+    routeLayer: null,       // L.layerGroup with the trip lines and numbered stops
+    tripGapHours: 12,       // A longer pause between two photos starts a new trip
+    routeStepMs: 2000,      // Time spent on each stop while playing
+    routeColors: ['#667eea', '#e17055', '#00b894', '#e84393', '#0984e3', '#fdcb6e'],  // One per trip, repeating
+    routeStops: [],         // [{ memory, latLng, trip, leg, marker }], oldest first
+    routeIndex: -1,         // Stop being shown while stepping, -1 for the whole route
+    routeTimer: null,       // Interval while playing
+    onOpenMemory: null,     // Set by App: called with a memory picked in the gallery
+    liveTrack: null,        // L.polyline of the track being recorded
+    trackLayer: null,       // L.layerGroup with a saved track picked in the tracks list
+    baseLayer: null,        // L.tileLayer of the map itself, from Tiles.source or OpenStreetMap
+    regionFrame: null,      // L.rectangle showing the area that would be downloaded
+    onDownloadRegion: null, // Set by App: called with { bounds, minZoom, maxZoom } to download
+    onPlayVoice: null,      // Set by App: called with a memory id when its popup's voice note is clicked
 
     /**
      * Initialize the map
@@ -20,11 +47,31 @@ const MapView = {
         // Create map centered on Europe (will adjust to markers later)
         this.map = L.map('map-container').setView([48.8566, 2.3522], 3);
 
-        // Add OpenStreetMap tiles
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors',
-            maxZoom: 19
-        }).addTo(this.map);
+        // Add the map tiles: the offline tile server if one is set, OpenStreetMap otherwise
+        this.setTileSource(Tiles.source);
+
+        this.clusterLayer = L.layerGroup().addTo(this.map);
+        this.routeLayer = L.layerGroup();
+        this.heatLayer = this.createHeatLayer();
+        this.liveTrack = L.polyline([], { color: '#d63031', weight: 5, opacity: 0.9 }).addTo(this.map);
+        this.trackLayer = L.layerGroup().addTo(this.map);
+        this.regionFrame = L.rectangle([[0, 0], [0, 0]], { color: '#0984e3', weight: 2, dashArray: '6 6', fill: false });
+
+        // Clusters depend on the zoom level only, panning keeps them
+        this.map.on('zoomend', () => this.renderClusters());
+
+        // Popups are rebuilt from HTML each time they open, so listen once on the container
+        mapContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-voice-id]');
+            if (button && this.onPlayVoice) {
+                this.onPlayVoice(Number(button.dataset.voiceId));
+            }
+        });
+
+        this.setupHeatmapToggle();
+        this.setupRoute();
+        this.setupRegionSelect();
+        this.setupGallery();
 
         this.isInitialized = true;
     },
@@ -39,39 +86,727 @@ const MapView = {
         // Clear existing markers
         this.clearMarkers();
 
-        if (!memories || memories.length === 0) {
+        this.points = (memories || [])
+            .filter(memory => memory.location && memory.location.latitude && memory.location.longitude)
+            .map(memory => ({ memory, latLng: L.latLng(memory.location.latitude, memory.location.longitude) }));
+        this.heatLayer.setPoints(this.points.map(point => point.latLng));
+        this.renderRoute();
+
+        if (this.points.length === 0) {
             this.updateStatus('No geotagged photos yet');
             return;
         }
 
-        const markerBounds = [];
+        // Fit map to show all markers
+        this.map.fitBounds(L.latLngBounds(this.points.map(point => point.latLng)), { padding: [50, 50] });
+        this.renderClusters();
+        this.updateStatus(`Showing ${this.points.length} location${this.points.length > 1 ? 's' : ''}`);
+    },
+
+    // ===== Clustering =====
+
+    /**
+     * Group the points that are close together on screen at a zoom level
+     * Greedy: each point joins the first cluster within clusterRadius of it,
+     * looked up through a grid of clusterRadius-sized cells so it stays fast
+     * @param {number} zoom
+     * @returns {Array} [{ points, latLng }] - latLng is the middle of the cluster
+     */
+    cluster(zoom) {
+        if (this.clusters.has(zoom)) return this.clusters.get(zoom);
+
+        const size = this.clusterRadius;
+        const grid = new Map();  // "x:y" cell -> clusters whose centre is in it
+        const clusters = [];
 
-        // Add markers for each memory with location
-        memories.forEach(memory => {
-            if (memory.location && memory.location.latitude && memory.location.longitude) {
-                const { latitude, longitude } = memory.location;
+        // Newest first, so each cluster's first point is its newest photo
+        const points = [...this.points].sort((a, b) => b.memory.timestamp - a.memory.timestamp);
 
-                // Create marker
-                const marker = L.marker([latitude, longitude]).addTo(this.map);
+        points.forEach(point => {
+            const pixel = this.map.project(point.latLng, zoom);
+            const cellX = Math.floor(pixel.x / size);
+            const cellY = Math.floor(pixel.y / size);
 
-                // Create popup content
-                const popupContent = this.createPopupContent(memory);
-                marker.bindPopup(popupContent);
+            let target = null;
+            for (let dx = -1; dx <= 1 && !target; dx++) {
+                for (let dy = -1; dy <= 1 && !target; dy++) {
+                    const nearby = grid.get(`${cellX + dx}:${cellY + dy}`) || [];
+                    target = nearby.find(cluster => cluster.pixel.distanceTo(pixel) <= size) || null;
+                }
+            }
 
-                this.markers.push(marker);
-                markerBounds.push([latitude, longitude]);
+            if (target) {
+                target.points.push(point);
+                target.sum = target.sum.add(pixel);
+            } else {
+                const cluster = { points: [point], pixel, sum: pixel };
+                clusters.push(cluster);
+                const key = `${cellX}:${cellY}`;
+                grid.set(key, [...(grid.get(key) || []), cluster]);
             }
         });
 
-        // Fit map to show all markers
-        if (markerBounds.length > 0) {
-            this.map.fitBounds(markerBounds, { padding: [50, 50] });
-            this.updateStatus(`Showing ${markerBounds.length} location${markerBounds.length > 1 ? 's' : ''}`);
+        const result = clusters.map(cluster => ({
+            points: cluster.points,
+            latLng: this.map.unproject(cluster.sum.divideBy(cluster.points.length), zoom)
+        }));
+
+        this.clusters.set(zoom, result);
+        return result;
+    },
+
+    /**
+     * Draw the clusters for the current zoom: a plain marker for a lone photo,
+     * a thumbnail with a count for a group
+     */
+    renderClusters() {
+        this.clusterLayer.clearLayers();
+        if (this.isRouteMode()) return;  // The numbered stops show the photos instead
+
+        this.cluster(this.map.getZoom()).forEach(cluster => {
+            if (cluster.points.length === 1) {
+                const { memory, latLng } = cluster.points[0];
+                L.marker(latLng).bindPopup(this.createPopupContent(memory)).addTo(this.clusterLayer);
+                return;
+            }
+
+            L.marker(cluster.latLng, { icon: this.clusterIcon(cluster) })
+                .on('click', () => this.openGallery(cluster))
+                .addTo(this.clusterLayer);
+        });
+    },
+
+    /**
+     * Icon for a cluster: the newest photo's thumbnail, sized by how many photos it holds
+     * @param {Object} cluster
+     * @returns {L.DivIcon}
+     */
+    clusterIcon(cluster) {
+        const count = cluster.points.length;
+        const size = Math.round(44 + Math.min(28, Math.log2(count) * 5));
+        const newest = cluster.points[0].memory;
+        const thumbnailUrl = ImageUtils.objectUrl(`thumb-${newest.id}`, newest.thumbnail);
+
+        return L.divIcon({
+            className: 'map-cluster-icon',
+            iconSize: [size, size],
+            html: `
+                <div class="map-cluster" style="width: ${size}px; height: ${size}px;">
+                    ${thumbnailUrl ? `<img src="${thumbnailUrl}" alt="">` : ''}
+                    <span class="map-cluster-count">${count}</span>
+                </div>
+            `
+        });
+    },
+
+    // ===== Route mode =====
+
+    /**
+     * Setup the route toggle and the play / step controls
+     */
+    setupRoute() {
+        document.getElementById('route-toggle').addEventListener('click', () => {
+            const on = !this.isRouteMode();
+            localStorage.setItem(this.routeKey, on ? '1' : '0');
+            this.setRouteMode(on);
+        });
+
+        document.getElementById('route-prev').addEventListener('click', () => {
+            this.pauseRoute();
+            this.stepRoute(-1);
+        });
+        document.getElementById('route-next').addEventListener('click', () => {
+            this.pauseRoute();
+            this.stepRoute(1);
+        });
+        document.getElementById('route-play').addEventListener('click', () => {
+            if (this.routeTimer) {
+                this.pauseRoute();
+            } else {
+                this.playRoute();
+            }
+        });
+
+        this.setRouteMode(localStorage.getItem(this.routeKey) === '1');
+    },
+
+    /**
+     * @returns {boolean} Whether the route is shown instead of the clusters
+     */
+    isRouteMode() {
+        return this.map.hasLayer(this.routeLayer);
+    },
+
+    /**
+     * Switch between clusters and the route
+     * @param {boolean} on
+     */
+    setRouteMode(on) {
+        this.pauseRoute();
+        if (on && this.isSelectingRegion()) this.setRegionSelect(false);
+
+        if (on) {
+            this.routeLayer.addTo(this.map);
         } else {
-            this.updateStatus('No geotagged photos yet');
+            this.routeLayer.remove();
+        }
+
+        const button = document.getElementById('route-toggle');
+        button.classList.toggle('active', on);
+        button.setAttribute('aria-pressed', String(on));
+        document.getElementById('route-panel').classList.toggle('hidden', !on);
+
+        this.renderClusters();
+        this.renderRoute();
+    },
+
+    /**
+     * Order the photos by time and split them into trips
+     * @returns {Array} Stops, oldest first: { memory, latLng, trip, leg }
+     *   leg is { distanceKm, durationMs } from the stop before, null for a trip's first stop
+     */
+    buildRoute() {
+        const points = [...this.points].sort((a, b) => a.memory.timestamp - b.memory.timestamp);
+        const gapMs = this.tripGapHours * 60 * 60 * 1000;
+        let trip = 0;
+
+        return points.map((point, index) => {
+            const previous = points[index - 1];
+            const durationMs = previous ? point.memory.timestamp - previous.memory.timestamp : Infinity;
+
+            if (previous && durationMs > gapMs) {
+                trip++;
+            }
+
+            const leg = previous && durationMs <= gapMs
+                ? { distanceKm: this.map.distance(previous.latLng, point.latLng) / 1000, durationMs }
+                : null;
+
+            return { ...point, trip, leg };
+        });
+    },
+
+    /**
+     * Draw each trip as a line with numbered stops, each leg labelled with its distance and duration
+     */
+    renderRoute() {
+        this.routeLayer.clearLayers();
+        this.routeStops = [];
+        this.routeIndex = -1;
+        if (!this.isRouteMode()) return;
+
+        this.routeStops = this.buildRoute();
+
+        this.routeStops.forEach((stop, index) => {
+            const color = this.routeColors[stop.trip % this.routeColors.length];
+
+            if (stop.leg) {
+                L.polyline([this.routeStops[index - 1].latLng, stop.latLng], { color, weight: 4, opacity: 0.8 })
+                    .bindTooltip(this.formatLeg(stop.leg), { sticky: true })
+                    .addTo(this.routeLayer);
+            }
+
+            stop.marker = L.marker(stop.latLng, {
+                icon: L.divIcon({
+                    className: 'map-cluster-icon',
+                    iconSize: [28, 28],
+                    html: `<div class="route-stop" style="background: ${color};">${index + 1}</div>`
+                }),
+                zIndexOffset: index  // Later stops on top
+            })
+                .bindPopup(this.createPopupContent(stop.memory) + (stop.leg
+                    ? `<div class="route-leg">From stop ${index}: ${this.formatLeg(stop.leg)}</div>`
+                    : `<div class="route-leg">Start of trip ${stop.trip + 1}</div>`))
+                .on('click', () => {
+                    this.pauseRoute();
+                    this.routeIndex = index;
+                    this.updateRouteInfo();
+                })
+                .addTo(this.routeLayer);
+        });
+
+        this.updateRouteInfo();
+    },
+
+    /**
+     * Move to the next or previous stop
+     * @param {number} delta - 1 or -1
+     * @returns {boolean} False at either end of the route
+     */
+    stepRoute(delta) {
+        const index = this.routeIndex + delta;
+        if (index < 0 || index >= this.routeStops.length) return false;
+
+        this.routeIndex = index;
+        const stop = this.routeStops[index];
+        this.map.panTo(stop.latLng);
+        stop.marker.openPopup();
+        this.updateRouteInfo();
+        return true;
+    },
+
+    /**
+     * Walk through the stops one by one, starting over if the last one is showing
+     */
+    playRoute() {
+        if (this.routeStops.length === 0) return;
+        if (this.routeIndex >= this.routeStops.length - 1) {
+            this.routeIndex = -1;
+        }
+
+        this.stepRoute(1);
+        this.routeTimer = setInterval(() => {
+            if (!this.stepRoute(1)) this.pauseRoute();
+        }, this.routeStepMs);
+        this.updateRouteInfo();
+    },
+
+    /**
+     * Stop playing
+     */
+    pauseRoute() {
+        clearInterval(this.routeTimer);
+        this.routeTimer = null;
+        if (this.isInitialized) this.updateRouteInfo();
+    },
+
+    /**
+     * Show the trip totals, or where we are while stepping through
+     */
+    updateRouteInfo() {
+        const info = document.getElementById('route-info');
+        const stops = this.routeStops;
+        document.getElementById('route-play').textContent = this.routeTimer ? '⏸' : '▶';
+        document.getElementById('route-prev').disabled = this.routeIndex <= 0;
+        document.getElementById('route-next').disabled = this.routeIndex >= stops.length - 1;
+
+        if (stops.length === 0) {
+            info.textContent = 'No geotagged photos to connect';
+            return;
+        }
+
+        if (this.routeIndex < 0) {
+            const trips = stops[stops.length - 1].trip + 1;
+            const distanceKm = stops.reduce((total, stop) => total + (stop.leg ? stop.leg.distanceKm : 0), 0);
+            info.textContent = `${trips} trip${trips === 1 ? '' : 's'} · ${stops.length} stops · ${this.formatDistance(distanceKm)}`;
+            return;
+        }
+
+        const stop = stops[this.routeIndex];
+        const place = stop.memory.location.locationName || 'Unknown Location';
+        info.textContent = `Stop ${this.routeIndex + 1}/${stops.length} · Trip ${stop.trip + 1} · ${place}`
+            + (stop.leg ? ` · ${this.formatLeg(stop.leg)}` : '');
+    },
+
+    /**
+     * @param {Object} leg - { distanceKm, durationMs }
+     * @returns {string} e.g. "12.4 km in 3 h 5 min"
+     */
+    formatLeg(leg) {
+        return `${this.formatDistance(leg.distanceKm)} in ${this.formatDuration(leg.durationMs)}`;
+    },
+
+    /**
+     * @param {number} km
+     * @returns {string} e.g. "850 m", "12.4 km", "1,204 km"
+     */
+    formatDistance(km) {
+        if (km < 1) return `${Math.round(km * 1000)} m`;
+        return km < 100 ? `${km.toFixed(1)} km` : `${Math.round(km).toLocaleString()} km`;
+    },
+
+    /**
+     * @param {number} ms
+     * @returns {string} e.g. "45 s", "20 min", "3 h 5 min"
+     */
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return `${Math.round(ms / 1000)} s`;
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.floor(minutes / 60);
+        return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+    },
+
+    // ===== Tracks =====
+
+    /**
+     * Draw the track being recorded, following its newest point
+     * @param {Array} points - [{ latitude, longitude }], oldest first; empty to clear it
+     */
+    showLiveTrack(points) {
+        if (!this.isInitialized) return;
+
+        const latLngs = points.map(point => L.latLng(point.latitude, point.longitude));
+        this.liveTrack.setLatLngs(latLngs);
+
+        if (latLngs.length > 0 && !this.map.getBounds().contains(latLngs[latLngs.length - 1])) {
+            this.map.panTo(latLngs[latLngs.length - 1]);
         }
     },
 
+    /**
+     * Show a saved track with start and end markers, zoomed to fit
+     * @param {Object} track
+     * @param {Array} points - From Storage.getTrackPoints()
+     */
+    showTrack(track, points) {
+        if (!this.isInitialized) this.init();
+
+        this.trackLayer.clearLayers();
+        if (points.length === 0) {
+            this.updateStatus('This track has no points');
+            return;
+        }
+
+        const latLngs = points.map(point => L.latLng(point.latitude, point.longitude));
+        const line = L.polyline(latLngs, { color: '#6c5ce7', weight: 5, opacity: 0.9 })
+            .bindTooltip(`${UI.escapeHtml(track.name)} · ${this.formatDistance(track.distanceKm)}`, { sticky: true })
+            .addTo(this.trackLayer);
+
+        [[latLngs[0], 'Start'], [latLngs[latLngs.length - 1], 'End']].forEach(([latLng, label]) => {
+            L.circleMarker(latLng, { radius: 7, color: 'white', weight: 2, fillColor: '#6c5ce7', fillOpacity: 1 })
+                .bindTooltip(label)
+                .addTo(this.trackLayer);
+        });
+
+        this.map.fitBounds(line.getBounds(), { padding: [50, 50] });
+    },
+
+    /**
+     * Remove the saved track shown on the map
+     */
+    hideTrack() {
+        if (this.trackLayer) this.trackLayer.clearLayers();
+    },
+
+    /**
+     * Show the map from a tile server, so downloaded regions are what it displays
+     * @param {Object|null} source - { urlTemplate, attribution } from Tiles.source, null for OpenStreetMap
+     */
+    setTileSource(source) {
+        if (!this.map) return;  // init() picks up Tiles.source
+        if (this.baseLayer) this.baseLayer.remove();
+
+        this.baseLayer = source
+            ? L.tileLayer(source.urlTemplate, { attribution: UI.escapeHtml(source.attribution), maxZoom: 19 })
+            : L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { attribution: Tiles.osmAttribution, maxZoom: 19 });
+        this.baseLayer.addTo(this.map).bringToBack();
+
+        if (this.isSelectingRegion()) this.updateRegionEstimate();
+    },
+
+    // ===== Offline regions =====
+
+    /**
+     * Setup the area picker: the download frame follows the map, the zoom
+     * range is chosen below it
+     */
+    setupRegionSelect() {
+        const minSelect = document.getElementById('offline-min-zoom');
+        const maxSelect = document.getElementById('offline-max-zoom');
+        const options = Array.from({ length: Tiles.maxZoom }, (_, index) =>
+            `<option value="${index + 1}">${index + 1}</option>`).join('');
+        minSelect.innerHTML = options;
+        maxSelect.innerHTML = options;
+
+        document.getElementById('offline-toggle').addEventListener('click', () => {
+            this.setRegionSelect(!this.isSelectingRegion());
+        });
+
+        [minSelect, maxSelect].forEach(select => select.addEventListener('change', () => {
+            // Keep min <= max whichever one was moved
+            if (Number(minSelect.value) > Number(maxSelect.value)) {
+                (select === minSelect ? maxSelect : minSelect).value = select.value;
+            }
+            this.updateRegionEstimate();
+        }));
+
+        document.getElementById('offline-download').addEventListener('click', () => {
+            if (this.onDownloadRegion) {
+                this.onDownloadRegion(this.selectedRegion());
+            }
+        });
+
+        this.map.on('move', () => {
+            if (this.isSelectingRegion()) this.updateRegionEstimate();
+        });
+    },
+
+    /**
+     * @returns {boolean} Whether the download frame is showing
+     */
+    isSelectingRegion() {
+        return this.map.hasLayer(this.regionFrame);
+    },
+
+    /**
+     * Show or hide the download frame and its panel
+     * @param {boolean} on
+     */
+    setRegionSelect(on) {
+        if (on) {
+            // Both panels sit at the bottom of the map
+            if (this.isRouteMode()) this.setRouteMode(false);
+
+            const zoom = Math.min(Math.round(this.map.getZoom()), Tiles.maxZoom);
+            document.getElementById('offline-min-zoom').value = Math.max(zoom, 1);
+            document.getElementById('offline-max-zoom').value = Math.min(zoom + 3, Tiles.maxZoom);
+            this.regionFrame.addTo(this.map);
+            this.updateRegionEstimate();
+        } else {
+            this.regionFrame.remove();
+        }
+
+        const button = document.getElementById('offline-toggle');
+        button.classList.toggle('active', on);
+        button.setAttribute('aria-pressed', String(on));
+        document.getElementById('offline-panel').classList.toggle('hidden', !on);
+    },
+
+    /**
+     * The area in the frame (the visible map, less a margin) and the chosen zooms
+     * @returns {Object} { bounds: { south, west, north, east }, minZoom, maxZoom }
+     */
+    selectedRegion() {
+        const bounds = this.map.getBounds().pad(-0.1);
+        return {
+            bounds: {
+                south: bounds.getSouth(),
+                west: bounds.getWest(),
+                north: bounds.getNorth(),
+                east: bounds.getEast()
+            },
+            minZoom: Number(document.getElementById('offline-min-zoom').value),
+            maxZoom: Number(document.getElementById('offline-max-zoom').value)
+        };
+    },
+
+    /**
+     * Move the frame and show how many tiles the area needs
+     */
+    updateRegionEstimate() {
+        const region = this.selectedRegion();
+        const { south, west, north, east } = region.bounds;
+        this.regionFrame.setBounds([[south, west], [north, east]]);
+
+        const { tiles, bytes } = Tiles.estimate(region.bounds, region.minZoom, region.maxZoom);
+        const tooBig = tiles > Tiles.maxTiles;
+        let info = tooBig
+            ? `${tiles.toLocaleString()} tiles: too many, zoom in or lower the max zoom`
+            : `${tiles.toLocaleString()} tiles · ~${UI.formatBytes(bytes)}`;
+        // OpenStreetMap's servers don't allow bulk downloads, see tiles.js
+        if (!Tiles.source) {
+            info = 'Set a tile server in ⚙️ Settings to download maps';
+        }
+        document.getElementById('offline-info').textContent = info;
+        document.getElementById('offline-download').disabled = tooBig || !Tiles.source;
+    },
+
+    /**
+     * Zoom to a downloaded region and outline it for a moment
+     * @param {Object} region - { bounds }
+     */
+    showRegion(region) {
+        if (!this.isInitialized) this.init();
+
+        const { south, west, north, east } = region.bounds;
+        const outline = L.rectangle([[south, west], [north, east]], { color: '#0984e3', weight: 2, fillOpacity: 0.1 })
+            .addTo(this.map);
+        this.map.fitBounds(outline.getBounds());
+        setTimeout(() => outline.remove(), 3000);
+    },
+
+    // ===== Cluster gallery =====
+
+    /**
+     * Setup the gallery modal opened by clicking a cluster
+     */
+    setupGallery() {
+        document.getElementById('gallery-grid').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (!item || !this.gallery) return;
+
+            const { memory } = this.gallery.points[Number(item.dataset.index)];
+            UI.closeModal();
+            if (this.onOpenMemory) {
+                this.onOpenMemory(memory);
+            }
+        });
+
+        document.getElementById('gallery-zoom').addEventListener('click', () => {
+            UI.closeModal();
+            this.map.fitBounds(L.latLngBounds(this.gallery.points.map(point => point.latLng)), { padding: [50, 50] });
+        });
+
+        document.getElementById('close-gallery').addEventListener('click', () => {
+            UI.closeModal();
+        });
+    },
+
+    /**
+     * Show every photo of a cluster
+     * @param {Object} cluster
+     */
+    openGallery(cluster) {
+        this.gallery = cluster;
+
+        const names = new Set(cluster.points.map(point => point.memory.location.locationName).filter(Boolean));
+        document.getElementById('gallery-title').textContent = names.size === 1
+            ? `${[...names][0]} (${cluster.points.length})`
+            : `${cluster.points.length} photos`;
+
+        document.getElementById('gallery-grid').innerHTML = cluster.points.map(({ memory }, index) => `
+            <button class="gallery-item" data-index="${index}" title="${UI.escapeHtml(memory.location.locationName || '')}">
+                <img src="${ImageUtils.objectUrl(`thumb-${memory.id}`, memory.thumbnail)}" alt="Memory photo" loading="lazy">
+                <span class="gallery-date">${memory.mediaType === 'video' ? '🎥 ' : ''}${new Date(memory.timestamp).toLocaleDateString()}</span>
+            </button>
+        `).join('');
+
+        // Photos taken at the very same spot never split, however far you zoom
+        const bounds = L.latLngBounds(cluster.points.map(point => point.latLng));
+        const canSplit = this.map.getZoom() < this.map.getMaxZoom() && !bounds.getNorthEast().equals(bounds.getSouthWest());
+        document.getElementById('gallery-zoom').classList.toggle('hidden', !canSplit);
+
+        UI.openModal('gallery');
+    },
+
+    // ===== Heatmap =====
+
+    /**
+     * Setup the heatmap on/off button, remembering the choice
+     */
+    setupHeatmapToggle() {
+        const button = document.getElementById('heatmap-toggle');
+
+        const apply = (on) => {
+            if (on) {
+                this.heatLayer.addTo(this.map);
+            } else {
+                this.heatLayer.remove();
+            }
+            button.classList.toggle('active', on);
+            button.setAttribute('aria-pressed', String(on));
+        };
+
+        button.addEventListener('click', () => {
+            const on = !this.map.hasLayer(this.heatLayer);
+            localStorage.setItem(this.heatmapKey, on ? '1' : '0');
+            apply(on);
+        });
+
+        apply(localStorage.getItem(this.heatmapKey) === '1');
+    },
+
+    /**
+     * Build the heatmap layer: a canvas over the map where every photo adds a soft
+     * blob of heat, coloured from blue (few photos) to red (many)
+     * @returns {L.Layer} With setPoints(latLngs)
+     */
+    createHeatLayer() {
+        const radius = 25;   // px, blob size
+        const blur = 15;     // px, soft edge of each blob
+        const stamp = this.createHeatStamp(radius, blur);
+        const palette = this.createHeatPalette({ 0.4: 'blue', 0.6: 'cyan', 0.7: 'lime', 0.8: 'yellow', 1: 'red' });
+
+        const HeatLayer = L.Layer.extend({
+            points: [],
+
+            setPoints(latLngs) {
+                this.points = latLngs;
+                if (this._map) this.redraw();
+                return this;
+            },
+
+            onAdd(map) {
+                this.canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide');
+                map.getPanes().overlayPane.appendChild(this.canvas);
+                map.on('moveend resize', this.redraw, this);
+                this.redraw();
+            },
+
+            onRemove(map) {
+                map.off('moveend resize', this.redraw, this);
+                this.canvas.remove();
+            },
+
+            redraw() {
+                const map = this._map;
+                const size = map.getSize();
+                const canvas = this.canvas;
+                canvas.width = size.x;
+                canvas.height = size.y;
+                L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+                const context = canvas.getContext('2d');
+                const offset = radius + blur;
+
+                // 1. Darkness where photos are: overlapping blobs add up
+                context.globalAlpha = 0.3;
+                this.points.forEach(latLng => {
+                    const point = map.latLngToContainerPoint(latLng);
+                    if (point.x < -offset || point.y < -offset || point.x > size.x + offset || point.y > size.y + offset) return;
+                    context.drawImage(stamp, point.x - offset, point.y - offset);
+                });
+
+                // 2. Turn darkness into colour
+                if (size.x === 0 || size.y === 0) return;
+                const image = context.getImageData(0, 0, size.x, size.y);
+                const pixels = image.data;
+                for (let i = 3; i < pixels.length; i += 4) {
+                    const alpha = pixels[i];
+                    if (alpha === 0) continue;
+                    pixels[i - 3] = palette[alpha * 4];
+                    pixels[i - 2] = palette[alpha * 4 + 1];
+                    pixels[i - 1] = palette[alpha * 4 + 2];
+                    pixels[i] = Math.min(255, alpha * 1.5);
+                }
+                context.putImageData(image, 0, 0);
+            }
+        });
+
+        return new HeatLayer();
+    },
+
+    /**
+     * One blurred black circle, drawn once per photo
+     * @returns {HTMLCanvasElement}
+     */
+    createHeatStamp(radius, blur) {
+        const canvas = document.createElement('canvas');
+        const offset = radius + blur;
+        canvas.width = canvas.height = offset * 2;
+
+        // The shadow is drawn, the circle itself is pushed off the canvas
+        const context = canvas.getContext('2d');
+        context.shadowOffsetX = context.shadowOffsetY = offset * 2;
+        context.shadowBlur = blur;
+        context.shadowColor = 'black';
+        context.beginPath();
+        context.arc(-offset, -offset, radius, 0, Math.PI * 2);
+        context.fill();
+
+        return canvas;
+    },
+
+    /**
+     * 256 colours from a gradient, indexed by heat (0-255)
+     * @param {Object} stops - position (0-1) -> CSS colour
+     * @returns {Uint8ClampedArray} RGBA values
+     */
+    createHeatPalette(stops) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 256;
+
+        const context = canvas.getContext('2d');
+        const gradient = context.createLinearGradient(0, 0, 0, 256);
+        Object.entries(stops).forEach(([position, color]) => gradient.addColorStop(Number(position), color));
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, 1, 256);
+
+        return context.getImageData(0, 0, 1, 256).data;
+    },
+
     /**
      * Create popup content HTML for a memory
      * @param {Object} memory - Memory object
@@ -88,9 +823,11 @@ const MapView = {
 
         return `
             <div class="map-popup-content">
-                <img src="${memory.photo}" alt="Memory photo">
-                <div class="map-popup-location">📍 ${memory.location.locationName || 'Unknown Location'}</div>
+                <img src="${ImageUtils.objectUrl(`thumb-${memory.id}`, memory.thumbnail)}" alt="Memory photo">
+                ${memory.mediaType === 'video' ? `<div class="map-popup-clip">🎥 Clip · ${UI.formatClock(memory.duration)}</div>` : ''}
+                <div class="map-popup-location">📍 ${UI.escapeHtml(memory.location.locationName || 'Unknown Location')}</div>
                 <div class="map-popup-date">${date}</div>
+                ${memory.voiceNote ? `<button class="voice-play" data-voice-id="${memory.id}">🎙️ ${UI.formatClock(memory.voiceNote.duration)}</button>` : ''}
             </div>
         `;
     },
@@ -99,8 +836,10 @@ const MapView = {
      * Clear all markers from the map
      */
     clearMarkers() {
-        this.markers.forEach(marker => marker.remove());
-        this.markers = [];
+        if (this.clusterLayer) {
+            this.clusterLayer.clearLayers();
+        }
+        this.clusters.clear();
     },
 
     /**
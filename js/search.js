@@ -0,0 +1,348 @@
+/**
+ * Search Module
+ * Full-text search over memories with a small query language:
+ *
+ *   paris sunset          words in the place, address or notes (all must match)
+ *   "eiffel tower"        quotes keep words together as one value
+ *   tag:beach             memories with that tag
+ *   after:2024-05         taken on or after a day, month or year
+ *   before:2024-06-15     taken before a day, month or year
+ *   near:lyon             taken within nearRadiusKm of a place, or named after it
+ *   has:notes             memories with notes (also has:location, has:tags)
+ *
+ * Words are looked up in an inverted index (term -> memories), kept in step
+ * with Storage writes, so a search never has to scan every memory's text.
+ */
+
+const Search = {
+    nearRadiusKm: 25,      // near:<place> matches memories this close to the place
+    prefixWeight: 0.5,     // "par" finding "paris" counts half as much as an exact word
+    fieldWeights: {        // How much a word counts, by where it was found
+        locationName: 3,
+        tags: 3,
+        address: 2,
+        notes: 1
+    },
+    ready: false,          // Built from the memories once, updated incrementally after
+    postings: new Map(),   // term -> Map(id -> weight)
+    docs: new Map(),       // id -> { terms, placeTerms, tags, timestamp, latitude, longitude, hasNotes }
+    vocabulary: null,      // Sorted terms for prefix lookups, rebuilt after the index changes
+    places: new Map(),     // near:<place> text -> coordinates (or null), so typing doesn't repeat lookups
+    tagNames: new Map(),   // tag id -> name, memories only store tag ids
+
+    // ===== Index =====
+
+    /**
+     * Split text into normalized words
+     * @param {string} text - e.g. "Zürich, Café Odéon"
+     * @returns {Array<string>} e.g. ['zurich', 'cafe', 'odeon']
+     */
+    tokenize(text) {
+        return Geocoder.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+    },
+
+    /**
+     * Index every memory from scratch
+     * @param {Array} memories - Memories that are not in the trash
+     */
+    build(memories) {
+        this.clear();
+        memories.forEach(memory => this.add(memory));
+        this.ready = true;
+        console.log(`🔎 Search index built: ${this.docs.size} memories, ${this.postings.size} words`);
+    },
+
+    /**
+     * Forget everything, e.g. after Storage.clearAll()
+     */
+    clear() {
+        this.postings.clear();
+        this.docs.clear();
+        this.vocabulary = null;
+    },
+
+    /**
+     * Learn tag names, so memories can be found by the tags they point at
+     * @param {Array} tags - [{ id, name }]
+     */
+    nameTags(tags) {
+        tags.forEach(tag => this.tagNames.set(tag.id, tag.name));
+    },
+
+    /**
+     * Add or re-index a memory; trashed memories are taken out of the index
+     * @param {Object} memory - Must have an id
+     */
+    add(memory) {
+        this.remove(memory.id);
+        if (memory.deletedAt) return;
+
+        const location = memory.location || {};
+        const address = location.address || {};
+        const tags = (memory.tagIds || []).map(id => this.tagNames.get(id)).filter(Boolean);
+        const weights = new Map();  // term -> highest field weight it appears with
+        const placeTerms = new Set();
+
+        const addText = (text, weight, isPlace = false) => {
+            this.tokenize(text).forEach(term => {
+                weights.set(term, Math.max(weights.get(term) || 0, weight));
+                if (isPlace) placeTerms.add(term);
+            });
+        };
+
+        addText(location.locationName, this.fieldWeights.locationName, true);
+        Object.values(address).forEach(part => addText(part, this.fieldWeights.address, true));
+        tags.forEach(tag => addText(tag, this.fieldWeights.tags));
+        addText(memory.notes, this.fieldWeights.notes);
+
+        weights.forEach((weight, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+                this.vocabulary = null;
+            }
+            this.postings.get(term).set(memory.id, weight);
+        });
+
+        const hasCoordinates = Number.isFinite(location.latitude) && Number.isFinite(location.longitude);
+        this.docs.set(memory.id, {
+            terms: [...weights.keys()],
+            placeTerms,
+            tags: new Set(tags.map(tag => Geocoder.normalize(tag))),
+            timestamp: memory.timestamp,
+            latitude: hasCoordinates ? location.latitude : null,
+            longitude: hasCoordinates ? location.longitude : null,
+            hasNotes: Boolean(memory.notes && memory.notes.trim())
+        });
+    },
+
+    /**
+     * Take a memory out of the index
+     * @param {number} id
+     */
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        doc.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+                this.vocabulary = null;
+            }
+        });
+        this.docs.delete(id);
+    },
+
+    /**
+     * Terms in the index that start with a prefix (binary search in the sorted vocabulary)
+     * @param {string} prefix
+     * @returns {Array<string>}
+     */
+    termsStartingWith(prefix) {
+        if (!this.vocabulary) {
+            this.vocabulary = [...this.postings.keys()].sort();
+        }
+
+        let low = 0;
+        let high = this.vocabulary.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.vocabulary[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const terms = [];
+        for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+            terms.push(this.vocabulary[i]);
+        }
+        return terms;
+    },
+
+    // ===== Queries =====
+
+    /**
+     * Parse a query string into words and operators
+     * Unknown operators are searched as plain words; operator values that don't
+     * parse (yet, e.g. half-typed dates) are ignored
+     * @param {string} query - e.g. 'tag:beach after:2024 "ile de re"'
+     * @returns {Object} { terms, tags, after, before, near, has }
+     */
+    parse(query) {
+        const parsed = { terms: [], tags: [], after: null, before: null, near: [], has: [] };
+        const pattern = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const operator = match[1]?.toLowerCase();
+            const value = (match[2] ?? match[3] ?? '').trim();
+            if (!value) continue;
+
+            if (operator === 'tag') {
+                parsed.tags.push(Geocoder.normalize(value));
+            } else if (operator === 'after' || operator === 'before') {
+                // after: includes the whole day/month/year, before: stops where it starts
+                const start = this.parseDate(value);
+                if (start === null) continue;
+                if (operator === 'after') {
+                    parsed.after = Math.max(parsed.after ?? -Infinity, start);
+                } else {
+                    parsed.before = Math.min(parsed.before ?? Infinity, start);
+                }
+            } else if (operator === 'near') {
+                parsed.near.push(value);
+            } else if (operator === 'has') {
+                if (['notes', 'location', 'tags'].includes(value.toLowerCase())) {
+                    parsed.has.push(value.toLowerCase());
+                }
+            } else {
+                parsed.terms.push(...this.tokenize(match[0]));
+            }
+        }
+
+        return parsed;
+    },
+
+    /**
+     * Read a date written as a year, month or day (local time)
+     * @param {string} value - "2024", "2024-05" or "2024-05-17"
+     * @returns {number|null} Timestamp of the start of that period, null if it isn't a date
+     */
+    parseDate(value) {
+        const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!match) return null;
+
+        const month = match[2] ? Number(match[2]) : 1;
+        const day = match[3] ? Number(match[3]) : 1;
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        return new Date(Number(match[1]), month - 1, day).getTime();
+    },
+
+    /**
+     * Coordinates of a place named in near:, from the offline gazetteer
+     * @param {string} name
+     * @returns {Promise<Object|null>} { latitude, longitude }
+     */
+    async resolvePlace(name) {
+        const key = Geocoder.normalize(name);
+        if (!this.places.has(key)) {
+            try {
+                const [place] = await Gazetteer.search(name, { limit: 1 });
+                this.places.set(key, place ? { latitude: place.latitude, longitude: place.longitude } : null);
+            } catch (error) {
+                // Gazetteer not downloaded yet: match on place names only, and try again next time
+                console.warn('near: place lookup failed:', error);
+                return null;
+            }
+        }
+        return this.places.get(key);
+    },
+
+    /**
+     * Run a query against the index
+     * @param {string} query
+     * @returns {Promise<Object>} {
+     *   scores: Map(id -> relevance) of the matching memories,
+     *   ranked: true if the query had words to rank by (else keep the user's sort order),
+     *   terms: the words to highlight
+     * }
+     */
+    async search(query) {
+        const parsed = this.parse(query);
+        let candidates = null;  // Map(id -> score); null means "every memory so far"
+
+        // ===== Words: every word must match, scores add up =====
+        const documentCount = Math.max(1, this.docs.size);
+        for (const term of parsed.terms) {
+            const scores = new Map();
+
+            this.termsStartingWith(term).forEach(indexTerm => {
+                const posting = this.postings.get(indexTerm);
+                const idf = Math.log(1 + documentCount / posting.size);  // Rare words count more
+                const factor = indexTerm === term ? 1 : this.prefixWeight;
+
+                posting.forEach((weight, id) => {
+                    scores.set(id, Math.max(scores.get(id) || 0, weight * factor * idf));
+                });
+            });
+
+            candidates = candidates === null
+                ? scores
+                : new Map([...candidates].filter(([id]) => scores.has(id)).map(([id, score]) => [id, score + scores.get(id)]));
+        }
+
+        if (candidates === null) {
+            candidates = new Map([...this.docs.keys()].map(id => [id, 0]));
+        }
+
+        // ===== Operators narrow the results down =====
+        const nearPlaces = await Promise.all(parsed.near.map(async name => ({
+            terms: this.tokenize(name),
+            coordinates: await this.resolvePlace(name)
+        })));
+
+        candidates.forEach((score, id) => {
+            const doc = this.docs.get(id);
+            const keep = parsed.tags.every(tag => doc.tags.has(tag))
+                && (parsed.after === null || doc.timestamp >= parsed.after)
+                && (parsed.before === null || doc.timestamp < parsed.before)
+                && parsed.has.every(field => this.has(doc, field))
+                && nearPlaces.every(place => this.isNear(doc, place));
+
+            if (!keep) candidates.delete(id);
+        });
+
+        return { scores: candidates, ranked: parsed.terms.length > 0, terms: parsed.terms };
+    },
+
+    /**
+     * Check a has: operator
+     * @param {Object} doc - Index entry
+     * @param {string} field - 'notes', 'location' or 'tags'
+     * @returns {boolean}
+     */
+    has(doc, field) {
+        if (field === 'notes') return doc.hasNotes;
+        if (field === 'location') return doc.latitude !== null;
+        return doc.tags.size > 0;
+    },
+
+    /**
+     * Check a memory against a near: place
+     * @param {Object} doc - Index entry
+     * @param {Object} place - { terms, coordinates }
+     * @returns {boolean} Within nearRadiusKm, or its place name has all the words
+     */
+    isNear(doc, place) {
+        if (place.coordinates && doc.latitude !== null) {
+            const distance = Gazetteer.distanceKm(
+                doc.latitude, doc.longitude, place.coordinates.latitude, place.coordinates.longitude);
+            if (distance <= this.nearRadiusKm) return true;
+        }
+        return place.terms.length > 0 && place.terms.every(term => doc.placeTerms.has(term));
+    },
+
+    // ===== Display =====
+
+    /**
+     * Escape text for HTML and wrap the words that match the search in <mark>
+     * @param {string} text
+     * @param {Array<string>} terms - Normalized search words (prefixes match too)
+     * @returns {string} HTML
+     */
+    highlight(text, terms) {
+        const parts = String(text ?? '').split(/([\p{L}\p{N}]+)/u);  // Odd indexes are words
+
+        return parts.map((part, index) => {
+            const html = UI.escapeHtml(part);
+            if (index % 2 === 0 || terms.length === 0) return html;
+
+            const word = Geocoder.normalize(part);
+            return terms.some(term => word.startsWith(term)) ? `<mark class="search-match">${html}</mark>` : html;
+        }).join('');
+    }
+};
@@ -16,31 +16,64 @@
  * 
  * My Database Structure:
  * Database: "GeoSnapDB"
- *   └─ Object Store: "memories" (like a table in SQL)
- *       ├─ id (primary key, auto-incremented)
- *       ├─ photo (base64 image data)
- *       ├─ location { latitude, longitude, locationName }
- *       ├─ timestamp (when photo was taken)
- *       └─ notes (optional description)
+ *   ├─ Object Store: "memories" (like a table in SQL)
+ *   │   ├─ id (primary key, auto-incremented)
+ *   │   ├─ location { latitude, longitude, locationName }
+ *   │   ├─ timestamp (when photo was taken)
+ *   │   ├─ notes (optional description)
+ *   │   ├─ tagIds, albumIds (ids in the tags / albums stores)
+ *   │   ├─ trackId (the GPS track being recorded when the photo was taken)
+ *   │   ├─ mediaType ('video' for clips, absent for photos), duration (seconds, clips only)
+ *   │   ├─ voiceNote { duration } (seconds, set when a voice note is attached)
+ *   │   ├─ edits (crop / rotate / colour recipe from the photo editor, see editor.js; the photo itself is never changed)
+ *   │   └─ deletedAt (set while the memory is in the trash)
+ *   ├─ Object Store: "photos" - { id, blob } original image (or video clip), same id as the memory
+ *   ├─ Object Store: "thumbnails" - { id, blob } small JPEG used by the feed and map (a clip's poster frame,
+ *   │   an edited photo's rendering)
+ *   ├─ Object Store: "voiceNotes" - { id, blob } recorded audio, same id as the memory
+ *   ├─ Object Store: "placeCache" - { key, place, provider, cachedAt } geocoding answers
+ *   ├─ Object Store: "tags" - { id, name, key } user-defined labels
+ *   ├─ Object Store: "albums" - { id, name, key, coverId, startDate, endDate, createdAt } trips
+ *   ├─ Object Store: "tracks" - { id, name, startedAt, endedAt, distanceKm, pointCount } recorded trips
+ *   ├─ Object Store: "trackPoints" - { id, trackId, latitude, longitude, accuracy, altitude, timestamp }
+ *   └─ Object Store: "tileRegions" - { id, name, bounds, minZoom, maxZoom, tiles, bytes, status, createdAt }
+ *       map areas downloaded for offline use (the tiles themselves are in a Service Worker cache)
+ *
+ * Why split the photo out?
+ * - The feed only needs thumbnails, so loading it no longer reads every full image
+ * - Blobs are stored as binary, base64 strings were ~33% bigger
+ *
+ * Every write also updates the in-memory search index (search.js), so a
+ * search never has to re-read the database.
  */
 
 const Storage = {
     dbName: 'GeoSnapDB',        // Database name
-    dbVersion: 1,               // Database version (increment this to trigger upgrades)
+    dbVersion: 8,               // Database version, must match the highest key in migrations
     storeName: 'memories',      // Object store name (like a table)
+    photoStoreName: 'photos',   // Original images as Blobs
+    thumbnailStoreName: 'thumbnails', // Small previews for the feed and map
+    voiceNoteStoreName: 'voiceNotes', // Recorded audio notes as Blobs
+    placeCacheStoreName: 'placeCache', // Reverse geocoding answers, by rounded coordinates
+    tagStoreName: 'tags',       // User-defined tags, memories point at them with tagIds
+    albumStoreName: 'albums',   // Named albums (trips), memories point at them with albumIds
+    trackStoreName: 'tracks',   // Recorded GPS tracks, one record per recording
+    trackPointStoreName: 'trackPoints', // The positions of every track, by trackId
+    tileRegionStoreName: 'tileRegions', // Map areas saved for offline use
     db: null,                   // Will hold the database connection
+    nearlyFullRatio: 0.9,       // Warn once 90% of the storage quota is used
 
     // ========================================================================
     // INIT - Initialize the database connection
     // ========================================================================
     /**
-     * Opens the IndexedDB database and creates the object store if needed
+     * Opens the IndexedDB database and migrates it to dbVersion if needed
      * This runs once when the app first starts
      * 
      * @returns {Promise} Resolves when database is ready
      */
     async init() {
-        return new Promise((resolve, reject) => {
+        await new Promise((resolve, reject) => {
             // Request to open database (creates it if doesn't exist)
             const request = indexedDB.open(this.dbName, this.dbVersion);
 
@@ -58,28 +91,249 @@ const Storage = {
             };
 
             // ===== Upgrade needed - first time or version changed =====
-            // This is where we create the database structure
+            // Runs every migration between the user's version and ours
             request.onupgradeneeded = (event) => {
-                console.log('🔧 Creating database structure...');
-
                 const db = event.target.result;
+                const transaction = event.target.transaction;  // The upgrade transaction
+
+                try {
+                    this.runMigrations(db, transaction, event.oldVersion, event.newVersion);
+                } catch (error) {
+                    // Aborting rolls back every step, so the data stays on the old version
+                    console.error('❌ Database migration failed', error);
+                    transaction.abort();
+                }
+            };
+
+            // ===== Another tab still has the old version open =====
+            request.onblocked = () => {
+                console.warn('⚠️ Database upgrade is waiting for other GeoSnap tabs to close');
+            };
+        });
+
+        // Let a newer version of the app in another tab upgrade the database
+        this.db.onversionchange = () => {
+            this.db.close();
+            console.warn('⚠️ Database was upgraded in another tab, reload to continue');
+        };
+
+        // Thumbnails can't be drawn inside the upgrade transaction (decoding an
+        // image is async), so any memory migrated without one gets it now
+        await this.generateMissingThumbnails();
+
+        return this.db;
+    },
+
+    // ========================================================================
+    // MIGRATIONS - One step per database version
+    // ========================================================================
+    /**
+     * Schema changes, keyed by the version they upgrade the database to
+     * 
+     * To change the schema:
+     * 1. Add a step here under the next number
+     * 2. Set dbVersion to that number
+     * Never edit a step that has shipped - users who already ran it won't run it again.
+     * 
+     * Each step runs inside the upgrade transaction, so it must stay synchronous
+     * (no await, no fetch, no image decoding). Queued IndexedDB requests are fine.
+     */
+    migrations: {
+        1: {
+            description: 'Create the memories store',
+            up(db) {
+                // Create the object store (like CREATE TABLE in SQL)
+                const objectStore = db.createObjectStore(this.storeName, {
+                    keyPath: 'id',           // Primary key field
+                    autoIncrement: true      // Auto-generate IDs (1, 2, 3, ...)
+                });
+
+                // Create indexes for faster searching (like INDEX in SQL)
+                objectStore.createIndex('timestamp', 'timestamp', { unique: false });
+                objectStore.createIndex('location', 'location', { unique: false });
+            }
+        },
+
+        2: {
+            description: 'Move photos out of memories into Blob stores',
+            up(db, transaction) {
+                // Images live in their own stores, keyed by the memory id
+                db.createObjectStore(this.photoStoreName, { keyPath: 'id' });
+                db.createObjectStore(this.thumbnailStoreName, { keyPath: 'id' });
+
+                const photoStore = transaction.objectStore(this.photoStoreName);
+
+                this.rewriteRecords(transaction, this.storeName, (memory) => {
+                    if (!ImageUtils.isDataUrl(memory.photo)) return null;
+
+                    photoStore.put({ id: memory.id, blob: ImageUtils.dataUrlToBlob(memory.photo) });
+                    delete memory.photo;
+                    memory.thumbnailPending = true;  // Picked up by generateMissingThumbnails()
+                    return memory;
+                });
+            }
+        },
+
+        3: {
+            description: 'Index trashed memories by deletion time',
+            up(db, transaction) {
+                // Records without deletedAt stay out of the index, so it only lists the trash
+                transaction.objectStore(this.storeName).createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+        },
+
+        4: {
+            description: 'Cache reverse geocoding answers',
+            up(db) {
+                db.createObjectStore(this.placeCacheStoreName, { keyPath: 'key' });
+            }
+        },
+
+        5: {
+            description: 'Add tags and albums',
+            up(db, transaction) {
+                // "key" is the lowercased name, so "Beach" and "beach" are one tag
+                [this.tagStoreName, this.albumStoreName].forEach(storeName => {
+                    const store = db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('key', 'key', { unique: true });
+                });
+
+                // multiEntry: a memory with tagIds [1, 4] is found under both 1 and 4
+                const memories = transaction.objectStore(this.storeName);
+                memories.createIndex('tagIds', 'tagIds', { unique: false, multiEntry: true });
+                memories.createIndex('albumIds', 'albumIds', { unique: false, multiEntry: true });
+            }
+        },
+
+        6: {
+            description: 'Record GPS tracks',
+            up(db, transaction) {
+                db.createObjectStore(this.trackStoreName, { keyPath: 'id', autoIncrement: true });
+
+                // Points are their own records so recording only ever appends a small one
+                const points = db.createObjectStore(this.trackPointStoreName, { keyPath: 'id', autoIncrement: true });
+                points.createIndex('trackId', 'trackId', { unique: false });
+
+                transaction.objectStore(this.storeName).createIndex('trackId', 'trackId', { unique: false });
+            }
+        },
 
-                // Check if 'memories' object store exists
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    // Create the object store (like CREATE TABLE in SQL)
-                    const objectStore = db.createObjectStore(this.storeName, {
-                        keyPath: 'id',           // Primary key field
-                        autoIncrement: true      // Auto-generate IDs (1, 2, 3, ...)
-                    });
+        7: {
+            description: 'Remember map regions downloaded for offline use',
+            up(db) {
+                db.createObjectStore(this.tileRegionStoreName, { keyPath: 'id', autoIncrement: true });
+            }
+        },
 
-                    // Create indexes for faster searching (like INDEX in SQL)
-                    objectStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    objectStore.createIndex('location', 'location', { unique: false });
+        8: {
+            description: 'Store voice notes',
+            up(db) {
+                db.createObjectStore(this.voiceNoteStoreName, { keyPath: 'id' });
+            }
+        }
+    },
+
+    /**
+     * Run the migrations from oldVersion (exclusive) up to newVersion (inclusive), in order
+     * Takes the database and transaction as arguments so it can be driven by any
+     * IndexedDB implementation, not only the one in the browser
+     * 
+     * @param {IDBDatabase} db
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {number} oldVersion - 0 for a brand new database
+     * @param {number} newVersion
+     * @throws {Error} If a version in the range has no migration
+     */
+    runMigrations(db, transaction, oldVersion, newVersion) {
+        for (let version = oldVersion + 1; version <= newVersion; version++) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                throw new Error(`No migration registered for database version ${version}`);
+            }
+
+            console.log(`🔧 Migrating database to version ${version}: ${migration.description}`);
+            migration.up.call(this, db, transaction);
+        }
+    },
+
+    /**
+     * Walk every record in a store and save the ones a migration changes
+     * 
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {string} storeName
+     * @param {Function} rewrite - Gets each record, returns the updated record or null to leave it
+     */
+    rewriteRecords(transaction, storeName, rewrite) {
+        let rewritten = 0;
+
+        transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
 
-                    console.log('✅ Database structure created');
+            if (!cursor) {
+                if (rewritten > 0) {
+                    console.log(`✅ Rewrote ${rewritten} records in ${storeName}`);
                 }
-            };
+                return;
+            }
+
+            const updated = rewrite(cursor.value);
+            if (updated) {
+                cursor.update(updated);
+                rewritten++;
+            }
+
+            cursor.continue();
+        };
+    },
+
+    // ========================================================================
+    // GENERATE MISSING THUMBNAILS - Finish the Blob migration
+    // ========================================================================
+    /**
+     * Creates thumbnails for memories flagged during the version 2 migration
+     * 
+     * @returns {Promise<number>} How many thumbnails were generated
+     */
+    async generateMissingThumbnails() {
+        const pending = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).getAll();
+
+            request.onsuccess = () => resolve(request.result.filter(memory => memory.thumbnailPending));
+            request.onerror = () => reject(request.error);
         });
+
+        let generated = 0;
+
+        for (const memory of pending) {
+            try {
+                const photo = await this.getPhoto(memory.id);
+                const thumbnail = photo ? await this.createThumbnail(photo, memory) : null;
+
+                await new Promise((resolve, reject) => {
+                    const transaction = this.db.transaction([this.storeName, this.thumbnailStoreName], 'readwrite');
+
+                    if (thumbnail) {
+                        transaction.objectStore(this.thumbnailStoreName).put({ id: memory.id, blob: thumbnail });
+                    }
+                    delete memory.thumbnailPending;
+                    transaction.objectStore(this.storeName).put(memory);
+
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = (event) => reject(event.target.error);
+                });
+
+                generated++;
+            } catch (error) {
+                // Leave the flag set so we try again on the next start
+                console.warn('⚠️ Could not create thumbnail for memory', memory.id, error);
+            }
+        }
+
+        if (generated > 0) {
+            console.log(`✅ Generated ${generated} thumbnails`);
+        }
+        return generated;
     },
 
     // ========================================================================
@@ -91,68 +345,301 @@ const Storage = {
      * @param {Object} memory - Object containing photo, location, timestamp, notes
      * @example
      * {
-     *   photo: "data:image/jpeg;base64,...",
+     *   photo: Blob (image/jpeg) - a "data:image/jpeg;base64,..." string also works,
      *   location: { latitude: 40.7128, longitude: -74.0060, locationName: "New York" },
      *   timestamp: 1234567890,
-     *   notes: "Great day in NYC!"
+     *   notes: "Great day in NYC!",
+     *   orientation: 6,  (optional EXIF orientation of the photo)
+     *   metadataSource: { location: "exif", time: "exif" }  (optional, where the data came from)
+     *   voiceNote: { data: Blob (audio/webm), duration: 12.5 }  (optional, data can be a data URL)
      * }
      * 
      * @returns {Promise<number>} The ID of the saved memory
      */
     async saveMemory(memory) {
+        const [id] = await this.saveMemories([memory]);
+        return id;
+    },
+
+    /**
+     * Thumbnail for a photo (with its edits applied), or for a clip from its poster frame
+     * A clip whose duration isn't known yet gets it from the file
+     * 
+     * @param {Blob} blob - The photo or clip
+     * @param {Object} record - The memory being saved
+     * @returns {Promise<Blob>}
+     */
+    async createThumbnail(blob, record) {
+        if (!ImageUtils.isVideo(blob)) {
+            return record.edits
+                ? PhotoEditor.thumbnail(blob, record.orientation, record.edits)
+                : ImageUtils.createThumbnail(blob, record.orientation);
+        }
+
+        const { poster, duration } = await ImageUtils.videoPoster(blob);
+        record.mediaType = 'video';
+        if (!Number.isFinite(record.duration) && duration !== null) {
+            record.duration = duration;
+        }
+        return ImageUtils.createThumbnail(poster);
+    },
+
+    // ========================================================================
+    // SAVE MEMORIES - Store several photos in one transaction
+    // ========================================================================
+    /**
+     * Saves a batch of memories in a single transaction: either all of them
+     * are stored, or none are (e.g. if storage runs out halfway)
+     * 
+     * @param {Array<Object>} memories - Same shape as saveMemory(); a ready-made
+     *   `thumbnail` Blob is used as-is instead of generating a new one
+     * @param {Function} onProgress - Optional, called with (index, id) as each record is written
+     * @returns {Promise<Array<number>>} The IDs of the saved memories, in order
+     */
+    async saveMemories(memories, onProgress) {
         if (!this.db) await this.init();  // Make sure database is initialized
 
+        // Build thumbnails BEFORE opening the transaction: a transaction
+        // commits by itself as soon as we await anything that isn't a request
+        const prepared = [];
+        for (const memory of memories) {
+            // The photo goes into its own store; accept old-style data URLs too
+            const { photo, thumbnail, voiceNote, ...record } = memory;
+            const photoBlob = ImageUtils.isDataUrl(photo) ? ImageUtils.dataUrlToBlob(photo) : photo;
+            const thumbnailBlob = thumbnail || (photoBlob ? await this.createThumbnail(photoBlob, record) : null);
+
+            // The voice note's audio goes into its own store too, the record keeps its duration
+            let voiceBlob = null;
+            if (voiceNote && voiceNote.data) {
+                voiceBlob = ImageUtils.isDataUrl(voiceNote.data) ? ImageUtils.dataUrlToBlob(voiceNote.data) : voiceNote.data;
+                record.voiceNote = { duration: voiceNote.duration };
+            }
+
+            prepared.push({ record, photoBlob, thumbnailBlob, voiceBlob });
+        }
+
+        // Fail up front rather than halfway through writing the batch
+        const needed = prepared.reduce((total, { record, photoBlob, thumbnailBlob, voiceBlob }) =>
+            total + this.recordSize(record) + (photoBlob?.size || 0) + (thumbnailBlob?.size || 0) + (voiceBlob?.size || 0), 0);
+        const quota = await this.checkQuota(needed);
+        if (!quota.fits) {
+            throw new DOMException(
+                `Saving needs ${needed} bytes but only ${quota.available} are left`, 'QuotaExceededError');
+        }
+
         return new Promise((resolve, reject) => {
             // Start a "readwrite" transaction (like BEGIN TRANSACTION in SQL)
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.db.transaction(
+                [this.storeName, this.photoStoreName, this.thumbnailStoreName, this.voiceNoteStoreName], 'readwrite');
             const objectStore = transaction.objectStore(this.storeName);
+            const ids = [];
 
-            // Add the memory to the database (like INSERT in SQL)
-            const request = objectStore.add(memory);
+            prepared.forEach(({ record, photoBlob, thumbnailBlob, voiceBlob }, index) => {
+                // Add the memory to the database (like INSERT in SQL)
+                const request = objectStore.add(record);
 
-            // Handle success
-            request.onsuccess = () => {
-                console.log('✅ Memory saved with ID:', request.result);
-                resolve(request.result);  // Returns the auto-generated ID
+                request.onsuccess = () => {
+                    const id = request.result;  // The auto-generated ID links the image stores
+                    ids[index] = id;
+
+                    if (photoBlob) {
+                        transaction.objectStore(this.photoStoreName).put({ id, blob: photoBlob });
+                        transaction.objectStore(this.thumbnailStoreName).put({ id, blob: thumbnailBlob });
+                    }
+                    if (voiceBlob) {
+                        transaction.objectStore(this.voiceNoteStoreName).put({ id, blob: voiceBlob });
+                    }
+
+                    if (onProgress) onProgress(index, id);
+                };
+            });
+
+            // Handle success - everything is written once the transaction completes
+            transaction.oncomplete = () => {
+                console.log(`✅ Saved ${ids.length} memor${ids.length === 1 ? 'y' : 'ies'}, IDs:`, ids);
+                prepared.forEach(({ record }, index) => Search.add({ ...record, id: ids[index] }));
+                resolve(ids);
             };
 
-            // Handle errors
-            request.onerror = () => {
-                console.error('❌ Failed to save memory');
-                reject(request.error);
+            // Handle errors (a full disk aborts the transaction without a request error)
+            transaction.onerror = (event) => {
+                console.error('❌ Failed to save memories');
+                reject(event.target.error);  // The request that failed
+            };
+            transaction.onabort = () => {
+                reject(transaction.error);
+            };
+        });
+    },
+
+    // ========================================================================
+    // STORAGE QUOTA - How much space we use and how much the browser allows
+    // ========================================================================
+    /**
+     * Ask the browser not to evict our data when the device runs low on space
+     * Without this, "best effort" storage can be cleared without asking the user
+     * 
+     * @returns {Promise<boolean|null>} Whether storage is persistent, null if the browser can't tell
+     */
+    async requestPersistence() {
+        if (!navigator.storage || !navigator.storage.persist) return null;
+
+        try {
+            if (await navigator.storage.persisted()) return true;
+
+            const granted = await navigator.storage.persist();
+            console.log(granted ? '✅ Storage is persistent' : '⚠️ Persistent storage was not granted');
+            return granted;
+        } catch (error) {
+            console.warn('⚠️ Could not request persistent storage', error);
+            return null;
+        }
+    },
+
+    /**
+     * Current usage and quota for this origin, as reported by the browser
+     * 
+     * @returns {Promise<Object|null>} { usage, quota, persisted } in bytes, null if unsupported
+     */
+    async estimateUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : null;
+            return { usage, quota, persisted };
+        } catch (error) {
+            console.warn('⚠️ Could not estimate storage', error);
+            return null;
+        }
+    },
+
+    /**
+     * Check if some more bytes would still fit in the quota
+     * The estimate is rough, so when the browser can't give one we assume it fits
+     * and let IndexedDB report a real QuotaExceededError
+     * 
+     * @param {number} bytes - Size about to be written
+     * @returns {Promise<Object>} { fits, nearlyFull, available, usage, quota }
+     */
+    async checkQuota(bytes = 0) {
+        const estimate = await this.estimateUsage();
+        if (!estimate || !estimate.quota) {
+            return { fits: true, nearlyFull: false, available: Infinity, usage: null, quota: null };
+        }
+
+        const available = Math.max(0, estimate.quota - estimate.usage);
+        return {
+            fits: bytes <= available,
+            nearlyFull: (estimate.usage + bytes) / estimate.quota >= this.nearlyFullRatio,
+            available,
+            usage: estimate.usage,
+            quota: estimate.quota
+        };
+    },
+
+    /**
+     * Approximate size of a memory record without its images
+     * @param {Object} record
+     * @returns {number} Bytes
+     */
+    recordSize(record) {
+        return new Blob([JSON.stringify(record)]).size;
+    },
+
+    /**
+     * How much space each memory takes: its record, photo, thumbnail and voice note
+     * 
+     * @returns {Promise<Array>} [{ id, record, photo, thumbnail, voiceNote, total }] largest first
+     */
+    async getUsageByMemory() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.storeName, this.photoStoreName, this.thumbnailStoreName, this.voiceNoteStoreName], 'readonly');
+            const memoriesRequest = transaction.objectStore(this.storeName).getAll();
+            const photosRequest = transaction.objectStore(this.photoStoreName).getAll();
+            const thumbnailsRequest = transaction.objectStore(this.thumbnailStoreName).getAll();
+            const voiceNotesRequest = transaction.objectStore(this.voiceNoteStoreName).getAll();
+
+            transaction.oncomplete = () => {
+                // Reading .size doesn't load the Blob's contents
+                const photoSizes = new Map(photosRequest.result.map(entry => [entry.id, entry.blob.size]));
+                const thumbnailSizes = new Map(thumbnailsRequest.result.map(entry => [entry.id, entry.blob.size]));
+                const voiceNoteSizes = new Map(voiceNotesRequest.result.map(entry => [entry.id, entry.blob.size]));
+
+                const usage = memoriesRequest.result.map(memory => {
+                    const sizes = {
+                        id: memory.id,
+                        record: this.recordSize(memory),
+                        photo: photoSizes.get(memory.id) || 0,
+                        thumbnail: thumbnailSizes.get(memory.id) || 0,
+                        voiceNote: voiceNoteSizes.get(memory.id) || 0
+                    };
+                    sizes.total = sizes.record + sizes.photo + sizes.thumbnail + sizes.voiceNote;
+                    return sizes;
+                });
+
+                resolve(usage.sort((a, b) => b.total - a.total));
+            };
+
+            transaction.onerror = (event) => {
+                reject(event.target.error);
             };
         });
     },
 
+    /**
+     * Check if an error means the device or browser quota is out of space
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isQuotaError(error) {
+        // Older Firefox used its own name for the same thing
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    },
+
     // ========================================================================
     // GET ALL MEMORIES - Retrieve all photos from database
     // ========================================================================
     /**
      * Gets all memories from the database, sorted by newest first
+     * Each memory carries its thumbnail Blob, not the full photo
      * 
+     * @param {Object} options
+     * @param {boolean} options.trashed - Get the memories in the trash instead
      * @returns {Promise<Array>} Array of memory objects
      */
-    async getAllMemories() {
+    async getAllMemories({ trashed = false } = {}) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
             // Start a "readonly" transaction (we're only reading, not changing data)
-            const transaction = this.db.transaction([this.storeName], 'readonly');
+            // Only thumbnails are loaded here - full photos stay on disk until needed
+            const transaction = this.db.transaction([this.storeName, this.thumbnailStoreName], 'readonly');
             const objectStore = transaction.objectStore(this.storeName);
 
             // Get all records (like SELECT * FROM memories in SQL)
             const request = objectStore.getAll();
+            const thumbnailRequest = transaction.objectStore(this.thumbnailStoreName).getAll();
+
+            transaction.oncomplete = () => {
+                const thumbnails = new Map(thumbnailRequest.result.map(entry => [entry.id, entry.blob]));
 
-            request.onsuccess = () => {
                 // Sort by timestamp, newest first (most recent photos on top)
-                const memories = request.result.sort((a, b) => b.timestamp - a.timestamp);
-                console.log(`📚 Loaded ${memories.length} memories from database`);
+                const memories = request.result
+                    .filter(memory => Boolean(memory.deletedAt) === trashed)
+                    .map(memory => ({ ...memory, thumbnail: thumbnails.get(memory.id) || null }))
+                    .sort((a, b) => b.timestamp - a.timestamp);
+
+                console.log(`📚 Loaded ${memories.length} ${trashed ? 'trashed ' : ''}memories from database`);
                 resolve(memories);
             };
 
-            request.onerror = () => {
+            transaction.onerror = (event) => {
                 console.error('❌ Failed to load memories');
-                reject(request.error);
+                reject(event.target.error);
             };
         });
     },
@@ -161,7 +648,7 @@ const Storage = {
     // GET SINGLE MEMORY - Retrieve one specific photo by ID
     // ========================================================================
     /**
-     * Gets a single memory by its ID
+     * Gets a single memory by its ID, with its full photo and thumbnail
      * 
      * @param {number} id - The memory ID
      * @returns {Promise<Object>} The memory object
@@ -170,145 +657,1073 @@ const Storage = {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const transaction = this.db.transaction(
+                [this.storeName, this.photoStoreName, this.thumbnailStoreName], 'readonly');
             const objectStore = transaction.objectStore(this.storeName);
 
             // Get specific record (like SELECT * FROM memories WHERE id = ?)
             const request = objectStore.get(id);
+            const photoRequest = transaction.objectStore(this.photoStoreName).get(id);
+            const thumbnailRequest = transaction.objectStore(this.thumbnailStoreName).get(id);
 
-            request.onsuccess = () => {
-                if (request.result) {
+            transaction.oncomplete = () => {
+                let memory = request.result;
+
+                if (memory) {
                     console.log('✅ Memory found:', id);
+                    memory = {
+                        ...memory,
+                        photo: photoRequest.result ? photoRequest.result.blob : null,
+                        thumbnail: thumbnailRequest.result ? thumbnailRequest.result.blob : null
+                    };
                 } else {
                     console.warn('⚠️ Memory not found:', id);
                 }
-                resolve(request.result);
+                resolve(memory);
             };
 
-            request.onerror = () => {
+            transaction.onerror = (event) => {
                 console.error('❌ Failed to get memory');
-                reject(request.error);
+                reject(event.target.error);
             };
         });
     },
 
     // ========================================================================
-    // UPDATE MEMORY - Edit an existing photo's details
+    // GET PHOTO - Retrieve the full size image of one memory
     // ========================================================================
     /**
-     * Updates an existing memory
-     * Used when user edits location or notes
+     * Gets the original image Blob of a memory
      * 
-     * @param {Object} memory - Memory object with id property
-     * @returns {Promise<number>} The ID of the updated memory
+     * @param {number} id - The memory ID
+     * @returns {Promise<Blob|null>} The photo, or null if there is none
      */
-    async updateMemory(memory) {
+    async getPhoto(id) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const objectStore = transaction.objectStore(this.storeName);
-
-            // Update the record (like UPDATE memories SET ... WHERE id = ?)
-            const request = objectStore.put(memory);
+            const transaction = this.db.transaction([this.photoStoreName], 'readonly');
+            const request = transaction.objectStore(this.photoStoreName).get(id);
 
             request.onsuccess = () => {
-                console.log('✅ Memory updated:', request.result);
-                resolve(request.result);
+                resolve(request.result ? request.result.blob : null);
             };
 
             request.onerror = () => {
-                console.error('❌ Failed to update memory');
+                console.error('❌ Failed to get photo');
                 reject(request.error);
             };
         });
     },
 
     // ========================================================================
-    // DELETE MEMORY - Remove a photo from database
+    // VOICE NOTES - Recorded audio attached to a memory
     // ========================================================================
     /**
-     * Deletes a memory from the database
-     * 
-     * @param {number} id - The memory ID to delete
-     * @returns {Promise<void>}
+     * Gets the audio Blob of a memory's voice note
+     *
+     * @param {number} id - The memory ID
+     * @returns {Promise<Blob|null>} The recording, or null if there is none
      */
-    async deleteMemory(id) {
+    async getVoiceNote(id) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const objectStore = transaction.objectStore(this.storeName);
-
-            // Delete the record (like DELETE FROM memories WHERE id = ?)
-            const request = objectStore.delete(id);
+            const transaction = this.db.transaction([this.voiceNoteStoreName], 'readonly');
+            const request = transaction.objectStore(this.voiceNoteStoreName).get(id);
 
             request.onsuccess = () => {
-                console.log('✅ Memory deleted:', id);
-                resolve();
+                resolve(request.result ? request.result.blob : null);
             };
 
             request.onerror = () => {
-                console.error('❌ Failed to delete memory');
+                console.error('❌ Failed to get voice note');
                 reject(request.error);
             };
         });
     },
 
+    /**
+     * Attaches, replaces or removes a memory's voice note
+     * The audio and the record's voiceNote field change in one transaction
+     *
+     * @param {number} id - The memory ID
+     * @param {Object|null} voiceNote - { data: Blob, duration }, or null to remove it
+     * @returns {Promise<Object>} The updated memory record
+     */
+    async setVoiceNote(id, voiceNote) {
+        if (!this.db) await this.init();
+
+        if (voiceNote) {
+            const quota = await this.checkQuota(voiceNote.data.size);
+            if (!quota.fits) {
+                throw new DOMException(
+                    `The voice note needs ${voiceNote.data.size} bytes but only ${quota.available} are left`, 'QuotaExceededError');
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.voiceNoteStoreName], 'readwrite');
+            const objectStore = transaction.objectStore(this.storeName);
+            const request = objectStore.get(id);
+
+            request.onsuccess = () => {
+                const memory = request.result;
+                if (!memory) return;
+
+                if (voiceNote) {
+                    memory.voiceNote = { duration: voiceNote.duration };
+                    transaction.objectStore(this.voiceNoteStoreName).put({ id, blob: voiceNote.data });
+                } else {
+                    delete memory.voiceNote;
+                    transaction.objectStore(this.voiceNoteStoreName).delete(id);
+                }
+                objectStore.put(memory);
+            };
+
+            transaction.oncomplete = () => {
+                if (request.result) {
+                    console.log(voiceNote ? '🎙️ Voice note saved:' : '🗑️ Voice note removed:', id);
+                    resolve(request.result);
+                } else {
+                    reject(new Error(`Memory ${id} not found`));
+                }
+            };
+
+            transaction.onerror = (event) => {
+                console.error('❌ Failed to save voice note');
+                reject(event.target.error);
+            };
+            transaction.onabort = () => {
+                reject(transaction.error);
+            };
+        });
+    },
+
     // ========================================================================
-    // EXPORT DATA - Create JSON backup of all memories
+    // PHOTO EDITS - Crop / rotate / colour recipe, applied over the original
     // ========================================================================
     /**
-     * Exports all memories as JSON for backup or migration
-     * User can download this file to save their data
-     * 
-     * @returns {Promise<string>} JSON string of all data
+     * Saves a memory's edit recipe with the thumbnail rendered from it
+     * The original photo is left alone, so null brings it back
+     *
+     * @param {number} id - The memory ID
+     * @param {Object|null} edits - The recipe, or null to revert to the original
+     * @param {Blob} thumbnail - Rendered with the recipe applied
+     * @returns {Promise<Object>} The updated memory record
      */
-    async exportData() {
-        const memories = await this.getAllMemories();
+    async setEdits(id, edits, thumbnail) {
+        if (!this.db) await this.init();
 
-        // Create a nice structured export with metadata
-        const data = {
-            exportDate: new Date().toISOString(),  // When this export was created
-            appName: 'GeoSnap',
-            version: '1.0',
-            totalMemories: memories.length,
-            memories: memories
-        };
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.thumbnailStoreName], 'readwrite');
+            const objectStore = transaction.objectStore(this.storeName);
+            const request = objectStore.get(id);
 
-        // Convert to pretty-printed JSON (2 spaces indentation)
-        return JSON.stringify(data, null, 2);
+            request.onsuccess = () => {
+                const memory = request.result;
+                if (!memory) return;
+
+                if (edits) {
+                    memory.edits = edits;
+                } else {
+                    delete memory.edits;
+                }
+                objectStore.put(memory);
+                transaction.objectStore(this.thumbnailStoreName).put({ id, blob: thumbnail });
+            };
+
+            transaction.oncomplete = () => {
+                if (request.result) {
+                    console.log(edits ? '🎨 Photo edits saved:' : '↩️ Photo reverted to the original:', id);
+                    resolve(request.result);
+                } else {
+                    reject(new Error(`Memory ${id} not found`));
+                }
+            };
+
+            transaction.onerror = (event) => {
+                console.error('❌ Failed to save photo edits');
+                reject(event.target.error);
+            };
+        });
     },
 
     // ========================================================================
-    // CLEAR ALL - Delete all memories (use with caution!)
+    // UPDATE MEMORY - Edit an existing photo's details
     // ========================================================================
     /**
-     * Deletes ALL memories from the database
-     * ⚠️ This is permanent and cannot be undone!
+     * Updates an existing memory
+     * Used when user edits location or notes (the photo itself is not touched)
      * 
-     * @returns {Promise<void>}
+     * @param {Object} memory - Memory object with id property
+     * @returns {Promise<number>} The ID of the updated memory
      */
-    async clearAll() {
+    async updateMemory(memory) {
         if (!this.db) await this.init();
 
+        // Images live in their own stores, never write them into the record
+        const { photo: _photo, thumbnail: _thumbnail, ...record } = memory;
+
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readwrite');
             const objectStore = transaction.objectStore(this.storeName);
 
-            // Clear all records (like TRUNCATE TABLE in SQL)
-            const request = objectStore.clear();
+            // Update the record (like UPDATE memories SET ... WHERE id = ?)
+            const request = objectStore.put(record);
 
             request.onsuccess = () => {
-                console.log('✅ All memories cleared');
-                resolve();
+                console.log('✅ Memory updated:', request.result);
+                Search.add(record);
+                resolve(request.result);
             };
 
             request.onerror = () => {
-                console.error('❌ Failed to clear memories');
+                console.error('❌ Failed to update memory');
                 reject(request.error);
             };
         });
+    },
+
+    // ========================================================================
+    // TRASH - Soft delete, so a deleted memory can be brought back
+    // ========================================================================
+    /**
+     * Moves a memory to the trash by stamping it with deletedAt
+     * Its images stay where they are until the trash is purged
+     * 
+     * @param {number} id - The memory ID
+     * @returns {Promise<void>}
+     */
+    async trashMemory(id) {
+        await this.setDeletedAt(id, Date.now());
+        console.log('🗑️ Memory moved to trash:', id);
+    },
+
+    /**
+     * Takes a memory back out of the trash
+     * 
+     * @param {number} id - The memory ID
+     * @returns {Promise<void>}
+     */
+    async restoreMemory(id) {
+        await this.setDeletedAt(id, null);
+        console.log('♻️ Memory restored:', id);
+    },
+
+    /**
+     * Set or clear the deletedAt stamp of a memory
+     * 
+     * @param {number} id
+     * @param {number|null} deletedAt - Timestamp, or null to clear it
+     * @returns {Promise<void>}
+     */
+    async setDeletedAt(id, deletedAt) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const objectStore = transaction.objectStore(this.storeName);
+            const request = objectStore.get(id);
+
+            request.onsuccess = () => {
+                const memory = request.result;
+                if (!memory) return;
+
+                if (deletedAt) {
+                    memory.deletedAt = deletedAt;
+                } else {
+                    delete memory.deletedAt;
+                }
+                objectStore.put(memory);
+            };
+
+            transaction.oncomplete = () => {
+                if (request.result) {
+                    Search.add(request.result);  // Leaves the index while in the trash
+                    resolve();
+                } else {
+                    reject(new Error(`Memory ${id} not found`));
+                }
+            };
+
+            transaction.onerror = (event) => {
+                reject(event.target.error);
+            };
+        });
+    },
+
+    /**
+     * Permanently deletes trashed memories that were deleted before a cutoff
+     * 
+     * @param {number} olderThan - Timestamp; pass Infinity to empty the whole trash
+     * @returns {Promise<number>} How many memories were deleted
+     */
+    async purgeTrash(olderThan = Infinity) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.storeName, this.photoStoreName, this.thumbnailStoreName, this.voiceNoteStoreName], 'readwrite');
+            const index = transaction.objectStore(this.storeName).index('deletedAt');
+            const range = Number.isFinite(olderThan) ? IDBKeyRange.upperBound(olderThan, true) : null;
+            let purged = 0;
+
+            index.getAllKeys(range).onsuccess = (event) => {
+                event.target.result.forEach(id => {
+                    transaction.objectStore(this.storeName).delete(id);
+                    transaction.objectStore(this.photoStoreName).delete(id);
+                    transaction.objectStore(this.thumbnailStoreName).delete(id);
+                    transaction.objectStore(this.voiceNoteStoreName).delete(id);
+                    Search.remove(id);
+                    purged++;
+                });
+            };
+
+            transaction.oncomplete = () => {
+                if (purged > 0) {
+                    console.log(`🗑️ Purged ${purged} memories from the trash`);
+                }
+                resolve(purged);
+            };
+
+            transaction.onerror = (event) => {
+                console.error('❌ Failed to purge trash');
+                reject(event.target.error);
+            };
+        });
+    },
+
+    // ========================================================================
+    // DELETE MEMORY - Remove a photo from database
+    // ========================================================================
+    /**
+     * Deletes a memory from the database for good (see trashMemory() for undoable deletes)
+     * 
+     * @param {number} id - The memory ID to delete
+     * @returns {Promise<void>}
+     */
+    async deleteMemory(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.storeName, this.photoStoreName, this.thumbnailStoreName, this.voiceNoteStoreName], 'readwrite');
+
+            // Delete the record, its images and voice note (like DELETE FROM memories WHERE id = ?)
+            transaction.objectStore(this.storeName).delete(id);
+            transaction.objectStore(this.photoStoreName).delete(id);
+            transaction.objectStore(this.thumbnailStoreName).delete(id);
+            transaction.objectStore(this.voiceNoteStoreName).delete(id);
+
+            transaction.oncomplete = () => {
+                console.log('✅ Memory deleted:', id);
+                Search.remove(id);
+                resolve();
+            };
+
+            transaction.onerror = (event) => {
+                console.error('❌ Failed to delete memory');
+                reject(event.target.error);
+            };
+        });
+    },
+
+    // ========================================================================
+    // PLACE CACHE - Remember what the geocoder answered for a spot
+    // ========================================================================
+    /**
+     * Gets a cached reverse geocoding answer
+     * 
+     * @param {string} key - Rounded coordinates, see Geocoder.cacheKey()
+     * @returns {Promise<Object|null>} { locationName, address }
+     */
+    async getCachedPlace(key) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.placeCacheStoreName], 'readonly');
+            const request = transaction.objectStore(this.placeCacheStoreName).get(key);
+
+            request.onsuccess = () => {
+                resolve(request.result ? request.result.place : null);
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    },
+
+    /**
+     * Stores a reverse geocoding answer
+     * 
+     * @param {string} key - Rounded coordinates
+     * @param {Object} place - { locationName, address }
+     * @param {string} provider - Which provider answered
+     * @returns {Promise<void>}
+     */
+    async cachePlace(key, place, provider) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.placeCacheStoreName], 'readwrite');
+            transaction.objectStore(this.placeCacheStoreName).put({ key, place, provider, cachedAt: Date.now() });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    // ========================================================================
+    // TAGS & ALBUMS - Labels shared by many memories
+    // ========================================================================
+    /**
+     * Lookup key for a tag or album name, so case and spacing don't make duplicates
+     * 
+     * @param {string} name
+     * @returns {string}
+     */
+    labelKey(name) {
+        return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    /**
+     * Gets every record of the tags or albums store, sorted by name
+     * 
+     * @param {string} storeName - tagStoreName or albumStoreName
+     * @returns {Promise<Array>}
+     */
+    async getLabels(storeName) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    },
+
+    /**
+     * Finds tags or albums by name, creating the ones that don't exist yet
+     * 
+     * @param {string} storeName - tagStoreName or albumStoreName
+     * @param {Array<string>} names - e.g. ["Beach", "family"]
+     * @param {Object} defaults - Extra fields for new records
+     * @returns {Promise<Array<Object>>} The records, in the order of names (duplicates dropped)
+     */
+    async ensureLabels(storeName, names, defaults = {}) {
+        if (!this.db) await this.init();
+
+        const unique = new Map();
+        names.forEach(name => {
+            const key = this.labelKey(name);
+            if (key && !unique.has(key)) unique.set(key, String(name).trim().replace(/\s+/g, ' '));
+        });
+        if (unique.size === 0) return [];
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const records = [];
+
+            [...unique].forEach(([key, name], position) => {
+                store.index('key').get(key).onsuccess = (event) => {
+                    if (event.target.result) {
+                        records[position] = event.target.result;
+                        return;
+                    }
+
+                    const record = { name, key, ...defaults };
+                    store.add(record).onsuccess = (addEvent) => {
+                        records[position] = { ...record, id: addEvent.target.result };
+                    };
+                };
+            });
+
+            transaction.oncomplete = () => resolve(records);
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    /**
+     * Gets all tags
+     * 
+     * @returns {Promise<Array>} [{ id, name, key }]
+     */
+    async getAllTags() {
+        const tags = await this.getLabels(this.tagStoreName);
+        Search.nameTags(tags);
+        return tags;
+    },
+
+    /**
+     * Turns tag names into tag ids, creating new tags as needed
+     * 
+     * @param {Array<string>} names
+     * @returns {Promise<Array<number>>}
+     */
+    async ensureTags(names) {
+        const tags = await this.ensureLabels(this.tagStoreName, names);
+        Search.nameTags(tags);
+        return tags.map(tag => tag.id);
+    },
+
+    /**
+     * Gets all albums
+     * 
+     * @returns {Promise<Array>} [{ id, name, key, coverId, startDate, endDate, createdAt }]
+     */
+    async getAllAlbums() {
+        return this.getLabels(this.albumStoreName);
+    },
+
+    /**
+     * Turns album names into album ids, creating new albums as needed
+     * 
+     * @param {Array<string>} names
+     * @returns {Promise<Array<number>>}
+     */
+    async ensureAlbums(names) {
+        const albums = await this.ensureLabels(this.albumStoreName, names,
+            { coverId: null, startDate: null, endDate: null, createdAt: Date.now() });
+        return albums.map(album => album.id);
+    },
+
+    /**
+     * Saves an album's name, cover or dates
+     * 
+     * @param {Object} album - Album record with id
+     * @returns {Promise<void>}
+     */
+    async updateAlbum(album) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.albumStoreName], 'readwrite');
+            transaction.objectStore(this.albumStoreName).put({ ...album, key: this.labelKey(album.name) });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);  // e.g. renamed to an existing album
+        });
+    },
+
+    /**
+     * Deletes an album; its memories stay, they just leave the album
+     * 
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async deleteAlbum(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.albumStoreName, this.storeName], 'readwrite');
+            const updated = [];
+            transaction.objectStore(this.albumStoreName).delete(id);
+
+            transaction.objectStore(this.storeName).index('albumIds').openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                const memory = cursor.value;
+                memory.albumIds = memory.albumIds.filter(albumId => albumId !== id);
+                cursor.update(memory);
+                updated.push(memory);
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => {
+                updated.forEach(memory => Search.add(memory));
+                resolve();
+            };
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    /**
+     * Replaces tag and album ids with their names, for files that outlive this database
+     * 
+     * @param {Array} memories
+     * @returns {Promise<Array>} Copies with tags / albums name arrays instead of tagIds / albumIds
+     */
+    async withLabelNames(memories) {
+        const tagNames = new Map((await this.getAllTags()).map(tag => [tag.id, tag.name]));
+        const albumNames = new Map((await this.getAllAlbums()).map(album => [album.id, album.name]));
+
+        return memories.map(({ tagIds = [], albumIds = [], ...memory }) => ({
+            ...memory,
+            tags: tagIds.map(id => tagNames.get(id)).filter(Boolean),
+            albums: albumIds.map(id => albumNames.get(id)).filter(Boolean)
+        }));
+    },
+
+    // ========================================================================
+    // TRACKS - GPS breadcrumbs recorded while the app is open
+    // ========================================================================
+    /**
+     * Starts a new track
+     * 
+     * @param {Object} track - { name, startedAt }
+     * @returns {Promise<Object>} The track with its id, distanceKm and pointCount
+     */
+    async createTrack(track) {
+        if (!this.db) await this.init();
+
+        const record = { endedAt: null, distanceKm: 0, pointCount: 0, ...track };
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.trackStoreName], 'readwrite');
+            const request = transaction.objectStore(this.trackStoreName).add(record);
+
+            transaction.oncomplete = () => resolve({ ...record, id: request.result });
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    /**
+     * Adds a position to a track and saves the track's new totals, in one transaction
+     * 
+     * @param {Object} track - The track record, already updated by the caller
+     * @param {Object} point - { latitude, longitude, accuracy, altitude, timestamp }
+     * @returns {Promise<void>}
+     */
+    async appendTrackPoint(track, point) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.trackStoreName, this.trackPointStoreName], 'readwrite');
+            transaction.objectStore(this.trackPointStoreName).add({ ...point, trackId: track.id });
+            transaction.objectStore(this.trackStoreName).put(track);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    /**
+     * Saves a track record (e.g. when recording stops)
+     * 
+     * @param {Object} track
+     * @returns {Promise<void>}
+     */
+    async updateTrack(track) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.trackStoreName], 'readwrite');
+            transaction.objectStore(this.trackStoreName).put(track);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    /**
+     * Gets all tracks, newest first
+     * 
+     * @returns {Promise<Array>}
+     */
+    async getAllTracks() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.trackStoreName], 'readonly');
+            const request = transaction.objectStore(this.trackStoreName).getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => b.startedAt - a.startedAt));
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Gets the positions of a track, oldest first
+     * 
+     * @param {number} trackId
+     * @returns {Promise<Array>}
+     */
+    async getTrackPoints(trackId) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.trackPointStoreName], 'readonly');
+            const request = transaction.objectStore(this.trackPointStoreName).index('trackId').getAll(trackId);
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Deletes a track and its positions; photos taken on it stay, unlinked
+     * 
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async deleteTrack(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.trackStoreName, this.trackPointStoreName, this.storeName], 'readwrite');
+            transaction.objectStore(this.trackStoreName).delete(id);
+
+            transaction.objectStore(this.trackPointStoreName).index('trackId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                transaction.objectStore(this.trackPointStoreName).delete(cursor.primaryKey);
+                cursor.continue();
+            };
+
+            transaction.objectStore(this.storeName).index('trackId').openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                const { trackId: _trackId, ...memory } = cursor.value;
+                cursor.update(memory);
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    /**
+     * Gets the memories taken while a track was recorded
+     * 
+     * @param {number} trackId
+     * @returns {Promise<Array>}
+     */
+    async getTrackMemories(trackId) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('trackId').getAll(trackId);
+
+            request.onsuccess = () => resolve(request.result.filter(memory => !memory.deletedAt));
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // ========================================================================
+    // OFFLINE MAP REGIONS - Areas whose map tiles the Service Worker downloaded
+    // ========================================================================
+    /**
+     * Saves a region, adding it if it has no id yet
+     * 
+     * @param {Object} region - { name, bounds, minZoom, maxZoom, tiles, bytes, status, createdAt }
+     * @returns {Promise<number>} The region's id
+     */
+    async saveTileRegion(region) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.tileRegionStoreName], 'readwrite');
+            const request = transaction.objectStore(this.tileRegionStoreName).put(region);
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    /**
+     * Gets all downloaded regions, newest first
+     * 
+     * @returns {Promise<Array>}
+     */
+    async getAllTileRegions() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.tileRegionStoreName], 'readonly');
+            const request = transaction.objectStore(this.tileRegionStoreName).getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => b.createdAt - a.createdAt));
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Forgets a region (its tiles are removed by the Service Worker)
+     * 
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async deleteTileRegion(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.tileRegionStoreName], 'readwrite');
+            transaction.objectStore(this.tileRegionStoreName).delete(id);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    // ========================================================================
+    // EXPORT DATA - Create JSON backup of all memories
+    // ========================================================================
+    /**
+     * Exports all memories as JSON for backup or migration
+     * User can download this file to save their data
+     * 
+     * @returns {Promise<string>} JSON string of all data
+     */
+    async exportData() {
+        const memories = await this.withLabelNames(await this.getAllMemories());
+
+        // Keep the original file format: each photo inline as a data URL
+        for (const memory of memories) {
+            const photo = await this.getPhoto(memory.id);
+            delete memory.thumbnail;
+            memory.photo = photo ? await ImageUtils.blobToDataUrl(photo) : null;
+
+            const voice = memory.voiceNote ? await this.getVoiceNote(memory.id) : null;
+            if (voice) {
+                memory.voiceNote = { ...memory.voiceNote, data: await ImageUtils.blobToDataUrl(voice) };
+            } else {
+                delete memory.voiceNote;
+            }
+        }
+
+        const data = this.exportEnvelope(memories);
+
+        // Convert to pretty-printed JSON (2 spaces indentation)
+        return JSON.stringify(data, null, 2);
+    },
+
+    /**
+     * Wraps memories in the export format shared by the JSON backup
+     * and the manifest.json of a ZIP export
+     * 
+     * @param {Array} memories - Memories ready to be written out
+     * @returns {Object} { exportDate, appName, version, totalMemories, memories }
+     */
+    exportEnvelope(memories) {
+        // Create a nice structured export with metadata
+        return {
+            exportDate: new Date().toISOString(),  // When this export was created
+            appName: 'GeoSnap',
+            version: '1.0',
+            totalMemories: memories.length,
+            memories: memories
+        };
+    },
+
+    // ========================================================================
+    // IMPORT DATA - Restore a JSON backup made by exportData()
+    // ========================================================================
+    /**
+     * Imports memories from a file created by exportData()
+     * Every record is checked first, so a broken file never wipes existing data
+     * 
+     * @param {string|Object} json - The backup file contents (or already parsed)
+     * @param {Object} options
+     * @param {string} options.mode - 'merge' keeps current memories, 'replace' clears them first
+     * @returns {Promise<Object>} { imported, skipped, rejected, errors }
+     */
+    async importData(json, { mode = 'merge' } = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        // ===== Check the file format =====
+        if (!data || data.appName !== 'GeoSnap' || !Array.isArray(data.memories)) {
+            throw new Error('This is not a GeoSnap backup file');
+        }
+        if (String(data.version).split('.')[0] !== '1') {
+            throw new Error(`Unsupported backup version: ${data.version}`);
+        }
+
+        const result = { imported: 0, skipped: 0, rejected: 0, errors: [] };
+
+        // ===== Validate every record before touching the database =====
+        const valid = [];
+        data.memories.forEach((record, index) => {
+            const error = this.validateMemory(record);
+            if (error) {
+                result.rejected++;
+                result.errors.push(`Memory ${index + 1}: ${error}`);
+            } else {
+                valid.push(record);
+            }
+        });
+
+        if (mode === 'replace') {
+            if (valid.length === 0) {
+                throw new Error('No valid memories in this file, nothing was replaced');
+            }
+            await this.clearAll();
+        }
+
+        // ===== Skip duplicates (same timestamp + coordinates) =====
+        // Trashed memories count too: restoring one is how to get it back, not a second copy
+        const existing = mode === 'replace' ? [] : [
+            ...await this.getAllMemories(),
+            ...await this.getAllMemories({ trashed: true })
+        ];
+        const seen = new Set(existing.map(memory => this.duplicateKey(memory)));
+
+        for (const record of valid) {
+            const key = this.duplicateKey(record);
+            if (seen.has(key)) {
+                result.skipped++;
+                continue;
+            }
+
+            // Drop the old id so the database assigns a fresh one, and never import into the trash
+            // Tags and albums come by name; ids from the old database (tags, albums, track) mean nothing here
+            const {
+                id: _id, thumbnail: _thumbnail, deletedAt: _deletedAt,
+                tagIds: _tagIds, albumIds: _albumIds, trackId: _trackId, tags = [], albums = [], ...memory
+            } = record;
+
+            try {
+                memory.tagIds = await this.ensureTags(tags);
+                memory.albumIds = await this.ensureAlbums(albums);
+                await this.saveMemory(memory);
+                seen.add(key);
+                result.imported++;
+            } catch (error) {
+                // e.g. the photo data is corrupt and can't be decoded
+                result.rejected++;
+                result.errors.push(`Memory from ${new Date(record.timestamp).toLocaleString()}: ${error.message}`);
+            }
+        }
+
+        console.log(`📥 Import done: ${result.imported} imported, ${result.skipped} skipped, ${result.rejected} rejected`);
+        return result;
+    },
+
+    /**
+     * Checks that an imported record looks like a memory
+     * 
+     * @param {Object} record - One entry of the backup's memories array
+     * @returns {string|null} What is wrong with it, or null if it's valid
+     */
+    validateMemory(record) {
+        if (!record || typeof record !== 'object') {
+            return 'not a memory object';
+        }
+
+        if (!Number.isFinite(record.timestamp) || record.timestamp <= 0) {
+            return 'missing or invalid timestamp';
+        }
+
+        // Clips are stored in the photo field too
+        const photo = record.photo;
+        const kind = record.mediaType === 'video' ? 'video' : 'image';
+        const isMediaBlob = typeof Blob !== 'undefined' && photo instanceof Blob && photo.type.startsWith(`${kind}/`);
+        if (!isMediaBlob && !(ImageUtils.isDataUrl(photo) && photo.startsWith(`data:${kind}/`))) {
+            return kind === 'video' ? 'missing clip or clip is not a video' : 'missing photo or photo is not an image';
+        }
+
+        const location = record.location;
+        if (location !== null && location !== undefined) {
+            if (typeof location !== 'object') {
+                return 'invalid location';
+            }
+            const hasLatitude = location.latitude !== undefined && location.latitude !== null;
+            const hasLongitude = location.longitude !== undefined && location.longitude !== null;
+            if (hasLatitude !== hasLongitude) {
+                return 'location has only one coordinate';
+            }
+            if (hasLatitude && !(Number.isFinite(location.latitude) && Math.abs(location.latitude) <= 90)) {
+                return 'latitude out of range';
+            }
+            if (hasLongitude && !(Number.isFinite(location.longitude) && Math.abs(location.longitude) <= 180)) {
+                return 'longitude out of range';
+            }
+            if (location.locationName !== undefined && location.locationName !== null && typeof location.locationName !== 'string') {
+                return 'invalid location name';
+            }
+        }
+
+        if (record.notes !== undefined && record.notes !== null && typeof record.notes !== 'string') {
+            return 'invalid notes';
+        }
+
+        if (record.edits !== undefined && record.edits !== null) {
+            const problem = PhotoEditor.validate(record.edits);
+            if (problem) {
+                return `invalid photo edits (${problem})`;
+            }
+        }
+
+        const voiceNote = record.voiceNote;
+        if (voiceNote !== undefined && voiceNote !== null) {
+            const data = voiceNote.data;
+            const isAudioBlob = typeof Blob !== 'undefined' && data instanceof Blob && data.type.startsWith('audio/');
+            if (!isAudioBlob && !(ImageUtils.isDataUrl(data) && data.startsWith('data:audio/'))) {
+                return 'voice note is not audio';
+            }
+            if (voiceNote.duration !== undefined && !(Number.isFinite(voiceNote.duration) && voiceNote.duration >= 0)) {
+                return 'invalid voice note duration';
+            }
+        }
+
+        for (const field of ['tags', 'albums']) {
+            const names = record[field];
+            if (names !== undefined && !(Array.isArray(names) && names.every(name => typeof name === 'string'))) {
+                return `invalid ${field}`;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Builds the key used to spot duplicates: timestamp + coordinates
+     * 
+     * @param {Object} memory
+     * @returns {string}
+     */
+    duplicateKey(memory) {
+        const location = memory.location || {};
+        const latitude = Number.isFinite(location.latitude) ? location.latitude.toFixed(6) : '';
+        const longitude = Number.isFinite(location.longitude) ? location.longitude.toFixed(6) : '';
+        return `${memory.timestamp}|${latitude}|${longitude}`;
+    },
+
+    // ========================================================================
+    // CLEAR ALL - Delete all memories (use with caution!)
+    // ========================================================================
+    /**
+     * Deletes ALL memories from the database, with their voice notes, tags, albums and tracks
+     * ⚠️ This is permanent and cannot be undone!
+     * 
+     * @returns {Promise<void>}
+     */
+    async clearAll() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const storeNames = [
+                this.storeName, this.photoStoreName, this.thumbnailStoreName, this.voiceNoteStoreName,
+                this.tagStoreName, this.albumStoreName, this.trackStoreName, this.trackPointStoreName];
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+
+            // Clear all records (like TRUNCATE TABLE in SQL)
+            storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+
+            transaction.oncomplete = () => {
+                console.log('✅ All memories cleared');
+                Search.clear();
+                resolve();
+            };
+
+            transaction.onerror = (event) => {
+                console.error('❌ Failed to clear memories');
+                reject(event.target.error);
+            };
+        });
     }
 };
 
@@ -325,14 +1740,14 @@ const Storage = {
  * 
  * 2. Database Structure:
  *    - One database called "GeoSnapDB"
- *    - One object store called "memories" (like a table)
- *    - Each memory has: id, photo, location, timestamp, notes
+ *    - "memories" store (like a table): id, location, timestamp, notes
+ *    - "photos" and "thumbnails" stores hold the images as Blobs
  * 
  * 3. Main Operations (CRUD):
  *    - CREATE: saveMemory() - add new photo
  *    - READ: getAllMemories() - load photos for feed
  *    - UPDATE: updateMemory() - edit location/notes
- *    - DELETE: deleteMemory() - remove photo
+ *    - DELETE: trashMemory() - move to trash, deleteMemory() - remove for good
  * 
  * 4. Why it's important :
  *    - Enables offline functionality (requirement!)
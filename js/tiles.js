@@ -0,0 +1,207 @@
+/**
+ * Tiles Module
+ * Map tile arithmetic shared by the page and the Service Worker (which loads
+ * it with importScripts), so both agree on which tiles make up a region
+ *
+ * Tiles use the usual "slippy map" scheme: at zoom z the world is a grid of
+ * 2^z × 2^z squares, x growing eastwards and y southwards.
+ *
+ * The map shows OpenStreetMap's tiles, but regions are never downloaded from
+ * them: their usage policy forbids bulk downloads from the volunteer-run
+ * servers. Offline maps come from a tile server set in settings instead.
+ */
+
+const Tiles = {
+    osmTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    osmAttribution: '© OpenStreetMap contributors',
+    settingsKey: 'geosnap-tiles',       // localStorage key for the offline tile server
+    source: null,                       // { urlTemplate, attribution } from settings, null until one is set
+    averageTileBytes: 20 * 1024,        // For estimates: OSM tiles are mostly 5-40 KB
+    maxZoom: 16,                        // OSM's tile policy caps downloads here; each zoom beyond is 4× the tiles
+    maxTiles: 5000,                     // Per region, to stay fair to the tile server
+    maxBytes: 200 * 1024 * 1024,        // All downloaded regions together
+
+    /**
+     * Tile column of a longitude
+     * @param {number} longitude
+     * @param {number} zoom
+     * @returns {number}
+     */
+    tileX(longitude, zoom) {
+        const x = Math.floor((longitude + 180) / 360 * 2 ** zoom);
+        return Math.min(Math.max(x, 0), 2 ** zoom - 1);
+    },
+
+    /**
+     * Tile row of a latitude (Web Mercator)
+     * @param {number} latitude
+     * @param {number} zoom
+     * @returns {number}
+     */
+    tileY(latitude, zoom) {
+        const radians = Math.max(Math.min(latitude, 85.0511), -85.0511) * Math.PI / 180;
+        const y = Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * 2 ** zoom);
+        return Math.min(Math.max(y, 0), 2 ** zoom - 1);
+    },
+
+    /**
+     * The tiles covering a bounding box at one zoom level
+     * @param {Object} bounds - { south, west, north, east } in degrees
+     * @param {number} zoom
+     * @returns {Object} { minX, maxX, minY, maxY }, inclusive
+     */
+    range(bounds, zoom) {
+        return {
+            minX: this.tileX(bounds.west, zoom),
+            maxX: this.tileX(bounds.east, zoom),
+            minY: this.tileY(bounds.north, zoom),
+            maxY: this.tileY(bounds.south, zoom)
+        };
+    },
+
+    /**
+     * How many tiles a region needs, and roughly how much space
+     * @param {Object} bounds - { south, west, north, east }
+     * @param {number} minZoom
+     * @param {number} maxZoom
+     * @returns {Object} { tiles, bytes }
+     */
+    estimate(bounds, minZoom, maxZoom) {
+        let tiles = 0;
+        for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+            const { minX, maxX, minY, maxY } = this.range(bounds, zoom);
+            tiles += (maxX - minX + 1) * (maxY - minY + 1);
+        }
+        return { tiles, bytes: tiles * this.averageTileBytes };
+    },
+
+    /**
+     * URLs of every tile of a region, zoomed-out tiles first
+     * @param {Object} region - { bounds, minZoom, maxZoom, urlTemplate }; regions saved
+     * before the tile server setting have no urlTemplate and came from OpenStreetMap
+     * @returns {Array<string>}
+     */
+    urls(region) {
+        const template = region.urlTemplate || this.osmTemplate;
+        const urls = [];
+        for (let zoom = region.minZoom; zoom <= region.maxZoom; zoom++) {
+            const { minX, maxX, minY, maxY } = this.range(region.bounds, zoom);
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    urls.push(this.url(template, zoom, x, y));
+                }
+            }
+        }
+        return urls;
+    },
+
+    /**
+     * URLs of the tiles a region may download: zoom capped at maxZoom, at most maxTiles,
+     * from a tile server validateSource() accepts
+     * The Service Worker goes through this, so the limits hold whatever the page sent
+     * @param {Object} region - { bounds, minZoom, maxZoom, urlTemplate }
+     * @returns {Array<string>}
+     * @throws {Error} If the region can't be downloaded
+     */
+    downloadUrls(region) {
+        const problem = this.validateSource(region.urlTemplate || this.osmTemplate);
+        if (problem) throw new Error(problem);
+
+        if (!Number.isInteger(region.minZoom) || !Number.isInteger(region.maxZoom) || region.minZoom < 0) {
+            throw new Error('Invalid zoom range');
+        }
+
+        const capped = { ...region, maxZoom: Math.min(region.maxZoom, this.maxZoom) };
+        const { tiles } = this.estimate(capped.bounds, capped.minZoom, capped.maxZoom);
+        if (tiles > this.maxTiles) {
+            throw new Error(`${tiles} tiles, more than the ${this.maxTiles} a region may have`);
+        }
+
+        return this.urls(capped);
+    },
+
+    /**
+     * @param {string} template - e.g. "https://tiles.example.com/{z}/{x}/{y}.png"
+     * @returns {string} e.g. "https://tiles.example.com/12/2074/1409.png"
+     */
+    url(template, zoom, x, y) {
+        return template.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+    },
+
+    /**
+     * Check a tile server address before regions are downloaded from it
+     * @param {string} urlTemplate - e.g. "https://tiles.example.com/{z}/{x}/{y}.png?key=..."
+     * @returns {string|null} What's wrong with it, null if it can be used
+     */
+    validateSource(urlTemplate) {
+        if (typeof urlTemplate !== 'string' || !['{z}', '{x}', '{y}'].every(part => urlTemplate.includes(part))) {
+            return 'The address needs {z}, {x} and {y} where the tile numbers go';
+        }
+        // Regions are saved under the exact URLs the map asks for, so one server only
+        if (urlTemplate.includes('{s}')) {
+            return 'Use a single server address, without {s}';
+        }
+
+        let url;
+        try {
+            url = new URL(this.url(urlTemplate, 0, 0, 0));
+        } catch (error) {
+            return 'Enter the full address, starting with https://';
+        }
+        if (!['https:', 'http:'].includes(url.protocol)) {
+            return 'Enter the full address, starting with https://';
+        }
+        if (url.hostname === 'openstreetmap.org' || url.hostname.endsWith('.openstreetmap.org')) {
+            return "OpenStreetMap's tile servers don't allow downloading areas for offline use";
+        }
+
+        return null;
+    },
+
+    /**
+     * Restore the tile server chosen in settings (page only, the Service Worker has no localStorage)
+     */
+    loadSettings() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(this.settingsKey));
+            if (settings && !this.validateSource(settings.urlTemplate)) {
+                this.source = { urlTemplate: settings.urlTemplate, attribution: settings.attribution || '' };
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring invalid tile settings', error);
+        }
+    },
+
+    /**
+     * Set the tile server, or go back to OpenStreetMap without offline downloads
+     * @param {string} urlTemplate - Empty to clear it
+     * @param {string} attribution - Credit line the map shows for those tiles
+     * @throws {Error} If the address can't be used, see validateSource()
+     */
+    saveSettings(urlTemplate, attribution = '') {
+        if (!urlTemplate) {
+            this.source = null;
+            localStorage.removeItem(this.settingsKey);
+            return;
+        }
+
+        const problem = this.validateSource(urlTemplate);
+        if (problem) throw new Error(problem);
+
+        this.source = { urlTemplate, attribution };
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.source));
+    },
+
+    /**
+     * The URL an OpenStreetMap tile of an older region is saved under, whichever
+     * server (a., b., c.) it was asked from
+     * @param {string} url
+     * @returns {string|null} null if it isn't an OpenStreetMap tile
+     */
+    cacheKey(url) {
+        const { hostname, pathname } = new URL(url);
+        const match = pathname.match(/^\/(\d+)\/(\d+)\/(\d+)\.png$/);
+        if (!hostname.endsWith('tile.openstreetmap.org') || !match) return null;
+        return this.url(this.osmTemplate, match[1], match[2], match[3]);
+    }
+};
@@ -0,0 +1,175 @@
+/**
+ * Tracker Module
+ * Records a GPS track ("record trip") while the app is open
+ *
+ * Every position from GeoLocation.watchPosition() is checked before it is
+ * kept: fixes that are too vague, too close to the last one, or that would
+ * mean moving impossibly fast are dropped, so the track doesn't zigzag.
+ */
+
+const Tracker = {
+    maxAccuracy: 50,       // m: fixes less precise than this are dropped
+    minDistance: 5,        // m: closer to the last point than this is standing still
+    maxSpeedKmh: 300,      // Faster than this from the last point is a GPS jump
+    track: null,           // The track being recorded, null when not recording
+    points: [],            // Its kept positions, for drawing the live line
+    watchId: null,
+    wakeLock: null,        // Keeps the screen on, so the browser keeps the page running
+    onChange: null,        // Set by App: called after every kept point, start and stop
+
+    /**
+     * Close tracks left open by a page that was closed while recording
+     * @returns {Promise<void>}
+     */
+    async init() {
+        const tracks = await Storage.getAllTracks();
+
+        for (const track of tracks.filter(track => !track.endedAt)) {
+            const points = await Storage.getTrackPoints(track.id);
+            track.endedAt = points.length ? points[points.length - 1].timestamp : track.startedAt;
+            await Storage.updateTrack(track);
+        }
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.track !== null;
+    },
+
+    /**
+     * Start recording a new track
+     * @returns {Promise<Object>} The new track
+     * @throws {Error} If the browser has no geolocation
+     */
+    async start() {
+        if (this.isRecording()) return this.track;
+
+        if (!navigator.geolocation) {
+            throw new Error('Geolocation is not supported by your browser');
+        }
+
+        const startedAt = Date.now();
+        this.track = await Storage.createTrack({
+            name: `Trip ${new Date(startedAt).toLocaleString()}`,
+            startedAt
+        });
+        this.points = [];
+
+        this.watchId = GeoLocation.watchPosition(
+            (position) => this.handlePosition(position),
+            (error) => {
+                // Permission denied ends the recording, anything else is temporary
+                if (error.code === error.PERMISSION_DENIED) {
+                    this.stop();
+                }
+            }
+        );
+
+        await this.keepScreenOn();
+        console.log('⏺️ Track recording started:', this.track.id);
+        this.notify();
+        return this.track;
+    },
+
+    /**
+     * Stop recording
+     * @returns {Promise<Object|null>} The finished track
+     */
+    async stop() {
+        if (!this.isRecording()) return null;
+
+        GeoLocation.clearWatch(this.watchId);
+        this.watchId = null;
+
+        const track = this.track;
+        track.endedAt = this.points.length ? this.points[this.points.length - 1].timestamp : Date.now();
+        this.track = null;
+        await Storage.updateTrack(track);
+
+        if (this.wakeLock) {
+            this.wakeLock.release().catch(() => {});
+            this.wakeLock = null;
+        }
+
+        console.log(`⏹️ Track recording stopped: ${track.pointCount} points, ${track.distanceKm.toFixed(2)} km`);
+        this.notify();
+        return track;
+    },
+
+    /**
+     * Decide whether to keep a position
+     * @param {Object} point - { latitude, longitude, accuracy, timestamp }
+     * @param {Object|null} last - The last kept point
+     * @returns {string|null} Why the point is dropped, null to keep it
+     */
+    rejectReason(point, last) {
+        if (!Number.isFinite(point.accuracy) || point.accuracy > this.maxAccuracy) {
+            return 'inaccurate';
+        }
+        if (!last) return null;
+
+        const meters = Gazetteer.distanceKm(last.latitude, last.longitude, point.latitude, point.longitude) * 1000;
+        if (meters < Math.max(this.minDistance, point.accuracy / 2)) {
+            return 'too close';
+        }
+
+        const hours = (point.timestamp - last.timestamp) / 3600000;
+        if (hours <= 0 || meters / 1000 / hours > this.maxSpeedKmh) {
+            return 'jump';
+        }
+
+        return null;
+    },
+
+    /**
+     * Keep a new position if it passes the filters, and save it
+     * @param {Object} point - From GeoLocation.watchPosition()
+     */
+    async handlePosition(point) {
+        if (!this.isRecording()) return;
+
+        const last = this.points[this.points.length - 1] || null;
+        const reason = this.rejectReason(point, last);
+        if (reason) {
+            console.log(`📍 Track point dropped (${reason}), accuracy ${Math.round(point.accuracy)} m`);
+            return;
+        }
+
+        const track = this.track;
+        if (last) {
+            track.distanceKm += Gazetteer.distanceKm(last.latitude, last.longitude, point.latitude, point.longitude);
+        }
+        track.pointCount++;
+        this.points.push(point);
+
+        try {
+            await Storage.appendTrackPoint(track, point);
+        } catch (error) {
+            console.error('Could not save track point:', error);
+        }
+
+        this.notify();
+    },
+
+    /**
+     * Ask the browser to keep the screen on while recording, where it can
+     */
+    async keepScreenOn() {
+        if (!('wakeLock' in navigator)) return;
+
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+        } catch (error) {
+            console.warn('Screen wake lock unavailable:', error);
+        }
+    },
+
+    /**
+     * Tell the app the recording changed
+     */
+    notify() {
+        if (this.onChange) this.onChange(this.track, this.points);
+    }
+};
@@ -8,17 +8,37 @@ const UI = {
     modals: {},
     currentModal: null,
 
+    // Upload state
+    pendingUpload: null,   // Upload form: { location, metadataSource } shared by the queue
+    uploadQueue: [],       // Files being uploaded: { file, status, progress, location, ... }
+
     // Location picker state
     locationPickerMap: null,
     selectedLocation: null,
     locationCallback: null,
 
+    // Location search state
+    searchResults: [],
+    searchIndex: -1,          // Highlighted result for keyboard selection
+    searchTimer: null,        // Debounce timer
+    searchController: null,   // Aborts a search the user has typed past
+    searchDelay: 300,         // ms of quiet typing before searching, with providers that allow it
+
+    // Chip inputs (tags, albums): element id -> names entered
+    chips: {},
+
+    // Voice note fields: element id -> { note: { data, duration } or null, changed }
+    voiceNotes: {},
+
     /**
      * Initialize UI module
      */
     init() {
         this.setupModals();
         this.setupDropZone();
+        this.setupLocationSearch();
+        this.setupChipInputs();
+        this.setupVoiceNotes();
         this.setupToasts();
     },
 
@@ -30,7 +50,16 @@ const UI = {
         this.modals = {
             upload: document.getElementById('upload-modal'),
             edit: document.getElementById('edit-modal'),
-            location: document.getElementById('location-modal')
+            location: document.getElementById('location-modal'),
+            import: document.getElementById('import-modal'),
+            export: document.getElementById('export-modal'),
+            storage: document.getElementById('storage-modal'),
+            albums: document.getElementById('albums-modal'),
+            gallery: document.getElementById('gallery-modal'),
+            burst: document.getElementById('burst-modal'),
+            tracks: document.getElementById('tracks-modal'),
+            regions: document.getElementById('regions-modal'),
+            settings: document.getElementById('settings-modal')
         };
 
         // Setup close buttons
@@ -70,29 +99,47 @@ const UI = {
             const modal = this.modals[this.currentModal];
             if (modal) {
                 modal.classList.remove('active');
+                // A clip or voice note shouldn't keep playing behind the closed modal
+                modal.querySelectorAll('video, audio').forEach(media => media.pause());
+                // A voice note still being recorded is thrown away with the form
+                if (modal.querySelector('.voice-note')) {
+                    Voice.cancel();
+                }
             }
-            this.currentModal = null;
-            document.body.style.overflow = '';
-
-            // Reset upload modal
+            // Reset upload modal (check before forgetting which modal was open)
             if (this.currentModal === 'upload') {
                 this.resetUploadModal();
             }
+
+            this.currentModal = null;
+            document.body.style.overflow = '';
         }
     },
 
     /**
      * Setup drag and drop zone
+     * Accepts several photos at once, or whole folders
      */
     setupDropZone() {
         const dropZone = document.getElementById('drop-zone');
         const fileInput = document.getElementById('upload-file-input');
+        const folderInput = document.getElementById('upload-folder-input');
         const selectBtn = document.getElementById('select-file-btn');
+        const selectFolderBtn = document.getElementById('select-folder-btn');
 
         if (!dropZone || !fileInput || !selectBtn) return;
 
-        // Click to select file
-        selectBtn.addEventListener('click', () => fileInput.click());
+        // Click to select files (stop the click from reaching the drop zone and opening a second picker)
+        selectBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            fileInput.click();
+        });
+        if (selectFolderBtn && folderInput) {
+            selectFolderBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                folderInput.click();
+            });
+        }
         dropZone.addEventListener('click', (e) => {
             if (e.target === dropZone || e.target.closest('.drop-zone-content')) {
                 fileInput.click();
@@ -119,56 +166,307 @@ const UI = {
             });
         });
 
-        dropZone.addEventListener('drop', (e) => {
-            const files = e.dataTransfer.files;
+        dropZone.addEventListener('drop', async (e) => {
+            const files = await this.collectDroppedFiles(e.dataTransfer);
             if (files.length > 0) {
-                this.handleFileSelection(files[0]);
+                this.handleFileSelection(files);
             }
         });
 
-        fileInput.addEventListener('change', (e) => {
-            if (e.target.files.length > 0) {
-                this.handleFileSelection(e.target.files[0]);
-            }
+        [fileInput, folderInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.handleFileSelection([...e.target.files]);
+                }
+            });
         });
     },
 
+    /**
+     * Get every file from a drop, walking into dropped folders
+     * @param {DataTransfer} dataTransfer
+     * @returns {Promise<Array<File>>}
+     */
+    async collectDroppedFiles(dataTransfer) {
+        // Entries must be read before the first await, the drop data expires after the event
+        const entries = [...(dataTransfer.items || [])]
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            return [...dataTransfer.files];
+        }
+
+        const files = [];
+
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                let batch;
+                // readEntries() returns the folder in chunks, keep going until it's empty
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) {
+                        await walk(child);
+                    }
+                } while (batch.length > 0);
+            }
+        };
+
+        for (const entry of entries) {
+            await walk(entry);
+        }
+
+        return files;
+    },
+
     /**
      * Handle file selection
+     * Each photo goes into the upload queue and is prepared one after another:
+     * EXIF location/time are read and a thumbnail is generated
+     * @param {Array<File>} files
      */
-    handleFileSelection(file) {
-        if (!file.type.startsWith('image/')) {
+    async handleFileSelection(files) {
+        // Folders often contain other files (.DS_Store, videos...), leave them out
+        const images = files.filter(file => file.type.startsWith('image/'));
+        const ignored = files.length - images.length;
+
+        if (images.length === 0) {
             this.showToast('error', 'Please select an image file');
             return;
         }
+        if (ignored > 0) {
+            this.showToast('error', `Skipped ${ignored} file${ignored === 1 ? '' : 's'} that ${ignored === 1 ? 'is not an image' : 'are not images'}`);
+        }
+
+        document.getElementById('drop-zone').classList.add('hidden');
+        document.getElementById('upload-preview').classList.remove('hidden');
 
+        const single = images.length === 1;
+
+        // One photo: big preview. Several: the queue list is the preview
+        const preview = document.getElementById('preview-image');
+        preview.classList.toggle('hidden', !single);
+        document.getElementById('apply-to-all-option').classList.toggle('hidden', single);
+        if (single) {
+            preview.onerror = () => {
+                this.showToast('error', 'Failed to read image file. Please try another image.');
+            };
+            preview.src = ImageUtils.objectUrl('upload-preview', images[0]);
+        }
+
+        // Keep a location the user already chose before picking the photos
+        this.ensurePendingUpload();
+
+        const queue = images.map((file, index) => ({
+            id: index,
+            file,
+            status: 'queued',
+            progress: 0,
+            error: null,
+            location: null
+        }));
+        this.uploadQueue = queue;
+        this.renderUploadQueue();
+        this.updateMetadataSource();
+
+        for (const item of queue) {
+            if (this.uploadQueue !== queue) return;  // Modal was closed or new files were picked
+            await this.prepareUploadItem(item);
+            this.updateMetadataSource();
+        }
+
+        // A single photo's EXIF position fills the form, so it can still be changed
+        const [first] = queue;
+        if (single && first.location && !this.pendingUpload.location && this.uploadQueue === queue) {
+            this.pendingUpload.location = first.location;
+            this.pendingUpload.metadataSource.location = 'exif';
+            document.getElementById('photo-location').value = first.location.locationName;
+            this.updateMetadataSource();
+        }
+    },
+
+    /**
+     * Read EXIF, build the thumbnail and look up the place name for one queued file
+     * @param {Object} item - Upload queue entry
+     */
+    async prepareUploadItem(item) {
         // Check file size (max 10MB)
         const maxSize = 10 * 1024 * 1024; // 10MB in bytes
-        if (file.size > maxSize) {
-            this.showToast('error', `Image too large! Maximum size is 10MB. Your image is ${(file.size / 1024 / 1024).toFixed(1)}MB`);
+        if (item.file.size > maxSize) {
+            this.updateQueueItem(item, {
+                status: 'error',
+                error: `Too large (${(item.file.size / 1024 / 1024).toFixed(1)}MB, max 10MB)`
+            });
             return;
         }
 
-        const reader = new FileReader();
+        try {
+            this.updateQueueItem(item, { status: 'reading', progress: 10 });
 
-        reader.onload = (e) => {
-            document.getElementById('drop-zone').classList.add('hidden');
-            document.getElementById('upload-preview').classList.remove('hidden');
-            document.getElementById('preview-image').src = e.target.result;
+            const exif = await Exif.read(item.file) || {};
+            item.orientation = exif.orientation;
+            item.timestamp = exif.dateTaken || item.file.lastModified || Date.now();
+            item.timeSource = exif.dateTaken ? 'exif' : (item.file.lastModified ? 'file' : 'now');
+            this.updateQueueItem(item, { progress: 35 });
 
-            // Store the image data
-            this.pendingUpload = {
-                photo: e.target.result,
-                timestamp: Date.now()
-            };
-        };
+            item.thumbnail = await ImageUtils.createThumbnail(item.file, item.orientation);
+            this.updateQueueItem(item, { progress: 70 });
 
-        reader.onerror = (error) => {
+            if (exif.latitude !== undefined) {
+                item.location = await GeoLocation.describeLocation(exif.latitude, exif.longitude);
+            }
+
+            this.updateQueueItem(item, { status: 'ready', progress: 100 });
+        } catch (error) {
             console.error('File read error:', error);
-            this.showToast('error', 'Failed to read image file. Please try another image.');
+            this.updateQueueItem(item, { status: 'error', error: 'Could not read this image' });
+        }
+    },
+
+    /**
+     * Create the upload form state if it doesn't exist yet
+     * (the user can pick a location before choosing any photo)
+     * @returns {Object} { location, metadataSource }
+     */
+    ensurePendingUpload() {
+        if (!this.pendingUpload) {
+            this.pendingUpload = { location: null, metadataSource: { location: null } };
+        }
+        return this.pendingUpload;
+    },
+
+    /**
+     * Check if every queued file has finished preparing
+     * @returns {boolean}
+     */
+    isUploadQueueReady() {
+        return this.uploadQueue.every(item => item.status === 'ready' || item.status === 'error');
+    },
+
+    /**
+     * Draw the upload queue list
+     */
+    renderUploadQueue() {
+        const list = document.getElementById('upload-queue-list');
+        list.innerHTML = '';
+
+        this.uploadQueue.forEach(item => {
+            item.row = document.createElement('li');
+            item.row.className = 'upload-queue-item';
+            item.row.innerHTML = `
+                <img class="upload-queue-thumb" alt="">
+                <div class="upload-queue-details">
+                    <div class="upload-queue-name">${this.escapeHtml(item.file.name)}</div>
+                    <div class="upload-queue-progress"><span></span></div>
+                    <div class="upload-queue-status"></div>
+                </div>
+            `;
+            list.appendChild(item.row);
+            this.updateQueueItem(item, {});
+        });
+
+        document.getElementById('upload-queue').classList.remove('hidden');
+    },
+
+    /**
+     * Update one queue entry and its row
+     * @param {Object} item - Upload queue entry
+     * @param {Object} changes - e.g. { status: 'ready', progress: 100 }
+     */
+    updateQueueItem(item, changes) {
+        Object.assign(item, changes);
+        if (!item.row) return;
+
+        const statusLabels = {
+            queued: 'Waiting...',
+            reading: 'Reading photo...',
+            ready: item.location ? `Ready · 📍 ${item.location.locationName}` : 'Ready',
+            saving: 'Saving...',
+            saved: '✅ Saved',
+            error: `❌ ${item.error}`
         };
 
-        reader.readAsDataURL(file);
+        item.row.classList.toggle('error', item.status === 'error');
+        item.row.querySelector('.upload-queue-progress span').style.width = `${item.progress}%`;
+        item.row.querySelector('.upload-queue-status').textContent = statusLabels[item.status];
+        if (item.thumbnail) {
+            item.row.querySelector('.upload-queue-thumb').src = ImageUtils.objectUrl(`queue-${item.id}`, item.thumbnail);
+        }
+
+        this.updateQueueSummary();
+    },
+
+    /**
+     * Update the "x of y ready" line and the save button
+     */
+    updateQueueSummary() {
+        const queue = this.uploadQueue;
+        const ready = queue.filter(item => item.status === 'ready').length;
+        const failed = queue.filter(item => item.status === 'error').length;
+        const done = this.isUploadQueueReady();
+
+        document.getElementById('upload-queue-summary').textContent = done
+            ? `${ready} of ${queue.length} ready${failed ? ` · ${failed} with errors` : ''}`
+            : `Preparing ${ready + failed + 1} of ${queue.length}...`;
+
+        const saveButton = document.getElementById('save-upload');
+        saveButton.disabled = !done || ready === 0;
+        saveButton.textContent = ready > 1 ? `Save ${ready} Memories` : 'Save Memory';
+    },
+
+    /**
+     * Show where the pending upload's time and location came from
+     */
+    updateMetadataSource() {
+        const element = document.getElementById('upload-metadata');
+        if (!element || !this.pendingUpload) return;
+
+        const { metadataSource = {} } = this.pendingUpload;
+        const queue = this.uploadQueue;
+
+        const locationLabels = {
+            exif: 'from the photo (EXIF GPS)',
+            device: 'your current GPS position',
+            map: 'picked on the map'
+        };
+
+        // ===== Several photos: summarise what the EXIF data covers =====
+        if (queue.length > 1) {
+            const withTime = queue.filter(item => item.timeSource === 'exif').length;
+            const withGps = queue.filter(item => item.location).length;
+            const shared = locationLabels[metadataSource.location] && metadataSource.location !== 'exif'
+                ? ` · the rest use ${locationLabels[metadataSource.location]}`
+                : '';
+
+            element.innerHTML = `
+                <span>🕒 ${withTime} of ${queue.length} photos have their capture time in EXIF <em>(others use the file date)</em></span>
+                <span>📍 ${withGps} of ${queue.length} photos have their own GPS position${shared}</span>
+            `;
+            return;
+        }
+
+        // ===== One photo =====
+        const [item] = queue;
+        const timeLabels = {
+            exif: 'from the photo (EXIF)',
+            file: 'file date, the photo has no EXIF time',
+            now: 'upload time'
+        };
+
+        const locationText = locationLabels[metadataSource.location]
+            ? `Location ${locationLabels[metadataSource.location]}`
+            : 'No location in the photo - add one below';
+
+        element.innerHTML = `
+            ${item && item.timestamp
+                ? `<span>🕒 ${new Date(item.timestamp).toLocaleString()} <em>(${timeLabels[item.timeSource] || timeLabels.now})</em></span>`
+                : ''}
+            <span>📍 ${locationText}</span>
+        `;
     },
 
     /**
@@ -180,6 +478,17 @@ const UI = {
         document.getElementById('photo-location').value = '';
         document.getElementById('photo-notes').value = '';
         document.getElementById('upload-file-input').value = '';
+        document.getElementById('upload-folder-input').value = '';
+        document.getElementById('upload-metadata').innerHTML = '';
+        document.getElementById('upload-queue-list').innerHTML = '';
+        document.getElementById('upload-queue').classList.add('hidden');
+        document.getElementById('apply-to-all').checked = true;
+        this.setChips('upload-tags', []);
+        this.setChips('upload-albums', []);
+        this.setVoiceNote('upload-voice', null);
+        ImageUtils.revokeObjectUrl('upload-preview');
+        this.uploadQueue.forEach(item => ImageUtils.revokeObjectUrl(`queue-${item.id}`));
+        this.uploadQueue = [];
         this.pendingUpload = null;
     },
 
@@ -203,16 +512,203 @@ const UI = {
             });
         }
 
+        this.clearLocationSearch();
+        document.getElementById('location-search').value = '';
+
         // Refresh map size
         setTimeout(() => {
             this.locationPickerMap.invalidateSize();
         }, 100);
     },
 
+    /**
+     * Setup place search in the location picker
+     * Typing shows suggestions; arrow keys move through them, Enter picks one.
+     * Providers that don't allow autocomplete (public Nominatim) search on Enter instead.
+     */
+    setupLocationSearch() {
+        const input = document.getElementById('location-search');
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            if (Geocoder.allowsAutocomplete()) {
+                this.searchTimer = setTimeout(() => this.runLocationSearch(input.value), this.searchDelay);
+            } else {
+                this.renderSearchHint(input.value);
+            }
+        });
+
+        input.addEventListener('keydown', (e) => {
+            const count = this.searchResults.length;
+
+            if (e.key === 'ArrowDown' && count) {
+                e.preventDefault();
+                this.highlightSearchResult((this.searchIndex + 1) % count);
+            } else if (e.key === 'ArrowUp' && count) {
+                e.preventDefault();
+                this.highlightSearchResult((this.searchIndex - 1 + count) % count);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                // Enter without a highlighted result takes the best match, or searches if there are none yet
+                const result = this.searchResults[Math.max(0, this.searchIndex)];
+                if (result) {
+                    this.selectSearchResult(result);
+                } else {
+                    clearTimeout(this.searchTimer);
+                    this.runLocationSearch(input.value);
+                }
+            } else if (e.key === 'Escape' && !document.getElementById('location-search-results').classList.contains('hidden')) {
+                // Close the suggestions, not the whole modal
+                e.stopPropagation();
+                this.clearLocationSearch();
+            }
+        });
+
+        input.addEventListener('blur', () => {
+            // Let a click on a suggestion land before the list disappears
+            setTimeout(() => this.clearLocationSearch(), 150);
+        });
+
+        document.getElementById('location-search-results').addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                e.preventDefault();  // Keep focus in the input
+                this.selectSearchResult(this.searchResults[Number(item.dataset.index)]);
+            }
+        });
+    },
+
+    /**
+     * Search for places and show the suggestions
+     * @param {string} query
+     */
+    async runLocationSearch(query) {
+        if (this.searchController) {
+            this.searchController.abort();
+        }
+
+        if (query.trim().length < Geocoder.minQueryLength) {
+            this.clearLocationSearch();
+            return;
+        }
+
+        const controller = new AbortController();
+        this.searchController = controller;
+
+        try {
+            const results = await Geocoder.search(query, { signal: controller.signal });
+            if (controller.signal.aborted) return;
+
+            this.searchResults = results;
+            this.searchIndex = -1;
+            this.renderSearchResults(query);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Location search error:', error);
+            this.searchResults = [];
+            this.renderSearchResults(query);
+        }
+    },
+
+    /**
+     * Drop the suggestions for an older query and say how to search this one
+     * @param {string} query
+     */
+    renderSearchHint(query) {
+        this.clearLocationSearch();
+        if (query.trim().length < Geocoder.minQueryLength) return;
+
+        const list = document.getElementById('location-search-results');
+        list.innerHTML = '<li class="location-search-empty">Press Enter to search</li>';
+        list.classList.remove('hidden');
+    },
+
+    /**
+     * Render the suggestion list under the search box
+     * @param {string} query - Shown in the "no results" message
+     */
+    renderSearchResults(query) {
+        const input = document.getElementById('location-search');
+        const list = document.getElementById('location-search-results');
+
+        if (this.searchResults.length === 0) {
+            list.innerHTML = `<li class="location-search-empty">No places found for "${this.escapeHtml(query.trim())}"</li>`;
+        } else {
+            list.innerHTML = this.searchResults.map((result, index) => `
+                <li id="location-result-${index}" class="location-search-result" role="option" data-index="${index}" aria-selected="false">
+                    <span class="location-search-name">${this.escapeHtml(result.name)}</span>
+                    <span class="location-search-label">${this.escapeHtml(result.label)}</span>
+                </li>
+            `).join('');
+        }
+
+        list.classList.remove('hidden');
+        input.setAttribute('aria-expanded', 'true');
+        input.removeAttribute('aria-activedescendant');
+    },
+
+    /**
+     * Highlight a suggestion for keyboard selection
+     * @param {number} index
+     */
+    highlightSearchResult(index) {
+        this.searchIndex = index;
+
+        document.querySelectorAll('#location-search-results .location-search-result').forEach(item => {
+            const selected = Number(item.dataset.index) === index;
+            item.classList.toggle('active', selected);
+            item.setAttribute('aria-selected', String(selected));
+            if (selected) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        document.getElementById('location-search').setAttribute('aria-activedescendant', `location-result-${index}`);
+    },
+
+    /**
+     * Move the picker to a search result and drop the marker there
+     * @param {Object} result - From Geocoder.search()
+     */
+    selectSearchResult(result) {
+        if (!this.locationPickerMap) return;
+
+        this.locationPickerMap.setView([result.latitude, result.longitude], 13);
+        this.setLocationMarker(result.latitude, result.longitude, result.label);
+
+        document.getElementById('location-search').value = result.label;
+        this.clearLocationSearch();
+    },
+
+    /**
+     * Hide the suggestions and cancel any search in flight
+     */
+    clearLocationSearch() {
+        clearTimeout(this.searchTimer);
+        if (this.searchController) {
+            this.searchController.abort();
+            this.searchController = null;
+        }
+
+        this.searchResults = [];
+        this.searchIndex = -1;
+
+        const list = document.getElementById('location-search-results');
+        list.innerHTML = '';
+        list.classList.add('hidden');
+
+        const input = document.getElementById('location-search');
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    },
+
     /**
      * Set location marker on picker map
+     * @param {number} lat
+     * @param {number} lng
+     * @param {string} locationName - Optional; looked up from the coordinates when missing
      */
-    setLocationMarker(lat, lng) {
+    setLocationMarker(lat, lng, locationName) {
         // Remove existing marker
         if (this.locationMarker) {
             this.locationPickerMap.removeLayer(this.locationMarker);
@@ -222,6 +718,11 @@ const UI = {
         this.locationMarker = L.marker([lat, lng]).addTo(this.locationPickerMap);
         this.selectedLocation = { latitude: lat, longitude: lng };
 
+        if (locationName) {
+            this.selectedLocation.locationName = locationName;
+            return;
+        }
+
         // Try to get location name
         this.geocodeLocation(lat, lng);
     },
@@ -232,9 +733,195 @@ const UI = {
     async geocodeLocation(lat, lng) {
         try {
             const locationName = await GeoLocation.reverseGeocode(lat, lng);
-            this.selectedLocation.locationName = locationName || `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+            this.selectedLocation.locationName = locationName || GeoLocation.coordinateName(lat, lng);
         } catch (error) {
-            this.selectedLocation.locationName = `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+            this.selectedLocation.locationName = GeoLocation.coordinateName(lat, lng);
+        }
+    },
+
+    /**
+     * Setup the chip inputs used for tags and albums
+     * Enter or a comma turns the typed text into a chip, Backspace in an empty input removes the last one
+     */
+    setupChipInputs() {
+        document.querySelectorAll('.chip-input').forEach(container => {
+            const id = container.id;
+            const input = container.querySelector('input');
+            this.chips[id] = [];
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ',') {
+                    e.preventDefault();
+                    this.commitChipText(id);
+                } else if (e.key === 'Backspace' && !input.value && this.chips[id].length) {
+                    this.setChips(id, this.chips[id].slice(0, -1));
+                }
+            });
+
+            // Picking a suggestion from the datalist fires input without a key press
+            input.addEventListener('change', () => this.commitChipText(id));
+
+            container.addEventListener('click', (e) => {
+                const remove = e.target.closest('.chip-remove');
+                if (remove) {
+                    this.setChips(id, this.chips[id].filter((_, index) => index !== Number(remove.dataset.index)));
+                } else {
+                    input.focus();
+                }
+            });
+        });
+    },
+
+    /**
+     * Turn the text typed in a chip input into a chip
+     * @param {string} id - The .chip-input element id
+     */
+    commitChipText(id) {
+        const input = document.querySelector(`#${id} input`);
+        const names = input.value.split(',').map(name => name.trim()).filter(Boolean);
+        input.value = '';
+
+        // Same name in another case is the same tag
+        const known = new Set(this.chips[id].map(name => name.toLowerCase()));
+        const added = names.filter(name => !known.has(name.toLowerCase()) && known.add(name.toLowerCase()));
+        if (added.length) {
+            this.setChips(id, [...this.chips[id], ...added]);
+        }
+    },
+
+    /**
+     * Replace the chips of a chip input
+     * @param {string} id - The .chip-input element id
+     * @param {Array<string>} names
+     */
+    setChips(id, names) {
+        this.chips[id] = [...names];
+
+        const container = document.getElementById(id);
+        container.querySelectorAll('.chip').forEach(chip => chip.remove());
+        container.querySelector('input').insertAdjacentHTML('beforebegin', names.map((name, index) => `
+            <span class="chip">${this.escapeHtml(name)}<button type="button" class="chip-remove" data-index="${index}" aria-label="Remove ${this.escapeHtml(name)}">&times;</button></span>
+        `).join(''));
+    },
+
+    /**
+     * Names in a chip input, including text typed but not yet turned into a chip
+     * @param {string} id - The .chip-input element id
+     * @returns {Array<string>}
+     */
+    getChips(id) {
+        this.commitChipText(id);
+        return [...this.chips[id]];
+    },
+
+    /**
+     * Fill a <datalist> with names to suggest
+     * @param {string} id - The datalist id
+     * @param {Array<string>} names
+     */
+    setSuggestions(id, names) {
+        document.getElementById(id).innerHTML = names
+            .map(name => `<option value="${this.escapeHtml(name)}"></option>`).join('');
+    },
+
+    /**
+     * Setup the voice note fields of the upload and edit forms
+     * The record button starts and stops recording; the note is kept until the form is saved
+     */
+    setupVoiceNotes() {
+        document.querySelectorAll('.voice-note').forEach(container => {
+            const id = container.id;
+            this.voiceNotes[id] = { note: null, changed: false };
+
+            container.querySelector('.voice-record').addEventListener('click', () => this.recordVoiceNote(id));
+            container.querySelector('.voice-remove').addEventListener('click', () => this.setVoiceNote(id, null, true));
+            this.renderVoiceNote(id);
+        });
+    },
+
+    /**
+     * Record a voice note into a voice note field, or stop the recording running
+     * @param {string} id - The .voice-note element id
+     */
+    async recordVoiceNote(id) {
+        if (Voice.isRecording()) {
+            Voice.stop();
+            return;
+        }
+
+        const container = document.getElementById(id);
+        const button = container.querySelector('.voice-record');
+        const status = container.querySelector('.voice-status');
+        button.disabled = true;  // Until the microphone is open
+
+        try {
+            const note = await Voice.record((seconds) => {
+                if (seconds === 0) this.renderVoiceNote(id);
+                status.textContent = `Recording ${this.formatClock(seconds)} / ${this.formatClock(Voice.maxSeconds)}`;
+            });
+            if (note) {
+                this.setVoiceNote(id, note, true);
+            }
+        } catch (error) {
+            console.error('Voice note error:', error);
+            this.showToast('error', error.name === 'NotAllowedError'
+                ? 'Microphone access was denied. Please allow it to record voice notes.'
+                : 'Could not record a voice note');
+        } finally {
+            this.renderVoiceNote(id);
+        }
+    },
+
+    /**
+     * Replace the voice note of a voice note field
+     * @param {string} id - The .voice-note element id
+     * @param {Object|null} note - { data: Blob, duration }
+     * @param {boolean} changed - Whether the user recorded or removed it (false when loading a saved one)
+     */
+    setVoiceNote(id, note, changed = false) {
+        this.voiceNotes[id] = { note, changed };
+        this.renderVoiceNote(id);
+    },
+
+    /**
+     * The voice note of a voice note field
+     * @param {string} id - The .voice-note element id
+     * @returns {Object} { note, changed }
+     */
+    getVoiceNote(id) {
+        return { ...this.voiceNotes[id] };
+    },
+
+    /**
+     * Show a voice note field's state: recording, a note to play back, or empty
+     * @param {string} id - The .voice-note element id
+     */
+    renderVoiceNote(id) {
+        const { note } = this.voiceNotes[id];
+        const container = document.getElementById(id);
+        const button = container.querySelector('.voice-record');
+        const preview = container.querySelector('.voice-preview');
+        const recording = Voice.isRecording();
+
+        button.disabled = false;
+        button.classList.toggle('hidden', !Voice.isSupported());
+        button.classList.toggle('recording', recording);
+        button.textContent = recording ? '⏹️ Stop' : (note ? '🎙️ Record again' : '🎙️ Record');
+        container.querySelector('.voice-remove').classList.toggle('hidden', !note || recording);
+
+        if (!recording) {
+            container.querySelector('.voice-status').textContent = note
+                ? this.formatClock(note.duration)
+                : (Voice.isSupported() ? 'No voice note' : 'Voice notes can\'t be recorded in this browser');
+        }
+
+        preview.classList.toggle('hidden', !note || recording);
+        if (note) {
+            preview.src = ImageUtils.objectUrl(id, note.data);
+        } else {
+            preview.pause();
+            preview.removeAttribute('src');
+            ImageUtils.revokeObjectUrl(id);
         }
     },
 
@@ -247,29 +934,84 @@ const UI = {
 
     /**
      * Show toast notification
+     * @param {string} type - 'success', 'warning' or 'error'
+     * @param {string} message - HTML
+     * @param {number} duration - ms before it disappears
+     * @param {Object} action - Optional button: { label, onClick }
      */
-    showToast(type, message, duration = 3000) {
+    showToast(type, message, duration = 3000, action = null) {
         const container = document.getElementById('toast-container');
 
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
 
-        const icon = type === 'success' ? '✅' : '❌';
+        const icons = { success: '✅', warning: '⚠️', error: '❌' };
+        const icon = icons[type] || icons.error;
 
         toast.innerHTML = `
             <span class="toast-icon">${icon}</span>
             <span class="toast-message">${message}</span>
         `;
 
-        container.appendChild(toast);
-
-        // Auto remove
-        setTimeout(() => {
+        const remove = () => {
             toast.style.opacity = '0';
             setTimeout(() => {
-                container.removeChild(toast);
+                if (toast.parentNode) {
+                    container.removeChild(toast);
+                }
             }, 300);
-        }, duration);
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                remove();
+                action.onClick();
+            }, { once: true });
+            toast.appendChild(button);
+        }
+
+        container.appendChild(toast);
+
+        // Auto remove
+        setTimeout(remove, duration);
+    },
+
+    /**
+     * Escape text before it goes into innerHTML
+     * Memories can come from imported files, so never trust their text
+     */
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
+    },
+
+    /**
+     * Format a length of time as a clock, e.g. 0:07 or 12:45
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatClock(seconds) {
+        const total = Math.max(0, Math.round(seconds || 0));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Format a size in bytes for people, e.g. 2.4 MB
+     */
+    formatBytes(bytes) {
+        if (!Number.isFinite(bytes) || bytes < 1024) return `${Math.max(0, Math.round(bytes || 0))} B`;
+
+        const units = ['KB', 'MB', 'GB', 'TB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
     },
 
     /**
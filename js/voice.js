@@ -0,0 +1,145 @@
+/**
+ * Voice Module
+ * Records voice notes from the microphone with MediaRecorder, and plays them back
+ *
+ * Only one note records or plays at a time, so a single recorder and a
+ * single <audio> element are shared by the whole app.
+ */
+
+const Voice = {
+    maxSeconds: 120,        // Recording stops by itself after this long
+    recording: null,        // { recorder, stream, chunks, startedAt, interval, cancelled } while recording
+    player: null,           // Shared Audio element
+    playingKey: null,       // Which note the player has loaded
+
+    /**
+     * The first audio format this browser can record, null if it can't record at all
+     * @returns {string|null}
+     */
+    mimeType() {
+        if (typeof MediaRecorder === 'undefined' || !navigator.mediaDevices) return null;
+
+        const types = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    },
+
+    /**
+     * @returns {boolean} Whether voice notes can be recorded here
+     */
+    isSupported() {
+        return this.mimeType() !== null;
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording !== null;
+    },
+
+    /**
+     * Record from the microphone until stop(), cancel() or maxSeconds
+     * @param {Function} onTick - Optional, called with the seconds recorded so far
+     * @returns {Promise<Object|null>} { data: Blob, duration (s) }, null if cancelled
+     * @throws {Error} If recording isn't supported or the microphone is refused
+     */
+    async record(onTick) {
+        const mimeType = this.mimeType();
+        if (!mimeType) throw new Error('Voice recording is not supported by this browser');
+        if (this.isRecording()) throw new Error('Already recording');
+
+        this.stopPlayback();
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const recording = { recorder, stream, chunks: [], startedAt: Date.now(), cancelled: false };
+        this.recording = recording;
+
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                clearInterval(recording.interval);
+                stream.getTracks().forEach(track => track.stop());  // Turns the mic indicator off
+                this.recording = null;
+            };
+
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) recording.chunks.push(event.data);
+            };
+
+            recorder.onstop = () => {
+                finish();
+                resolve(recording.cancelled ? null : {
+                    data: new Blob(recording.chunks, { type: mimeType }),
+                    duration: (Date.now() - recording.startedAt) / 1000
+                });
+            };
+
+            recorder.onerror = (event) => {
+                finish();
+                reject(event.error || new Error('Recording failed'));
+            };
+
+            recorder.start();
+            if (onTick) onTick(0);
+
+            recording.interval = setInterval(() => {
+                const seconds = (Date.now() - recording.startedAt) / 1000;
+                if (seconds >= this.maxSeconds) {
+                    this.stop();
+                } else if (onTick) {
+                    onTick(seconds);
+                }
+            }, 250);
+        });
+    },
+
+    /**
+     * Stop recording; record() resolves with the note
+     */
+    stop() {
+        if (this.recording && this.recording.recorder.state !== 'inactive') {
+            this.recording.recorder.stop();
+        }
+    },
+
+    /**
+     * Stop recording and throw the note away; record() resolves with null
+     */
+    cancel() {
+        if (this.recording) {
+            this.recording.cancelled = true;
+            this.stop();
+        }
+    },
+
+    /**
+     * Play a note, or pause it if it is the one playing
+     * @param {string} key - Stable name for the note, e.g. "voice-12"
+     * @param {Blob} blob
+     */
+    toggle(key, blob) {
+        if (!this.player) {
+            this.player = new Audio();
+            this.player.addEventListener('ended', () => { this.playingKey = null; });
+        }
+
+        if (this.playingKey === key && !this.player.paused) {
+            this.stopPlayback();
+            return;
+        }
+
+        this.player.src = ImageUtils.objectUrl('voice-playing', blob);
+        this.playingKey = key;
+        this.player.play().catch(error => {
+            console.error('Voice note playback error:', error);
+            this.playingKey = null;
+        });
+    },
+
+    /**
+     * Stop whatever note is playing
+     */
+    stopPlayback() {
+        if (this.player) this.player.pause();
+        this.playingKey = null;
+    }
+};
@@ -0,0 +1,185 @@
+/**
+ * ZIP Module
+ * Minimal ZIP archive writer and reader that runs entirely in the browser
+ *
+ * Writing uses the "stored" method (no compression) - photos are already
+ * compressed, so deflating them again would only cost time.
+ * Reading supports stored entries and, where the browser has
+ * DecompressionStream, deflated ones (archives re-zipped by other tools).
+ */
+
+const Zip = {
+    crcTable: null,   // Built on first use
+
+    /**
+     * CRC-32 checksum, required for every file in the archive
+     * @param {Uint8Array} bytes
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Convert a Date into the MS-DOS time and date fields ZIP uses
+     * @param {Date} date
+     * @returns {Object} { time, date }
+     */
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    /**
+     * Build a ZIP archive
+     * @param {Array} files - [{ name, data: Blob|string, date: Date }]
+     * @returns {Promise<Blob>} application/zip
+     */
+    async create(files) {
+        const encoder = new TextEncoder();
+        const parts = [];            // Local headers + file data, in order
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const data = typeof file.data === 'string'
+                ? new Blob([encoder.encode(file.data)])
+                : file.data;
+            const bytes = new Uint8Array(await data.arrayBuffer());
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(bytes);
+            const { time, date } = this.dosDateTime(file.date || new Date());
+
+            // ===== Local file header (30 bytes + name) =====
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);   // Signature
+            local.setUint16(4, 20, true);           // Version needed (2.0)
+            local.setUint16(6, 0x0800, true);       // Flags: names are UTF-8
+            local.setUint16(8, 0, true);            // Method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, bytes.length, true); // Compressed size
+            local.setUint32(22, bytes.length, true); // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);           // Extra field length
+
+            parts.push(local, name, data);
+
+            // ===== Central directory entry (46 bytes + name) =====
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, bytes.length, true);
+            central.setUint32(24, bytes.length, true);
+            central.setUint16(28, name.length, true);
+            // Extra, comment, disk number, attributes: all zero
+            central.setUint32(42, offset, true);    // Where the local header starts
+
+            centralDirectory.push(central, name);
+            offset += 30 + name.length + bytes.length;
+        }
+
+        const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+        // ===== End of central directory record (22 bytes) =====
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);       // Entries on this disk
+        end.setUint16(10, files.length, true);      // Entries in total
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);            // Central directory offset
+
+        return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+    },
+
+    /**
+     * Read the files out of a ZIP archive
+     * @param {Blob} blob - The archive
+     * @returns {Promise<Map<string, Blob>>} File name -> contents
+     */
+    async read(blob) {
+        const buffer = await blob.arrayBuffer();
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+
+        // ===== Find the end of central directory record =====
+        // It sits at the very end, followed by an optional comment (max 64KB)
+        let endOffset = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        if (pointer === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const files = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+
+            pointer += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;  // Folder entry
+
+            // The local header can have a different extra field than the central one
+            const dataStart = localOffset + 30
+                + view.getUint16(localOffset + 26, true)
+                + view.getUint16(localOffset + 28, true);
+            const data = blob.slice(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                files.set(name, data);
+            } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+                const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                files.set(name, await new Response(stream).blob());
+            } else {
+                console.warn(`⚠️ Skipping ${name}: unsupported compression method ${method}`);
+            }
+        }
+
+        return files;
+    }
+};
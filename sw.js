@@ -24,9 +24,16 @@
 // CACHE NAMES - Version control for cached files
 // ============================================================================
 
+// Bump the static cache version whenever STATIC_ASSETS or any of those files change:
+// install then fills a fresh cache instead of overwriting the one the old worker
+// still serves from, and activate deletes the old one
 const CACHE_NAME = 'geosnap-v1';           // Main cache name
-const STATIC_CACHE = 'geosnap-static-v1';  // For HTML, CSS, JS files
+const STATIC_CACHE = 'geosnap-static-v4';  // For HTML, CSS, JS files
 const DYNAMIC_CACHE = 'geosnap-dynamic-v1'; // For API responses and dynamic content
+const TILE_CACHE = 'geosnap-tiles-v1';     // Map tiles of regions downloaded for offline use
+
+// Tile arithmetic, shared with the page so both agree on a region's tiles
+importScripts('/js/tiles.js');
 
 // ============================================================================
 // STATIC ASSETS - Files to cache immediately for offline use
@@ -38,9 +45,21 @@ const STATIC_ASSETS = [
     '/css/main.css',               // Main styles
     '/css/views.css',              // View-specific styles
     '/js/app.js',                  // Main app logic
+    '/js/images.js',               // Blob, thumbnail and object URL helpers
+    '/js/export.js',               // GPX / KML / ZIP export
+    '/js/zip.js',                  // In-browser ZIP writer and reader
+    '/js/exif.js',                 // Photo EXIF metadata (GPS, capture time)
     '/js/storage.js',              // IndexedDB operations
     '/js/geolocation.js',          // GPS functionality
+    '/js/geocoder.js',             // Place name search
+    '/js/gazetteer.js',            // Offline place names
+    '/js/search.js',               // Full-text search index
+    '/js/tracker.js',              // GPS track recording
+    '/js/tiles.js',                // Map tile arithmetic (offline regions)
+    '/data/gazetteer.json',        // Cities for offline place names (GeoNames)
     '/js/camera.js',               // Camera API
+    '/js/voice.js',                // Voice note recording & playback
+    '/js/editor.js',               // Photo editor (crop, rotate, colours)
     '/js/map.js',                  // Map integration
     '/js/ui.js',                   // UI utilities
     '/manifest.json',              // PWA manifest
@@ -93,7 +112,8 @@ self.addEventListener('activate', (event) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
                         // If cache name doesn't match current version, delete it
-                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
+                        // (downloaded regions are kept: the user chose to save them)
+                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE && cacheName !== TILE_CACHE) {
                             console.log('[Service Worker] 🗑️ Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -136,9 +156,14 @@ self.addEventListener('fetch', (event) => {
         // Why? These files rarely change, serving from cache is fastest
         event.respondWith(cacheFirst(request));
     }
-    else if (url.hostname === 'unpkg.com' || url.hostname.includes('tile.openstreetmap.org')) {
-        // STRATEGY: Cache First for external libraries and map tiles
-        // Why? Leaflet.js and map tiles don't change, save bandwidth
+    else if (url.hostname.includes('tile.openstreetmap.org')) {
+        // STRATEGY: Downloaded regions, then Cache First for map tiles
+        // Why? Map tiles don't change, save bandwidth
+        event.respondWith(tileFirst(request));
+    }
+    else if (url.hostname === 'unpkg.com') {
+        // STRATEGY: Cache First for external libraries
+        // Why? A pinned Leaflet.js version never changes
         event.respondWith(cacheFirst(request));
     }
     else if (url.hostname === 'nominatim.openstreetmap.org') {
@@ -147,9 +172,10 @@ self.addEventListener('fetch', (event) => {
         event.respondWith(networkFirst(request));
     }
     else {
-        // STRATEGY: Network First for everything else
-        // Why? Default to fresh content, use cache only if offline
-        event.respondWith(networkFirst(request));
+        // STRATEGY: Downloaded regions, then Network First for everything else
+        // Why? Default to fresh content, use cache only if offline. Offline map tiles
+        // come from the server set in settings, so they can't be told by hostname
+        event.respondWith(savedTileOrNetworkFirst(request));
     }
 });
 
@@ -208,6 +234,34 @@ async function cacheFirst(request) {
     }
 }
 
+// ============================================================================
+// TILE FIRST STRATEGY
+// ============================================================================
+/**
+ * Serve a map tile from a downloaded region if it has it, else Cache First
+ * Regions are saved under one server name (see Tiles.cacheKey), while
+ * Leaflet may ask a., b. or c.tile.openstreetmap.org for the same tile
+ */
+async function tileFirst(request) {
+    const key = Tiles.cacheKey(request.url);
+    const saved = key && await caches.match(key, { cacheName: TILE_CACHE });
+
+    if (saved) {
+        return saved;
+    }
+
+    return cacheFirst(request);
+}
+
+/**
+ * Serve a tile of a downloaded region if the request is one, else Network First
+ * Regions from the tile server set in settings are saved under the exact URLs the map asks for
+ */
+async function savedTileOrNetworkFirst(request) {
+    const saved = await caches.match(request.url, { cacheName: TILE_CACHE });
+    return saved || networkFirst(request);
+}
+
 // ============================================================================
 // NETWORK FIRST STRATEGY
 // ============================================================================
@@ -269,6 +323,158 @@ async function networkFirst(request) {
     }
 }
 
+// ============================================================================
+// OFFLINE MAP REGIONS - Download the tiles of an area ahead of a trip
+// ============================================================================
+/**
+ * The page asks with postMessage and hears back about progress the same way:
+ *
+ *   page → SW: { type: 'download-region', region, maxBytes }
+ *              { type: 'cancel-region', id }
+ *              { type: 'delete-region', region, keep }
+ *   SW → page: { type: 'region-progress', id, done, total, bytes }
+ *              { type: 'region-finished', id, status, done, failed, total, bytes }
+ *              { type: 'region-deleted', id }
+ *
+ * A cancel for a region with no download running (the browser stopped the worker
+ * halfway) is answered with a 'region-finished' without counts, so the page stops waiting.
+ *
+ * A region is { id, bounds, minZoom, maxZoom, urlTemplate }; the page keeps the list in IndexedDB.
+ * Regions saved before the tile server setting have no urlTemplate: their tiles came
+ * from OpenStreetMap and can still be served and deleted, but not downloaded again.
+ */
+
+const TILE_DOWNLOADS = 2;          // Tiles fetched at once, kept low for the tile servers
+const cancelledRegions = new Set();
+const runningRegions = new Map();  // Region id -> Promise of its download
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'download-region') {
+        const id = message.region.id;
+        if (runningRegions.has(id)) return;  // Resumed from another tab, or twice
+
+        const download = downloadRegion(message.region, message.maxBytes)
+            .finally(() => runningRegions.delete(id));
+        runningRegions.set(id, download);
+        event.waitUntil(download);
+    } else if (message.type === 'cancel-region') {
+        if (runningRegions.has(message.id)) {
+            cancelledRegions.add(message.id);
+        } else {
+            event.waitUntil(notifyClients({ type: 'region-finished', id: message.id, status: 'cancelled' }));
+        }
+    } else if (message.type === 'delete-region') {
+        event.waitUntil(deleteRegion(message.region, message.keep || []));
+    }
+});
+
+/**
+ * Send a message to every open GeoSnap tab
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Fetch every tile of a region into TILE_CACHE, skipping the ones already there
+ * Stops early when cancelled or when the region would go over maxBytes
+ */
+async function downloadRegion(region, maxBytes) {
+    // The page checks too, but this is the code that would flood someone's tile server:
+    // Tiles.downloadUrls() refuses OpenStreetMap and too many tiles, and stops at Tiles.maxZoom
+    let urls;
+    try {
+        urls = Tiles.downloadUrls(region);
+    } catch (error) {
+        console.warn(`[Service Worker] ⚠️ Not downloading region ${region.id}: ${error.message}`);
+        await notifyClients({ type: 'region-finished', id: region.id, status: 'cancelled' });
+        return;
+    }
+    const limit = Number.isFinite(maxBytes) ? Math.min(maxBytes, Tiles.maxBytes) : Tiles.maxBytes;
+
+    const cache = await caches.open(TILE_CACHE);
+    const progress = { id: region.id, done: 0, failed: 0, total: urls.length, bytes: 0 };
+    let next = 0;
+    let status = 'complete';
+
+    cancelledRegions.delete(region.id);
+    console.log(`[Service Worker] 🗺️ Downloading region ${region.id}: ${urls.length} tiles`);
+
+    const worker = async () => {
+        while (next < urls.length && status === 'complete') {
+            if (progress.bytes >= limit) {
+                status = 'full';
+                break;
+            }
+            const url = urls[next++];
+
+            try {
+                const cached = await cache.match(url);
+                if (cached) {
+                    progress.bytes += Number(cached.headers.get('Content-Length')) || Tiles.averageTileBytes;
+                } else {
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    // Await before adding: the other worker updates progress.bytes meanwhile
+                    const size = (await response.clone().blob()).size;
+                    progress.bytes += size;
+                    await cache.put(url, response);
+                }
+                progress.done++;
+            } catch (error) {
+                console.warn('[Service Worker] Tile failed:', url, error);
+                progress.failed++;
+            }
+
+            if (cancelledRegions.has(region.id)) {
+                status = 'cancelled';
+            } else if (progress.bytes >= limit) {
+                status = 'full';
+            }
+
+            // Every tile would flood the page with messages
+            if ((progress.done + progress.failed) % 10 === 0) {
+                notifyClients({ type: 'region-progress', ...progress });
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: TILE_DOWNLOADS }, worker));
+
+    if (status === 'complete' && progress.failed > 0) {
+        status = 'partial';
+    }
+    cancelledRegions.delete(region.id);
+
+    console.log(`[Service Worker] ✅ Region ${region.id} ${status}: ${progress.done}/${progress.total} tiles`);
+    await notifyClients({ type: 'region-finished', status, ...progress });
+}
+
+/**
+ * Remove a region's tiles, except the ones other saved regions also cover
+ */
+async function deleteRegion(region, keep) {
+    // Stop its download first, or tiles would keep arriving after the delete
+    const running = runningRegions.get(region.id);
+    if (running) {
+        cancelledRegions.add(region.id);
+        await running;
+    }
+
+    const cache = await caches.open(TILE_CACHE);
+    const kept = new Set(keep.flatMap(other => Tiles.urls(other)));
+
+    await Promise.all(Tiles.urls(region)
+        .filter(url => !kept.has(url))
+        .map(url => cache.delete(url)));
+
+    console.log(`[Service Worker] 🗑️ Region ${region.id} deleted`);
+    await notifyClients({ type: 'region-deleted', id: region.id });
+}
+
 // ============================================================================
 // BACKGROUND SYNC (Future Enhancement - Not implemented yet)
 // ============================================================================
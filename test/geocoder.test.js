@@ -0,0 +1,233 @@
+/**
+ * Geocoder
+ * Uses the mock provider and small stand-ins for the gazetteer, so nothing
+ * here touches the network.
+ *
+ * Results are built inside the scripts' context, so they are compared by
+ * value (Array.from, spreading), not against this realm's prototypes.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+/**
+ * A Geocoder with a small offline city list and a Storage that records place cache calls
+ * @param {Object} globals - Extra globals, e.g. { navigator: { onLine: false } }
+ * @returns {Object} { Geocoder, cacheCalls, placeCache } - placeCache is the key -> place Map behind Storage
+ */
+function loadGeocoder(globals = {}) {
+    const cacheCalls = [];
+    const placeCache = new Map();
+    const get = loadScripts(['gazetteer', 'geocoder'], {
+        Storage: {
+            getCachedPlace: async (key) => { cacheCalls.push(['get', key]); return placeCache.get(key) ?? null; },
+            cachePlace: async (key, place) => { cacheCalls.push(['put', key]); placeCache.set(key, place); }
+        },
+        ...globals
+    });
+
+    get('Gazetteer').places = [
+        { name: 'Lisbon', countryCode: 'PT', latitude: 38.717, longitude: -9.133, population: 517802 },
+        { name: 'Zürich', countryCode: 'CH', latitude: 47.367, longitude: 8.55, population: 341730 }
+    ];
+
+    return { Geocoder: get('Geocoder'), cacheCalls, placeCache };
+}
+
+test('the mock provider answers searches from its places', async () => {
+    const { Geocoder } = loadGeocoder();
+    Geocoder.use('mock');
+    Geocoder.providers.mock.places = [
+        { name: 'Testville', country: 'Mockland', countryCode: 'ML', latitude: 10, longitude: 20 },
+        { name: 'Otherton', country: 'Mockland', countryCode: 'ML', latitude: -5, longitude: 3 }
+    ];
+
+    const results = await Geocoder.search('testv');
+    assert.equal(results.length, 1);
+    assert.deepEqual({ ...results[0] }, {
+        name: 'Testville',
+        label: 'Testville, Mockland',
+        latitude: 10,
+        longitude: 20,
+        type: 'city'
+    });
+
+    assert.equal((await Geocoder.search('ton', { limit: 5 })).length, 1);
+    assert.equal((await Geocoder.search('t')).length, 0);  // Below minQueryLength
+});
+
+test('the mock provider names the nearest of its places, without caching', async () => {
+    const { Geocoder, cacheCalls } = loadGeocoder();
+    Geocoder.use('mock');
+    Geocoder.providers.mock.places = [
+        { name: 'Testville', country: 'Mockland', countryCode: 'ml', latitude: 10, longitude: 20 },
+        { name: 'Otherton', country: 'Mockland', countryCode: 'ml', latitude: -5, longitude: 3 }
+    ];
+
+    const place = await Geocoder.reverse(-4.9, 3.1);
+    assert.equal(place.locationName, 'Otherton, Mockland');
+    assert.equal(place.address.city, 'Otherton');
+    assert.equal(place.address.countryCode, 'ML');
+
+    assert.deepEqual(cacheCalls, []);  // cacheable: false
+
+    await Geocoder.reverse(-4.9, 3.1);
+    await new Promise(resolve => setTimeout(resolve, 0));  // cachePlace() isn't awaited by reverse()
+    assert.deepEqual(cacheCalls, []);
+});
+
+test('a cached place is answered without asking the provider', async () => {
+    let fetches = 0;
+    const { Geocoder, cacheCalls, placeCache } = loadGeocoder({
+        fetch: async () => { fetches++; throw new Error('Geocoding API error: 503'); }
+    });
+    const key = Geocoder.cacheKey(47.3669, 8.5501);
+    const cached = { locationName: 'Zürich, Switzerland', address: { city: 'Zürich', countryCode: 'CH' } };
+    placeCache.set(key, cached);
+
+    assert.equal(await Geocoder.reverse(47.3669, 8.5501), cached);  // Nominatim, cacheable
+    assert.equal(fetches, 0);
+    assert.deepEqual(cacheCalls, [['get', key]]);
+});
+
+test('an uncached place is looked up once, then cached', async () => {
+    const urls = [];
+    const { Geocoder, cacheCalls, placeCache } = loadGeocoder({
+        fetch: async (url) => {
+            urls.push(url);
+            return {
+                ok: true,
+                json: async () => ({ address: { city: 'Lisbon', country: 'Portugal', country_code: 'pt' } })
+            };
+        }
+    });
+    const key = Geocoder.cacheKey(38.7169, -9.1399);
+
+    const place = await Geocoder.reverse(38.7169, -9.1399);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.equal(place.locationName, 'Lisbon, Portugal');
+    assert.equal(urls.length, 1);
+    assert.match(urls[0], /\/reverse\?/);
+    assert.deepEqual(cacheCalls, [['get', key], ['put', key]]);
+    assert.equal(placeCache.get(key), place);
+});
+
+test('use() refuses providers that are not registered', () => {
+    const { Geocoder } = loadGeocoder();
+
+    assert.throws(() => Geocoder.use('nope'), { message: 'Unknown geocoding provider: nope' });
+    assert.equal(Geocoder.active, 'nominatim');
+});
+
+test('settings never offer or restore the mock provider', () => {
+    const { Geocoder } = loadGeocoder({
+        localStorage: {
+            getItem: () => JSON.stringify({ provider: 'mock', customUrl: '' })
+        }
+    });
+
+    assert.deepEqual(Array.from(Geocoder.selectableProviders()), ['nominatim', 'photon', 'custom']);
+
+    Geocoder.loadSettings();
+    assert.equal(Geocoder.active, 'nominatim');
+});
+
+test('only providers that allow it are searched while typing', () => {
+    const { Geocoder } = loadGeocoder();
+
+    assert.equal(Geocoder.allowsAutocomplete(), false);  // Public Nominatim
+
+    Geocoder.use('photon');
+    assert.equal(Geocoder.allowsAutocomplete(), true);
+
+    Geocoder.setCustomUrl('https://geocode.example.com');
+    Geocoder.use('custom');
+    assert.equal(Geocoder.allowsAutocomplete(), true);
+});
+
+test('offline, the city list is searched while typing whatever the provider', () => {
+    const { Geocoder } = loadGeocoder({ navigator: { onLine: false } });
+    assert.equal(Geocoder.active, 'nominatim');
+    assert.equal(Geocoder.allowsAutocomplete(), true);
+});
+
+test('a failing provider falls back to the offline city list', async () => {
+    const { Geocoder } = loadGeocoder();
+    let calls = 0;
+    Geocoder.register('broken', {
+        label: 'Broken',
+        minInterval: 0,
+        async search() {
+            calls++;
+            throw new Error('Geocoding API error: 503');
+        }
+    });
+    Geocoder.use('broken');
+
+    const results = await Geocoder.search('zur');
+    assert.equal(calls, 1);
+    assert.deepEqual(Array.from(results, result => result.name), ['Zürich']);
+});
+
+test('offline, searches go straight to the offline city list', async () => {
+    const { Geocoder } = loadGeocoder({ navigator: { onLine: false } });
+    Geocoder.use('mock');
+    Geocoder.providers.mock.search = async () => assert.fail('The active provider was called');
+
+    const results = await Geocoder.search('lis');
+    assert.deepEqual(Array.from(results, result => result.name), ['Lisbon']);
+});
+
+test('a cancelled search is not answered by the fallback', async () => {
+    const { Geocoder } = loadGeocoder();
+    Geocoder.use('mock');
+    Geocoder.providers.mock.search = async () => {
+        throw new DOMException('Cancelled', 'AbortError');
+    };
+
+    await assert.rejects(Geocoder.search('lis'), { name: 'AbortError' });
+});
+
+test('schedule() runs requests one at a time, minInterval apart', async () => {
+    const { Geocoder } = loadGeocoder();
+    Geocoder.register('slow', { label: 'Slow', minInterval: 50 });
+
+    const started = [];
+    let running = 0;
+    const task = (value) => async () => {
+        assert.equal(running, 0, 'Two requests ran at once');
+        running++;
+        started.push(Date.now());
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return value;
+    };
+
+    const results = await Promise.all([1, 2, 3].map(value => Geocoder.schedule('slow', task(value))));
+
+    assert.deepEqual(results, [1, 2, 3]);
+    for (let i = 1; i < started.length; i++) {
+        // A little slack for timer granularity
+        assert.ok(started[i] - started[i - 1] >= 45, `Requests ${i} and ${i + 1} were ${started[i] - started[i - 1]} ms apart`);
+    }
+});
+
+test('schedule() keeps going after a failure and skips aborted requests', async () => {
+    const { Geocoder } = loadGeocoder();
+    Geocoder.register('slow', { label: 'Slow', minInterval: 20 });
+
+    const controller = new AbortController();
+    let abortedTaskRan = false;
+
+    const failed = Geocoder.schedule('slow', async () => { throw new Error('boom'); });
+    const aborted = Geocoder.schedule('slow', async () => { abortedTaskRan = true; }, controller.signal);
+    const next = Geocoder.schedule('slow', async () => 'ok');
+    controller.abort();
+
+    await assert.rejects(failed, { message: 'boom' });
+    await assert.rejects(aborted, { name: 'AbortError' });
+    assert.equal(await next, 'ok');
+    assert.equal(abortedTaskRan, false);
+});
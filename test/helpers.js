@@ -0,0 +1,72 @@
+/**
+ * Test helpers
+ * The app's modules are plain browser scripts sharing globals, so tests load
+ * them the way index.html does: one after another into a shared context.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+// Console that keeps the modules' progress logs out of the test output
+const quietConsole = { ...console, log() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Load scripts from js/ into a fresh context
+ * @param {Array<string>} names - File names without .js, in index.html order
+ * @param {Object} globals - Extra globals (they win over the defaults below)
+ * @returns {Function} Evaluates an expression in the context, e.g. get('Storage')
+ */
+function loadScripts(names, globals = {}) {
+    const context = vm.createContext({
+        console: quietConsole,
+        indexedDB: new IDBFactory(),  // A new, empty IndexedDB per context
+        IDBKeyRange,
+        Blob,
+        atob,
+        btoa,
+        DOMException,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        URLSearchParams,
+        Intl,
+        navigator: { onLine: true },
+        localStorage: memoryStorage(),
+        setTimeout,
+        clearTimeout,
+        ...globals
+    });
+
+    names.forEach(name => {
+        const file = path.join(__dirname, '..', 'js', `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    return (expression) => vm.runInContext(expression, context);
+}
+
+/**
+ * In-memory localStorage
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+/**
+ * Promise for an IDBRequest
+ */
+function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result);
+        idbRequest.onerror = () => reject(idbRequest.error);
+    });
+}
+
+module.exports = { loadScripts, request };
@@ -0,0 +1,173 @@
+/**
+ * Storage migrations
+ * Drives Storage.init() against fake-indexeddb, starting from an empty
+ * database or from one left behind by an older version of the app.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadScripts, request } = require('./helpers');
+
+// 1x1 transparent GIF, the way version 1 stored photos
+const GIF_DATA_URL = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+
+const ALL_STORES = [
+    'albums', 'memories', 'photos', 'placeCache', 'tags', 'thumbnails',
+    'tileRegions', 'trackPoints', 'tracks', 'voiceNotes'
+];
+
+/**
+ * A Storage loaded in its own context, sharing the given IndexedDB
+ * @param {IDBFactory} indexedDB
+ * @param {number} version - dbVersion to open (defaults to the app's)
+ */
+function loadStorage(indexedDB, version) {
+    const get = loadScripts(['images', 'storage'], { indexedDB });
+    const Storage = get('Storage');
+    if (version) Storage.dbVersion = version;
+    return Storage;
+}
+
+/**
+ * Create a version 1 database holding the given memories, the way the first release left it
+ * @returns {Promise<Array<number>>} The memory ids
+ */
+async function seedVersion1(indexedDB, memories) {
+    const Storage = loadStorage(indexedDB, 1);
+    await Storage.init();
+
+    const store = Storage.db.transaction(['memories'], 'readwrite').objectStore('memories');
+    const ids = [];
+    for (const memory of memories) {
+        ids.push(await request(store.add(memory)));
+    }
+
+    Storage.db.close();
+    return ids;
+}
+
+/**
+ * Open the database as it is, without upgrading it
+ */
+function openExisting(indexedDB) {
+    return request(indexedDB.open('GeoSnapDB'));
+}
+
+function getRecord(db, storeName, id) {
+    return request(db.transaction([storeName], 'readonly').objectStore(storeName).get(id));
+}
+
+test('a fresh install runs every step from version 0', async () => {
+    const Storage = loadStorage(new IDBFactory());
+    await Storage.init();
+
+    assert.equal(Storage.db.version, Storage.dbVersion);
+    assert.deepEqual([...Storage.db.objectStoreNames].sort(), ALL_STORES);
+
+    const memories = Storage.db.transaction(['memories'], 'readonly').objectStore('memories');
+    assert.deepEqual(
+        [...memories.indexNames].sort(),
+        ['albumIds', 'deletedAt', 'location', 'tagIds', 'timestamp', 'trackId']
+    );
+
+    Storage.db.close();
+});
+
+test('every version up to dbVersion has a registered step', () => {
+    const Storage = loadStorage(new IDBFactory());
+    const versions = Object.keys(Storage.migrations).map(Number).sort((a, b) => a - b);
+
+    assert.deepEqual(versions, Array.from({ length: Storage.dbVersion }, (_, i) => i + 1));
+});
+
+test('upgrading from version 1 moves data-URL photos into the photos store', async () => {
+    const indexedDB = new IDBFactory();
+    const [withPhoto, withoutPhoto] = await seedVersion1(indexedDB, [
+        { timestamp: 1000, notes: 'Beach', photo: GIF_DATA_URL },
+        { timestamp: 2000, notes: 'No photo' }
+    ]);
+
+    const Storage = loadStorage(indexedDB, 2);
+    const { generateMissingThumbnails } = Storage;
+    Storage.generateMissingThumbnails = async () => 0;  // Look at what the step itself left behind
+    await Storage.init();
+    Storage.generateMissingThumbnails = generateMissingThumbnails;
+
+    const memory = await getRecord(Storage.db, 'memories', withPhoto);
+    assert.equal(memory.photo, undefined);
+    assert.equal(memory.thumbnailPending, true);
+    assert.equal(memory.notes, 'Beach');
+
+    const photo = await getRecord(Storage.db, 'photos', withPhoto);
+    assert.equal(photo.blob.type, 'image/gif');
+    assert.deepEqual(
+        Buffer.from(await photo.blob.arrayBuffer()),
+        Buffer.from(GIF_DATA_URL.split(',')[1], 'base64')
+    );
+
+    // Records without a data URL are left alone
+    const untouched = await getRecord(Storage.db, 'memories', withoutPhoto);
+    assert.equal(untouched.thumbnailPending, undefined);
+    assert.equal(await getRecord(Storage.db, 'photos', withoutPhoto), undefined);
+
+    // The flag is cleared once the thumbnail exists
+    const thumbnail = new Blob(['thumb'], { type: 'image/jpeg' });
+    Storage.createThumbnail = async () => thumbnail;
+    assert.equal(await Storage.generateMissingThumbnails(), 1);
+    assert.equal((await getRecord(Storage.db, 'memories', withPhoto)).thumbnailPending, undefined);
+    assert.equal((await getRecord(Storage.db, 'thumbnails', withPhoto)).blob.size, thumbnail.size);
+
+    Storage.db.close();
+});
+
+test('upgrading from version 1 runs every later step in order', async () => {
+    const indexedDB = new IDBFactory();
+    const [id] = await seedVersion1(indexedDB, [{ timestamp: 1000, photo: GIF_DATA_URL }]);
+
+    const Storage = loadStorage(indexedDB);
+    Storage.createThumbnail = async () => new Blob(['thumb'], { type: 'image/jpeg' });
+
+    const ran = [];
+    Object.entries(Storage.migrations).forEach(([version, migration]) => {
+        const up = migration.up;
+        migration.up = function (...args) {
+            ran.push(Number(version));
+            return up.apply(this, args);
+        };
+    });
+
+    await Storage.init();
+
+    assert.deepEqual(ran, [2, 3, 4, 5, 6, 7, 8]);
+    assert.equal(Storage.db.version, Storage.dbVersion);
+    assert.deepEqual([...Storage.db.objectStoreNames].sort(), ALL_STORES);
+
+    const memory = await Storage.getMemory(id);
+    assert.equal(memory.timestamp, 1000);
+    assert.equal(memory.photo.type, 'image/gif');
+    assert.equal(memory.thumbnailPending, undefined);
+
+    Storage.db.close();
+});
+
+test('a missing step throws and aborts the whole upgrade', async () => {
+    const indexedDB = new IDBFactory();
+    const [id] = await seedVersion1(indexedDB, [{ timestamp: 1000, photo: GIF_DATA_URL }]);
+
+    const Storage = loadStorage(indexedDB);
+    delete Storage.migrations[5];
+
+    assert.throws(
+        () => Storage.runMigrations(null, null, 4, 5),
+        { message: 'No migration registered for database version 5' }
+    );
+    await assert.rejects(Storage.init(), { name: 'AbortError' });
+
+    // Steps 2 to 4 ran before the gap, and were rolled back with it
+    const db = await openExisting(indexedDB);
+    assert.equal(db.version, 1);
+    assert.deepEqual([...db.objectStoreNames], ['memories']);
+    assert.equal((await getRecord(db, 'memories', id)).photo, GIF_DATA_URL);
+    db.close();
+});
@@ -0,0 +1,115 @@
+/**
+ * Service Worker offline regions
+ * Loads sw.js with stand-ins for the worker globals (caches, fetch, clients)
+ * and sends it the same messages the page does.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const root = path.join(__dirname, '..');
+const bounds = { south: 47.36, west: 8.53, north: 47.38, east: 8.56 };
+const TEMPLATE = 'https://tiles.example.com/{z}/{x}/{y}.png';
+
+/**
+ * A Service Worker whose tile server answers every tile with `tileBytes` bytes
+ * @returns {Object} { send(message), fetched, messages, Tiles }
+ */
+function loadServiceWorker({ tileBytes = 100 } = {}) {
+    const listeners = {};
+    const fetched = [];
+    const messages = [];
+    const cached = new Map();
+    const cache = {
+        match: async (url) => cached.get(url),
+        put: async (url, response) => { cached.set(url, response); },
+        delete: async (url) => cached.delete(url)
+    };
+
+    const context = vm.createContext({
+        console: { ...console, log() {}, warn() {} },
+        URL,
+        Response,
+        caches: { open: async () => cache, match: async () => undefined },
+        fetch: async (url) => {
+            fetched.push(url);
+            return new Response(new Uint8Array(tileBytes));
+        },
+        self: {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            clients: { matchAll: async () => [{ postMessage: (message) => messages.push(message) }] }
+        },
+        importScripts: (file) => {
+            const script = path.join(root, file);
+            vm.runInContext(fs.readFileSync(script, 'utf8'), context, { filename: script });
+        }
+    });
+    vm.runInContext(fs.readFileSync(path.join(root, 'sw.js'), 'utf8'), context, { filename: 'sw.js' });
+
+    // Resolves once the worker is done with the message, like the browser's waitUntil
+    const send = async (data) => {
+        const pending = [];
+        listeners.message({ data, waitUntil: (promise) => pending.push(promise) });
+        await Promise.all(pending);
+    };
+
+    return { send, fetched, messages, Tiles: vm.runInContext('Tiles', context) };
+}
+
+const finished = (messages) => messages.find(message => message.type === 'region-finished');
+
+test('a region from OpenStreetMap is never downloaded', async () => {
+    const sw = loadServiceWorker();
+
+    for (const urlTemplate of [undefined, 'https://tile.openstreetmap.org/{z}/{x}/{y}.png']) {
+        await sw.send({ type: 'download-region', region: { id: 1, bounds, minZoom: 12, maxZoom: 14, urlTemplate }, maxBytes: 1e9 });
+    }
+
+    assert.deepEqual(sw.fetched, []);
+    assert.equal(sw.messages.length, 2);
+    assert.ok(sw.messages.every(message => message.type === 'region-finished' && message.status === 'cancelled'));
+});
+
+test('tiles past zoom 16 are not fetched', async () => {
+    const sw = loadServiceWorker();
+
+    await sw.send({ type: 'download-region', region: { id: 1, bounds, minZoom: 15, maxZoom: 18, urlTemplate: TEMPLATE }, maxBytes: 1e9 });
+
+    assert.ok(sw.fetched.length > 0);
+    assert.ok(sw.fetched.every(url => Number(url.split('/')[3]) <= 16));
+    assert.equal(sw.fetched.length, sw.Tiles.estimate(bounds, 15, 16).tiles);
+    assert.equal(finished(sw.messages).status, 'complete');
+});
+
+test('a region over the tile limit is refused', async () => {
+    const sw = loadServiceWorker();
+    const world = { south: -80, west: -180, north: 80, east: 180 };
+
+    await sw.send({ type: 'download-region', region: { id: 1, bounds: world, minZoom: 1, maxZoom: 10, urlTemplate: TEMPLATE }, maxBytes: 1e9 });
+
+    assert.deepEqual(sw.fetched, []);
+    assert.equal(finished(sw.messages).status, 'cancelled');
+});
+
+test('downloads stop at the byte limit, even when the page asks for more', async () => {
+    const sw = loadServiceWorker({ tileBytes: 1000 });
+    sw.Tiles.maxBytes = 5000;
+
+    await sw.send({ type: 'download-region', region: { id: 1, bounds, minZoom: 14, maxZoom: 16, urlTemplate: TEMPLATE }, maxBytes: 1e12 });
+
+    const result = finished(sw.messages);
+    assert.equal(result.status, 'full');
+    // Two tiles download at once, so the last pair may finish past the limit
+    assert.ok(sw.fetched.length >= 5 && sw.fetched.length <= 6, `${sw.fetched.length} tiles fetched`);
+});
+
+test('cancelling a download the worker no longer has still finishes it', async () => {
+    const sw = loadServiceWorker();
+
+    await sw.send({ type: 'cancel-region', id: 7 });
+
+    assert.deepEqual({ ...finished(sw.messages) }, { type: 'region-finished', id: 7, status: 'cancelled' });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tiles
+ * Offline regions must never be downloaded from OpenStreetMap's tile servers.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const bounds = { south: 47.36, west: 8.53, north: 47.38, east: 8.56 };
+
+test('downloads stop at zoom 16, whatever the region asks for', () => {
+    const Tiles = loadScripts(['tiles'])('Tiles');
+    const region = { bounds, minZoom: 14, maxZoom: 18, urlTemplate: 'https://tiles.example.com/{z}/{x}/{y}.png' };
+
+    const urls = Tiles.downloadUrls(region);
+    const zooms = new Set(urls.map(url => Number(url.split('/')[3])));
+
+    assert.deepEqual([...zooms].sort(), [14, 15, 16]);
+    assert.equal(urls.length, Tiles.estimate(bounds, 14, 16).tiles);
+    assert.ok(urls.length < Tiles.urls(region).length);
+});
+
+test('downloads refuse OpenStreetMap and regions with too many tiles', () => {
+    const Tiles = loadScripts(['tiles'])('Tiles');
+
+    assert.throws(() => Tiles.downloadUrls({ bounds, minZoom: 12, maxZoom: 12 }), /OpenStreetMap/);
+    assert.throws(() => Tiles.downloadUrls({
+        bounds, minZoom: 12, maxZoom: 12, urlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+    }), /OpenStreetMap/);
+
+    const world = { south: -80, west: -180, north: 80, east: 180 };
+    assert.throws(() => Tiles.downloadUrls({
+        bounds: world, minZoom: 1, maxZoom: 10, urlTemplate: 'https://tiles.example.com/{z}/{x}/{y}.png'
+    }), /more than the 5000/);
+});
+
+test('OpenStreetMap and unusable addresses are refused as tile servers', () => {
+    const Tiles = loadScripts(['tiles'])('Tiles');
+
+    assert.match(Tiles.validateSource('https://tile.openstreetmap.org/{z}/{x}/{y}.png'), /OpenStreetMap/);
+    assert.match(Tiles.validateSource('https://a.tile.openstreetmap.org/{z}/{x}/{y}.png'), /OpenStreetMap/);
+    assert.match(Tiles.validateSource('https://{s}.tiles.example.com/{z}/{x}/{y}.png'), /\{s\}/);
+    assert.match(Tiles.validateSource('https://tiles.example.com/{z}/{x}.png'), /\{y\}/);
+    assert.match(Tiles.validateSource('ftp://tiles.example.com/{z}/{x}/{y}.png'), /https/);
+    assert.match(Tiles.validateSource(undefined), /\{z\}/);
+
+    assert.equal(Tiles.validateSource('https://tiles.example.com/{z}/{x}/{y}.png?key=abc'), null);
+});
+
+test('settings keep the tile server only when it can be used', () => {
+    const get = loadScripts(['tiles']);
+    const Tiles = get('Tiles');
+
+    assert.throws(() => Tiles.saveSettings('https://tile.openstreetmap.org/{z}/{x}/{y}.png'), /OpenStreetMap/);
+    assert.equal(Tiles.source, null);
+
+    Tiles.saveSettings('https://tiles.example.com/{z}/{x}/{y}.png', '© Example');
+    Tiles.source = null;
+    Tiles.loadSettings();
+    assert.deepEqual({ ...Tiles.source }, { urlTemplate: 'https://tiles.example.com/{z}/{x}/{y}.png', attribution: '© Example' });
+
+    Tiles.saveSettings('');
+    Tiles.loadSettings();
+    assert.equal(Tiles.source, null);
+    assert.equal(get('localStorage').getItem(Tiles.settingsKey), null);
+});
+
+test('a region lists its tiles on its own server', () => {
+    const Tiles = loadScripts(['tiles'])('Tiles');
+    const urls = Tiles.urls({ bounds, minZoom: 12, maxZoom: 13, urlTemplate: 'https://tiles.example.com/{z}/{x}/{y}.png' });
+
+    assert.equal(urls.length, Tiles.estimate(bounds, 12, 13).tiles);
+    assert.ok(urls.every(url => url.startsWith('https://tiles.example.com/1')));
+    assert.ok(urls.includes('https://tiles.example.com/12/2145/1434.png'));
+});
+
+test('regions saved before the setting still find their OpenStreetMap tiles', () => {
+    const Tiles = loadScripts(['tiles'])('Tiles');
+    const urls = Tiles.urls({ bounds, minZoom: 12, maxZoom: 12 });
+
+    assert.ok(urls.every(url => url.startsWith('https://tile.openstreetmap.org/12/')));
+    assert.equal(Tiles.cacheKey('https://b.tile.openstreetmap.org/12/2145/1434.png'), urls.find(url => url.endsWith('/2145/1434.png')));
+});